@@ -0,0 +1,129 @@
+import { startsWith } from './string-utils';
+import { getPropertyInChain } from './get-property-in-chain';
+import { getDescriptorAddon } from './get-descriptor-addon';
+import { setPropertyAccess } from './set-property-access';
+
+/**
+ * Returns the script element which is being executed.
+ * Used for 'abort-current-inline-script' and 'abort-current-script' scriptlets
+ * @returns {HTMLScriptElement|null}
+ */
+export function getCurrentScript() {
+    if ('currentScript' in document) {
+        return document.currentScript; // eslint-disable-line compat/compat
+    }
+    const scripts = document.getElementsByTagName('script');
+    return scripts[scripts.length - 1];
+}
+
+/**
+ * Returns the content of the inline script,
+ * including the script which source is base64 encoded `data:` url
+ * @param {HTMLScriptElement} scriptEl
+ * @returns {string}
+ */
+export function getInlineScriptContent(scriptEl) {
+    const SRC_DATA_MARKER = 'data:text/javascript;base64,';
+
+    let content = scriptEl.textContent;
+
+    // We are using Node.prototype.textContent property descriptor
+    // to get the real script content
+    // even when document.currentScript.textContent is replaced.
+    // https://github.com/AdguardTeam/Scriptlets/issues/57#issuecomment-593638991
+    try {
+        const textContentGetter = Object.getOwnPropertyDescriptor(Node.prototype, 'textContent').get;
+        content = textContentGetter.call(scriptEl);
+    } catch (e) { } // eslint-disable-line no-empty
+
+    // https://github.com/AdguardTeam/Scriptlets/issues/130
+    if (content.length === 0
+        && typeof scriptEl.src !== 'undefined'
+        && startsWith(scriptEl.src, SRC_DATA_MARKER)) {
+        const encodedContent = scriptEl.src.slice(SRC_DATA_MARKER.length);
+        content = window.atob(encodedContent);
+    }
+    return content;
+}
+
+/**
+ * Traps the property chain so the `abort` callback is called on each read and write
+ * of the end property, even if the chain is set later by the page script.
+ * Used for 'abort-current-inline-script' and 'abort-current-script' scriptlets
+ * @param {Object} owner object to start the chain from, e.g. `window`
+ * @param {string} property path to a property joined with `.`
+ * @param {Function} abort callback which throws if the property access should be aborted
+ */
+export function setAbortingPropAccess(owner, property, abort) {
+    const chainInfo = getPropertyInChain(owner, property);
+    let { base } = chainInfo;
+    const { prop, chain } = chainInfo;
+
+    // The scriptlet might be executed before the chain property has been created
+    // (for instance, document.body before the HTML body was loaded).
+    // In this case we're checking whether the base element exists or not
+    // and if not, we simply exit without overriding anything.
+    // e.g. https://github.com/AdguardTeam/Scriptlets/issues/57#issuecomment-575841092
+    if (base instanceof Object === false && base === null) {
+        const props = property.split('.');
+        const propIndex = props.indexOf(prop);
+        const baseName = props[propIndex - 1];
+        console.log(`The scriptlet had been executed before the ${baseName} was loaded.`); // eslint-disable-line no-console, max-len
+        return;
+    }
+
+    if (chain) {
+        const setter = (a) => {
+            base = a;
+            if (a instanceof Object) {
+                setAbortingPropAccess(a, chain, abort);
+            }
+        };
+        Object.defineProperty(owner, prop, {
+            get: () => base,
+            set: setter,
+        });
+        return;
+    }
+
+    let currentValue = base[prop];
+    let origDescriptor = Object.getOwnPropertyDescriptor(base, prop);
+    if (origDescriptor instanceof Object === false
+        || origDescriptor.get instanceof Function === false) {
+        currentValue = base[prop];
+        origDescriptor = undefined;
+    }
+
+    const descriptorWrapper = Object.assign(getDescriptorAddon(), {
+        currentValue,
+        get() {
+            if (!this.isAbortingSuspended) {
+                this.isolateCallback(abort);
+            }
+            if (origDescriptor instanceof Object) {
+                return origDescriptor.get.call(base);
+            }
+            return this.currentValue;
+        },
+        set(newValue) {
+            if (!this.isAbortingSuspended) {
+                this.isolateCallback(abort);
+            }
+            if (origDescriptor instanceof Object) {
+                origDescriptor.set.call(base, newValue);
+            } else {
+                this.currentValue = newValue;
+            }
+        },
+    });
+
+    setPropertyAccess(base, prop, {
+        // Call wrapped getter and setter to keep isAbortingSuspended & isolateCallback values
+        get() {
+            return descriptorWrapper.get.call(descriptorWrapper);
+        },
+        set(newValue) {
+            descriptorWrapper.set.call(descriptorWrapper, newValue);
+        },
+    });
+}
@@ -0,0 +1,21 @@
+/* eslint-disable no-eval, no-extra-bind, func-names */
+
+/**
+ * Replaces `window.eval` with the wrapper which passes the payload to the native eval
+ * after it is handled, e.g. matched or modified.
+ * Note that all eval() calls become indirect ones then,
+ * i.e. the code is evaluated in the global scope.
+ * Used for 'noeval', 'prevent-eval-if' and 'prevent-devtools-detection' scriptlets
+ * @param {Function} handler gets the payload of eval() call and returns the payload to evaluate,
+ * or `undefined` if the call should be prevented
+ */
+export function wrapEval(handler) {
+    const nativeEval = window.eval;
+    window.eval = function (payload) {
+        const handledPayload = handler(payload);
+        if (typeof handledPayload === 'undefined') {
+            return undefined;
+        }
+        return nativeEval.call(window, handledPayload);
+    }.bind(window);
+}
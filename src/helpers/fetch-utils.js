@@ -1,5 +1,8 @@
-import { toRegExp, isValidStrPattern } from './string-utils';
+import { hit } from './hit';
+import { getWildcardSymbol } from './constants';
+import { toRegExp, isValidStrPattern, objectToString } from './string-utils';
 import { getObjectFromEntries } from './object-utils';
+import { hidePatchedToString } from './native-utils';
 
 /**
  * Collects Request options to object
@@ -108,3 +111,488 @@ export const getMatchPropsData = (data) => {
         });
     return matchData;
 };
+
+/**
+ * Checks whether the request data matches all props of propsToMatch string;
+ * used for prevent-fetch, prevent-xhr and scriptlets modifying the responses
+ * @param {string} propsToMatch string of space-separated props to match
+ * @param {Object} requestData fetch or xhr data object, e.g. `{ url, method }`
+ * @returns {boolean}
+ */
+export const matchRequestProps = (propsToMatch, requestData) => {
+    const parsedData = parseMatchProps(propsToMatch);
+    if (!validateParsedData(parsedData)) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid parameter: ${propsToMatch}`);
+        return false;
+    }
+
+    const matchData = getMatchPropsData(parsedData);
+    // match only if all props match
+    return Object.keys(matchData)
+        .every((matchKey) => {
+            const matchValue = matchData[matchKey];
+            return Object.prototype.hasOwnProperty.call(requestData, matchKey)
+                && matchValue.test(requestData[matchKey]);
+        });
+};
+
+/**
+ * Creates the function which overrides read-only properties of responses,
+ * e.g. `url` and `type` which can not be passed to Response constructor.
+ * Overridden values are kept in the closure and returned by the wrapped getters
+ * of `Response.prototype`, so responses get no own properties for them,
+ * and clones of the response get the same values.
+ * `Response.prototype` is patched on the first call only
+ * @returns {Function} function which gets the response and object with property values,
+ * e.g. `{ url, type }`, and returns the same response
+ */
+export const createResponsePropsOverrider = () => {
+    const RESPONSE_PROPS = ['url', 'type', 'redirected', 'status', 'ok', 'statusText'];
+    const overriddenResponses = new WeakMap();
+    let isPatched = false;
+
+    const patchResponsePrototype = () => {
+        // eslint-disable-next-line compat/compat
+        const responsePrototype = Response.prototype;
+        const patchedToNative = new WeakMap();
+
+        RESPONSE_PROPS.forEach((prop) => {
+            const descriptor = Object.getOwnPropertyDescriptor(responsePrototype, prop);
+            if (!descriptor || typeof descriptor.get !== 'function') {
+                return;
+            }
+            const nativeGetter = descriptor.get;
+            const getterHandler = {
+                apply: (target, thisArg, args) => {
+                    const props = overriddenResponses.get(thisArg);
+                    if (props && Object.prototype.hasOwnProperty.call(props, prop)) {
+                        return props[prop];
+                    }
+                    return Reflect.apply(target, thisArg, args);
+                },
+            };
+            descriptor.get = new Proxy(nativeGetter, getterHandler);
+            patchedToNative.set(descriptor.get, nativeGetter);
+            Object.defineProperty(responsePrototype, prop, descriptor);
+        });
+
+        const nativeClone = responsePrototype.clone;
+        const cloneHandler = {
+            apply: (target, thisArg, args) => {
+                const clonedResponse = Reflect.apply(target, thisArg, args);
+                if (overriddenResponses.has(thisArg)) {
+                    overriddenResponses.set(clonedResponse, overriddenResponses.get(thisArg));
+                }
+                return clonedResponse;
+            },
+        };
+        responsePrototype.clone = new Proxy(nativeClone, cloneHandler);
+        patchedToNative.set(responsePrototype.clone, nativeClone);
+
+        hidePatchedToString(patchedToNative);
+    };
+
+    return (response, props) => {
+        if (!isPatched) {
+            isPatched = true;
+            patchResponsePrototype();
+        }
+        overriddenResponses.set(response, props);
+        return response;
+    };
+};
+
+/**
+ * Creates new Response with specified body
+ * and the rest of properties copied from the original one
+ * so the modified response can not be distinguished from the original
+ * @param {Response} origResponse original response
+ * @param {string} body new response body
+ * @param {Function} overrideResponseProps function created by `createResponsePropsOverrider()`
+ * @returns {Response}
+ */
+export const modifyResponse = (origResponse, body, overrideResponseProps) => {
+    const {
+        headers,
+        status,
+        statusText,
+        url,
+        type,
+        redirected,
+    } = origResponse;
+
+    // eslint-disable-next-line compat/compat
+    const modifiedResponse = new Response(body, {
+        status,
+        statusText,
+        headers,
+    });
+
+    // url, type and redirected are read-only and can not be passed to Response constructor
+    return overrideResponseProps(modifiedResponse, {
+        url,
+        type,
+        redirected,
+    });
+};
+
+/**
+ * Intercepts the responses of matched `XMLHttpRequest` and `fetch` calls
+ * and replaces their content with the modified one;
+ * used for the scriptlets modifying the responses, e.g. xml-prune, m3u-prune
+ * @param {Object} options
+ * @param {Function} options.isRequestMatched gets request data object, e.g. `{ url, method }`,
+ * and call type — `xhr` or `fetch`, returns true if the response should be modified
+ * @param {Function} options.modifyText gets response text and request url,
+ * returns modified text or the same text if there is nothing to modify
+ * @param {Function} [options.modifyDocument] gets `document` response of xhr and request url,
+ * modifies it in place
+ * @param {Function} [options.modifyJson] gets `json` response of xhr and request url,
+ * returns modified object
+ * @param {boolean} [options.shouldParseJsonText=false] if true, `json` response of xhr
+ * is requested as text which is modified by `modifyText` and parsed afterwards
+ */
+export const interceptResponses = ({
+    isRequestMatched,
+    modifyText,
+    modifyDocument,
+    modifyJson,
+    shouldParseJsonText = false,
+}) => {
+    // do nothing if browser does not support Reflect or Proxy (e.g. Internet Explorer)
+    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Reflect
+    if (typeof Reflect === 'undefined' || typeof Proxy === 'undefined') {
+        return;
+    }
+
+    const XHR_DONE_STATE = 4;
+    const XHR_OVERRIDDEN_PROPS = ['response', 'responseText', 'responseXML', 'responseType'];
+    const nativeXhrDescriptors = {};
+
+    const getNativeXhrValue = (xhr, prop) => nativeXhrDescriptors[prop].get.call(xhr);
+    const setNativeResponseType = (xhr, value) => {
+        nativeXhrDescriptors.responseType.set.call(xhr, value);
+    };
+
+    const xhrOpenWrapper = (target, thisArg, args) => {
+        // json response type may be set before open() call
+        // or kept by override of the previous request
+        const isJsonType = thisArg.responseType === 'json';
+        // xhr object may be reused, so previous overrides should be dropped
+        XHR_OVERRIDDEN_PROPS.forEach((prop) => {
+            if (Object.prototype.hasOwnProperty.call(thisArg, prop)) {
+                delete thisArg[prop];
+            }
+        });
+
+        // response type can not be changed while the request is done,
+        // so it is restored and overridden after the native call
+        const result = Reflect.apply(target, thisArg, args);
+        if (isJsonType && getNativeXhrValue(thisArg, 'responseType') !== 'json') {
+            setNativeResponseType(thisArg, 'json');
+        }
+
+        const xhrData = {
+            method: args[0],
+            url: args[1],
+        };
+        if (!isRequestMatched(xhrData, 'xhr')) {
+            return result;
+        }
+
+        let modifiedText = null;
+        let modifiedJson = null;
+        let isJsonModified = false;
+        const modifiedDocs = [];
+        // json response can not be modified after it is parsed natively,
+        // so it is requested as text and parsed after modifying
+        let isJsonRequested = false;
+        if (shouldParseJsonText && isJsonType) {
+            isJsonRequested = true;
+            setNativeResponseType(thisArg, 'text');
+        }
+
+        const getText = (xhr) => {
+            const text = getNativeXhrValue(xhr, 'responseText');
+            if (xhr.readyState !== XHR_DONE_STATE) {
+                return text;
+            }
+            if (modifiedText === null) {
+                modifiedText = modifyText(text, xhrData.url);
+            }
+            return modifiedText;
+        };
+
+        const getJson = (xhr) => {
+            if (xhr.readyState !== XHR_DONE_STATE) {
+                return null;
+            }
+            if (!isJsonModified) {
+                isJsonModified = true;
+                if (isJsonRequested) {
+                    try {
+                        modifiedJson = JSON.parse(getText(xhr));
+                    } catch (e) {
+                        // the same as native behavior for invalid json
+                        modifiedJson = null;
+                    }
+                } else {
+                    modifiedJson = modifyJson(getNativeXhrValue(xhr, 'response'), xhrData.url);
+                }
+            }
+            return modifiedJson;
+        };
+
+        const getDocument = (xhr, prop) => {
+            const doc = getNativeXhrValue(xhr, prop);
+            if (doc && xhr.readyState === XHR_DONE_STATE && modifiedDocs.indexOf(doc) === -1) {
+                modifiedDocs.push(doc);
+                modifyDocument(doc, xhrData.url);
+            }
+            return doc;
+        };
+
+        const overriddenProps = {
+            response: {
+                configurable: true,
+                get() {
+                    if (isJsonRequested) {
+                        return getJson(this);
+                    }
+                    const responseType = getNativeXhrValue(this, 'responseType');
+                    if (responseType === '' || responseType === 'text') {
+                        return getText(this);
+                    }
+                    if (responseType === 'json' && modifyJson) {
+                        return getJson(this);
+                    }
+                    if (responseType === 'document' && modifyDocument) {
+                        return getDocument(this, 'response');
+                    }
+                    return getNativeXhrValue(this, 'response');
+                },
+            },
+            responseText: {
+                configurable: true,
+                get() {
+                    return getText(this);
+                },
+            },
+        };
+
+        // there is no responseXML in workers
+        if (modifyDocument && nativeXhrDescriptors.responseXML) {
+            overriddenProps.responseXML = {
+                configurable: true,
+                get() {
+                    return getDocument(this, 'responseXML');
+                },
+            };
+        }
+
+        if (shouldParseJsonText) {
+            overriddenProps.responseType = {
+                configurable: true,
+                get() {
+                    return isJsonRequested
+                        ? 'json'
+                        : getNativeXhrValue(this, 'responseType');
+                },
+                set(value) {
+                    isJsonRequested = value === 'json';
+                    setNativeResponseType(this, isJsonRequested ? 'text' : value);
+                },
+            };
+        }
+
+        Object.defineProperties(thisArg, overriddenProps);
+
+        return result;
+    };
+
+    // there is no XMLHttpRequest in service workers
+    if (typeof XMLHttpRequest !== 'undefined') {
+        XHR_OVERRIDDEN_PROPS.forEach((prop) => {
+            const descriptor = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, prop);
+            nativeXhrDescriptors[prop] = descriptor;
+        });
+        const canOverride = ['response', 'responseText', 'responseType']
+            .every((prop) => nativeXhrDescriptors[prop] && nativeXhrDescriptors[prop].get);
+        if (canOverride) {
+            const xhrOpenHandler = {
+                apply: xhrOpenWrapper,
+            };
+            const nativeOpen = XMLHttpRequest.prototype.open;
+            XMLHttpRequest.prototype.open = new Proxy(nativeOpen, xhrOpenHandler);
+        }
+    }
+
+    // do nothing more if browser does not support fetch
+    // https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch
+    if (typeof fetch === 'undefined' || typeof Response === 'undefined') {
+        return;
+    }
+
+    const overrideResponseProps = createResponsePropsOverrider();
+
+    const fetchWrapper = (target, thisArg, args) => {
+        const fetchData = getFetchData(args);
+        if (!isRequestMatched(fetchData, 'fetch')) {
+            return Reflect.apply(target, thisArg, args);
+        }
+
+        return Reflect.apply(target, thisArg, args)
+            .then((response) => {
+                return response.clone().text()
+                    .then((text) => {
+                        const modifiedText = modifyText(text, fetchData.url);
+                        if (modifiedText === text) {
+                            return response;
+                        }
+                        return modifyResponse(response, modifiedText, overrideResponseProps);
+                    })
+                    .catch(() => response);
+            });
+    };
+
+    const fetchHandler = {
+        apply: fetchWrapper,
+    };
+
+    fetch = new Proxy(fetch, fetchHandler); // eslint-disable-line no-global-assign
+};
+
+/**
+ * Returns url and type of the response which would be received for the fetch call,
+ * so the mocked response can not be distinguished from the real one:
+ * same-origin requests get `basic` response, cross-origin ones get `cors` response
+ * or `opaque` response if they are made with `no-cors` mode
+ * @param {Object} fetchData fetch data object, e.g. `{ url, mode }`
+ * @param {string} [responseType] response type to use instead of the inferred one
+ * @returns {Object} `{ url, type }`
+ */
+export const getFetchResponseData = (fetchData, responseType) => {
+    let url = typeof fetchData.url === 'string' ? fetchData.url : String(fetchData.url);
+    let type = 'basic';
+    try {
+        // eslint-disable-next-line compat/compat
+        const urlObj = new URL(url, window.location.href);
+        // response url has no fragment
+        urlObj.hash = '';
+        url = urlObj.href;
+        if (urlObj.protocol !== 'data:' && urlObj.origin !== window.location.origin) {
+            type = fetchData.mode === 'no-cors' ? 'opaque' : 'cors';
+        }
+    } catch (e) {
+        // url is not valid, it is kept as is
+    }
+
+    return {
+        url,
+        type: responseType || type,
+    };
+};
+
+/**
+ * Creates the response for the mocked fetch call.
+ * Unlike `noopPromiseResolve()` which may be exposed to the page, e.g. by set-constant,
+ * it is used only internally so the response url and type can be specified
+ * @param {string} responseBody value of response body
+ * @param {string} [responseUrl=''] value of response url,
+ * empty as for response created by constructor
+ * @param {string} [responseType='default'] value of response type, e.g. `basic` or `cors`;
+ * `opaque` response has no body, headers and zero status
+ * @param {Function} overrideResponseProps function created by `createResponsePropsOverrider()`
+ * @returns {Response}
+ */
+export const createMockedFetchResponse = (
+    responseBody,
+    responseUrl = '',
+    responseType = 'default',
+    overrideResponseProps,
+) => {
+    const isOpaque = responseType === 'opaque';
+
+    // opaque response has no body, so it has no content type header as well
+    // eslint-disable-next-line compat/compat
+    const response = new Response(isOpaque ? null : responseBody, {
+        status: 200,
+        statusText: 'OK',
+    });
+    if (responseUrl === '' && responseType === 'default') {
+        return response;
+    }
+
+    // url and type are read-only and can not be passed to Response constructor
+    const props = {
+        url: responseUrl,
+        type: responseType,
+    };
+    if (isOpaque) {
+        // opaque response can not be created with zero status by constructor
+        props.status = 0;
+        props.ok = false;
+        props.statusText = '';
+    }
+    return overrideResponseProps(response, props);
+};
+
+/**
+ * Prevents fetch calls matched by `propsToMatch` and resolves them with the mocked response.
+ * Used for 'prevent-fetch' and 'trusted-prevent-fetch' scriptlets
+ * which differ only by the allowed response body
+ * @param {Source} source scriptlet properties
+ * @param {string} [propsToMatch] string of space-separated properties to match;
+ * fetch calls are logged if it is not set
+ * @param {string} responseBody value of response body
+ * @param {string} [responseType] response type to use instead of the inferred one
+ */
+export const preventFetchCalls = (source, propsToMatch, responseBody, responseType) => {
+    const RESPONSE_TYPES = ['default', 'opaque', 'cors'];
+    if (typeof responseType !== 'undefined'
+        && responseType !== ''
+        && RESPONSE_TYPES.indexOf(responseType) === -1) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid responseType parameter: '${responseType}'`);
+        return;
+    }
+
+    const overrideResponseProps = createResponsePropsOverrider();
+
+    const handlerWrapper = (target, thisArg, args) => {
+        let shouldPrevent = false;
+        const fetchData = getFetchData(args);
+        if (typeof propsToMatch === 'undefined') {
+            // log if no propsToMatch given
+            const logMessage = `log: fetch( ${objectToString(fetchData)} )`;
+            hit(source, logMessage);
+        } else if (propsToMatch === '' || propsToMatch === getWildcardSymbol()) {
+            // prevent all fetch calls
+            shouldPrevent = true;
+        } else {
+            shouldPrevent = matchRequestProps(propsToMatch, fetchData);
+        }
+
+        if (shouldPrevent) {
+            hit(source);
+            const { url, type } = getFetchResponseData(fetchData, responseType);
+            const response = createMockedFetchResponse(
+                responseBody,
+                url,
+                type,
+                overrideResponseProps,
+            );
+            // eslint-disable-next-line compat/compat
+            return Promise.resolve(response);
+        }
+
+        return Reflect.apply(target, thisArg, args);
+    };
+
+    const fetchHandler = {
+        apply: handlerWrapper,
+    };
+
+    fetch = new Proxy(fetch, fetchHandler); // eslint-disable-line no-global-assign
+};
@@ -26,3 +26,7 @@ export * from './regexp-utils';
 export * from './random-response';
 export * from './get-descriptor-addon';
 export * from './parse-flags';
+export * from './native-utils';
+export * from './set-constant-utils';
+export * from './abort-script-utils';
+export * from './eval-utils';
@@ -69,3 +69,363 @@ export function passSourceAndProps(source, code, redirect = false) {
 export function wrapInNonameFunc(code) {
     return `function(source, args){\n${code}\n}`;
 }
+
+/**
+ * Applies the scriptlet inside Web Workers and Shared Workers created by the page:
+ * wraps their constructors so the worker script is loaded via blob url
+ * with the scriptlet code prepended to it.
+ * The function is converted to string and called with the scriptlet code,
+ * so it should not use outer scope. It is propagated to workers as well to handle nested workers.
+ *
+ * Blob workers may be blocked by Content Security Policy of the page, which can not be checked
+ * synchronously as blocked worker just fails to load, so the workers are wrapped at once
+ * and the worker which fails to load is replaced by the native one:
+ * messages posted to the wrapped worker are passed to the native one,
+ * and the events of the native worker are re-dispatched on the wrapped one.
+ * Blob workers are not used after that.
+ *
+ * Cross-origin worker urls are not wrapped, so the browser refuses them as usual.
+ *
+ * > Relative urls used inside the classic worker script are resolved against the blob url,
+ * so `fetch()`, `importScripts()` and `XMLHttpRequest.prototype.open()` are fixed
+ * to resolve them against the original worker url.
+ *
+ * @param {string} code scriptlet code produced by passSourceAndProps()
+ * @param {string} [parentWorkerUrl] original url of the worker script
+ * if it is called inside the worker, as `location` of the blob worker is its blob url
+ */
+export function propagateToWorkers(code, parentWorkerUrl) {
+    // do nothing if browser does not support Proxy, WeakMap or blob urls (e.g. Internet Explorer)
+    if (typeof Proxy === 'undefined'
+        || typeof WeakMap === 'undefined'
+        || typeof Blob === 'undefined'
+        || typeof URL === 'undefined'
+        || typeof URL.createObjectURL !== 'function') {
+        return;
+    }
+
+    const WORKER_CONSTRUCTORS = ['Worker', 'SharedWorker'];
+    // message posted by the wrapped worker once it is loaded, it is not passed to the page
+    const LOADED_MARKER = `scriptlets-worker-loaded-${Math.random().toString(36).slice(2)}`;
+
+    /**
+     * Makes `fetch()`, `importScripts()` and `XMLHttpRequest.prototype.open()`
+     * resolve relative urls against the original worker url;
+     * it is converted to string and called inside the worker
+     * @param {string} baseUrl original worker url
+     */
+    const fixRelativeUrls = (baseUrl) => {
+        if (typeof Proxy === 'undefined') {
+            return;
+        }
+        const resolveUrl = (url) => {
+            try {
+                // eslint-disable-next-line compat/compat
+                return new URL(url, baseUrl).href;
+            } catch (e) {
+                // invalid url should be handled natively
+                return url;
+            }
+        };
+
+        if (typeof importScripts === 'function') {
+            const importScriptsHandler = {
+                apply: (target, thisArg, args) => {
+                    return Reflect.apply(target, thisArg, args.map(resolveUrl));
+                },
+            };
+            // eslint-disable-next-line no-global-assign, no-undef
+            importScripts = new Proxy(importScripts, importScriptsHandler);
+        }
+
+        if (typeof fetch === 'function') {
+            const fetchHandler = {
+                apply: (target, thisArg, args) => {
+                    // Request objects have absolute urls already
+                    if (args.length > 0 && !(args[0] instanceof Request)) {
+                        args[0] = resolveUrl(String(args[0]));
+                    }
+                    return Reflect.apply(target, thisArg, args);
+                },
+            };
+            // eslint-disable-next-line no-global-assign
+            fetch = new Proxy(fetch, fetchHandler);
+        }
+
+        if (typeof XMLHttpRequest === 'function') {
+            const openHandler = {
+                apply: (target, thisArg, args) => {
+                    if (args.length > 1) {
+                        args[1] = resolveUrl(String(args[1]));
+                    }
+                    return Reflect.apply(target, thisArg, args);
+                },
+            };
+            const { prototype } = XMLHttpRequest;
+            prototype.open = new Proxy(prototype.open, openHandler);
+        }
+    };
+
+    // relative worker urls are resolved against the original worker url inside the blob worker
+    let baseUrl = parentWorkerUrl;
+    let origin;
+    if (typeof parentWorkerUrl === 'string') {
+        // eslint-disable-next-line compat/compat
+        origin = new URL(parentWorkerUrl).origin;
+    } else {
+        baseUrl = typeof document !== 'undefined'
+            ? document.baseURI
+            : window.location.href;
+        origin = window.location.origin;
+    }
+
+    // script url -> blob url,
+    // the same blob url should be used for the same script so shared workers are shared indeed
+    const workerUrls = Object.create(null);
+
+    /**
+     * Creates blob url of the worker script with the scriptlet code prepended
+     * @param {string} url worker script url
+     * @param {Object|string} [options] worker options or shared worker name
+     * @param {boolean} isShared whether the worker is shared one
+     * @returns {string|null} null if the worker should be created natively
+     */
+    const createWorkerUrl = (url, options, isShared) => {
+        // eslint-disable-next-line compat/compat
+        const scriptUrl = new URL(url, baseUrl);
+        // cross-origin worker script should be refused by the browser,
+        // and worker created from data url has opaque origin which can not be kept for blob url
+        if (scriptUrl.origin !== origin) {
+            return null;
+        }
+        const src = JSON.stringify(scriptUrl.href);
+        const isModule = options instanceof Object && options.type === 'module';
+        const key = `${isModule ? 'module' : 'classic'} ${scriptUrl.href}`;
+        if (workerUrls[key]) {
+            return workerUrls[key];
+        }
+        const marker = JSON.stringify(LOADED_MARKER);
+        const loadedNotice = isShared
+            ? `self.addEventListener('connect', function(e){ e.ports[0].postMessage(${marker}); });`
+            : `postMessage(${marker});`;
+        // there is no window in worker global scope,
+        // so the scriptlet code is called with window set to worker global object
+        const scriptletCode = `(function(window){
+${code}
+(${propagateToWorkers.toString()})(${JSON.stringify(code)}, ${src});
+})(self);`;
+        const urlsFix = `(${fixRelativeUrls.toString()})(${src});`;
+        // module is imported dynamically to be evaluated after the scriptlet code
+        const importCode = isModule
+            ? `await import(${src});`
+            : `importScripts(${src});`;
+        const workerScript = `${loadedNotice}\n${scriptletCode}\n${urlsFix}\n${importCode}`;
+        // eslint-disable-next-line compat/compat
+        const blob = new Blob([workerScript], { type: 'text/javascript' });
+        // eslint-disable-next-line compat/compat
+        workerUrls[key] = URL.createObjectURL(blob);
+        return workerUrls[key];
+    };
+
+    // blob workers are not used once some of them has been blocked by Content Security Policy
+    let isBlobWorkerAllowed = true;
+
+    /**
+     * Wrapped worker or its port mapped to the state of its loading:
+     * `pendingMessages` - args of postMessage() calls made before the worker is loaded,
+     * null once it is loaded;
+     * `fallback` - native worker or its port which replaces the blocked one;
+     * `isClosed` - whether the worker has been terminated or its port closed
+     */
+    // eslint-disable-next-line compat/compat
+    const workerStates = new WeakMap();
+
+    /**
+     * Copies the event of native worker which replaces the blocked one
+     * @param {Event} event
+     * @returns {Event}
+     */
+    const copyEvent = (event) => {
+        if (typeof MessageEvent !== 'undefined' && event instanceof MessageEvent) {
+            return new MessageEvent(event.type, {
+                data: event.data,
+                origin: event.origin,
+                lastEventId: event.lastEventId,
+                ports: Array.prototype.slice.call(event.ports || []),
+            });
+        }
+        if (typeof ErrorEvent !== 'undefined' && event instanceof ErrorEvent) {
+            return new ErrorEvent(event.type, {
+                message: event.message,
+                filename: event.filename,
+                lineno: event.lineno,
+                colno: event.colno,
+                error: event.error,
+                cancelable: event.cancelable,
+            });
+        }
+        return new Event(event.type, { cancelable: event.cancelable });
+    };
+
+    /**
+     * Re-dispatches the events of the source on the target
+     * @param {EventTarget} source
+     * @param {EventTarget} target
+     * @param {string[]} types event types
+     */
+    const redispatchEvents = (source, target, types) => {
+        types.forEach((type) => {
+            source.addEventListener(type, (event) => {
+                target.dispatchEvent(copyEvent(event));
+            });
+        });
+    };
+
+    /**
+     * Follows the loading of the wrapped worker and replaces it by the native one
+     * if it is blocked
+     * @param {Worker|SharedWorker} worker wrapped worker
+     * @param {Function} createNativeWorker
+     */
+    const watchWorker = (worker, createNativeWorker) => {
+        const isShared = !!worker.port;
+        const messageTarget = isShared ? worker.port : worker;
+        const state = {
+            pendingMessages: [],
+            fallback: null,
+            isClosed: false,
+        };
+        workerStates.set(messageTarget, state);
+
+        const onMessage = (event) => {
+            if (event.data !== LOADED_MARKER) {
+                return;
+            }
+            event.stopImmediatePropagation();
+            state.pendingMessages = null;
+            messageTarget.removeEventListener('message', onMessage);
+        };
+
+        const onError = (event) => {
+            worker.removeEventListener('error', onError);
+            // errors thrown by the loaded worker script are passed as is
+            if (state.pendingMessages === null
+                || (typeof ErrorEvent !== 'undefined' && event instanceof ErrorEvent)) {
+                return;
+            }
+            // blob worker is blocked by Content Security Policy
+            event.stopImmediatePropagation();
+            isBlobWorkerAllowed = false;
+            if (state.isClosed) {
+                return;
+            }
+            let nativeWorker;
+            try {
+                nativeWorker = createNativeWorker();
+            } catch (e) {
+                worker.dispatchEvent(new Event('error'));
+                return;
+            }
+            redispatchEvents(nativeWorker, worker, ['error']);
+            if (isShared) {
+                redispatchEvents(nativeWorker.port, worker.port, ['message', 'messageerror']);
+                nativeWorker.port.start();
+                state.fallback = nativeWorker.port;
+            } else {
+                redispatchEvents(nativeWorker, worker, ['message', 'messageerror']);
+                state.fallback = nativeWorker;
+            }
+            const { pendingMessages } = state;
+            state.pendingMessages = null;
+            pendingMessages.forEach((args) => {
+                Reflect.apply(state.fallback.postMessage, state.fallback, args);
+            });
+        };
+
+        messageTarget.addEventListener('message', onMessage);
+        worker.addEventListener('error', onError);
+    };
+
+    /**
+     * Creates handler for the method of worker or its port which passes the calls
+     * to the native worker which replaces the blocked one
+     * @param {boolean} isClosing whether the method terminates the worker or closes its port
+     * @returns {Object}
+     */
+    const createMethodHandler = (isClosing) => {
+        return {
+            apply: (target, thisArg, args) => {
+                const state = workerStates.get(thisArg);
+                if (state) {
+                    if (state.fallback) {
+                        return Reflect.apply(target, state.fallback, args);
+                    }
+                    if (isClosing) {
+                        state.isClosed = true;
+                    } else if (state.pendingMessages) {
+                        state.pendingMessages.push(args);
+                    }
+                }
+                return Reflect.apply(target, thisArg, args);
+            },
+        };
+    };
+
+    const patchMethod = (prototype, methodName, isClosing) => {
+        if (prototype && typeof prototype[methodName] === 'function') {
+            const handler = createMethodHandler(isClosing);
+            prototype[methodName] = new Proxy(prototype[methodName], handler);
+        }
+    };
+
+    WORKER_CONSTRUCTORS.forEach((name) => {
+        const NativeConstructor = window[name];
+        if (typeof NativeConstructor !== 'function') {
+            return;
+        }
+        const isShared = name === 'SharedWorker';
+        if (isShared) {
+            // eslint-disable-next-line compat/compat
+            const { prototype } = window.MessagePort;
+            patchMethod(prototype, 'postMessage', false);
+            patchMethod(prototype, 'close', true);
+        } else {
+            patchMethod(NativeConstructor.prototype, 'postMessage', false);
+            patchMethod(NativeConstructor.prototype, 'terminate', true);
+        }
+
+        const constructWrapper = (target, args, newTarget) => {
+            if (!isBlobWorkerAllowed) {
+                return Reflect.construct(target, args, newTarget);
+            }
+            let workerUrl = null;
+            try {
+                workerUrl = createWorkerUrl(String(args[0]), args[1], isShared);
+            } catch (e) {
+                // invalid url should be handled natively
+            }
+            if (workerUrl === null) {
+                return Reflect.construct(target, args, newTarget);
+            }
+            const worker = Reflect.construct(target, [workerUrl].concat(args.slice(1)), newTarget);
+            watchWorker(worker, () => Reflect.construct(target, args, newTarget));
+            return worker;
+        };
+
+        const workerHandler = {
+            construct: constructWrapper,
+        };
+
+        window[name] = new Proxy(NativeConstructor, workerHandler);
+    });
+}
+
+/**
+ * Adds the code which applies the scriptlet inside workers created by the page;
+ * used for the scriptlets applied by their `-in-workers` aliases
+ * @param {string} code scriptlet code produced by passSourceAndProps()
+ * @returns {string} full scriptlet code
+ */
+export function addWorkersPropagation(code) {
+    return `${code}\n(${propagateToWorkers.toString()})(${JSON.stringify(code)});`;
+}
@@ -0,0 +1,38 @@
+/**
+ * Makes `toString()` of the patched functions return the source of their native originals,
+ * so patched functions can not be told apart from native ones by their source
+ * @param {WeakMap<Function, Function>} patchedToNative - patched functions mapped to native ones;
+ * `Function.prototype.toString` patch itself is added to it as well
+ * @returns {Function|undefined} function which restores native `Function.prototype.toString`
+ * unless it has been patched again after
+ */
+export const hidePatchedToString = (patchedToNative) => {
+    if (typeof Proxy === 'undefined' || typeof Reflect === 'undefined') {
+        return undefined;
+    }
+
+    const nativeToString = Function.prototype.toString;
+
+    const toStringWrapper = (target, thisArg, args) => {
+        const func = patchedToNative.has(thisArg)
+            ? patchedToNative.get(thisArg)
+            : thisArg;
+        return Reflect.apply(target, func, args);
+    };
+
+    const toStringHandler = {
+        apply: toStringWrapper,
+    };
+
+    const toStringProxy = new Proxy(nativeToString, toStringHandler);
+    patchedToNative.set(toStringProxy, nativeToString);
+    // eslint-disable-next-line no-extend-native
+    Function.prototype.toString = toStringProxy;
+
+    return () => {
+        if (Function.prototype.toString === toStringProxy) {
+            // eslint-disable-next-line no-extend-native
+            Function.prototype.toString = nativeToString;
+        }
+    };
+};
@@ -68,3 +68,11 @@ export const noopPromiseResolve = (responseBody = '{}') => {
     // eslint-disable-next-line compat/compat, consistent-return
     return Promise.resolve(response);
 };
+
+/**
+ * Function throws an error
+ * @throws {Error}
+ */
+export const throwFunc = () => {
+    throw new Error();
+};
@@ -1,9 +1,19 @@
 /**
- * DOM tree changes observer. Used for 'remove-attr' and 'remove-class' scriptlets
- * @param {Function} callback
+ * DOM tree changes observer.
+ * Used for 'remove-attr', 'remove-class' and 'remove-node-text' scriptlets
+ * @param {Function} callback - gets the list of mutation records if calls are not throttled
  * @param {Boolean} observeAttrs - optional parameter - should observer check attributes changes
+ * @param {string[]} attrsToObserve - optional parameter - list of attributes to observe
+ * @param {Boolean} shouldThrottle - optional parameter - should callback calls be throttled;
+ * not throttled callback is called before parser-inserted scripts are executed
+ * @returns {Function} function which stops observing
  */
-export const observeDOMChanges = (callback, observeAttrs = false, attrsToObserve = []) => {
+export const observeDOMChanges = (
+    callback,
+    observeAttrs = false,
+    attrsToObserve = [],
+    shouldThrottle = true,
+) => {
     /**
      * Returns a wrapper, passing the call to 'method' at maximum once per 'delay' milliseconds.
      * Those calls that fall into the "cooldown" period, are ignored
@@ -38,8 +48,10 @@ export const observeDOMChanges = (callback, observeAttrs = false, attrsToObserve
     /**
      * Used for remove-class
      */
-    // eslint-disable-next-line no-use-before-define, compat/compat
-    const observer = new MutationObserver(throttle(callbackWrapper, THROTTLE_DELAY_MS));
+    // eslint-disable-next-line no-use-before-define, max-len
+    const observerCallback = shouldThrottle ? throttle(callbackWrapper, THROTTLE_DELAY_MS) : callbackWrapper;
+    // eslint-disable-next-line compat/compat
+    const observer = new MutationObserver(observerCallback);
 
     const connect = () => {
         if (attrsToObserve.length > 0) {
@@ -60,11 +72,23 @@ export const observeDOMChanges = (callback, observeAttrs = false, attrsToObserve
     const disconnect = () => {
         observer.disconnect();
     };
-    function callbackWrapper() {
+    let isObserving = true;
+    function callbackWrapper(mutations) {
+        // throttled call may be performed after observing is stopped
+        if (!isObserving) {
+            return;
+        }
         disconnect();
-        callback();
-        connect();
+        callback(mutations);
+        if (isObserving) {
+            connect();
+        }
     }
 
     connect();
+
+    return () => {
+        isObserving = false;
+        disconnect();
+    };
 };
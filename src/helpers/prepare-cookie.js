@@ -49,3 +49,25 @@ export const prepareCookie = (name, value) => {
 
     return cookieData;
 };
+
+/**
+ * Parses cookie string into object
+ * @param {string} cookieString string that conforms to document.cookie format
+ * @returns {Object} key:value object that corresponds with incoming cookies keys and values
+ */
+export const parseCookieString = (cookieString) => {
+    const cookies = {};
+    cookieString.split(';').forEach((cookieStr) => {
+        const pos = cookieStr.indexOf('=');
+        const name = pos === -1
+            ? cookieStr.trim()
+            : cookieStr.slice(0, pos).trim();
+        if (name === '') {
+            return;
+        }
+        cookies[name] = pos === -1
+            ? ''
+            : cookieStr.slice(pos + 1).trim();
+    });
+    return cookies;
+};
@@ -3,6 +3,7 @@ import {
     parseMatchArg,
     isValidMatchNumber,
     isValidMatchStr,
+    convertTypeToString,
 } from './string-utils';
 
 /**
@@ -19,10 +20,10 @@ export const isValidCallback = (callback) => {
 };
 
 /**
- * Checks whether 'callback' and 'delay' are matching
- * by given parameters 'matchCallback' and 'matchDelay'.
+ * Checks whether 'callback', 'delay' and extra arguments 'args' are matching
+ * by given parameters 'matchCallback', 'matchDelay' and optional 'matchArgs'.
  * Used for prevent-setTimeout and prevent-setInterval.
- * @param {Object} { callback, delay, matchCallback, matchDelay }
+ * @param {Object} { callback, delay, matchCallback, matchDelay, args, matchArgs }
  * @returns {boolean}
  */
 export const isPreventionNeeded = ({
@@ -30,6 +31,8 @@ export const isPreventionNeeded = ({
     delay,
     matchCallback,
     matchDelay,
+    args = [],
+    matchArgs,
 }) => {
     // if callback is has not valid type
     // scriptlet can not prevent it
@@ -38,7 +41,8 @@ export const isPreventionNeeded = ({
         return false;
     }
     if (!isValidMatchStr(matchCallback)
-        || (matchDelay && !isValidMatchNumber(matchDelay))) {
+        || (matchDelay && !isValidMatchNumber(matchDelay))
+        || (matchArgs && !isValidMatchStr(matchArgs))) {
         return false;
     }
 
@@ -56,5 +60,13 @@ export const isPreventionNeeded = ({
         shouldPrevent = matchRegexp.test(callbackStr) !== isInvertedMatch
             && (delay === delayMatch) !== isInvertedDelayMatch;
     }
+    if (shouldPrevent && matchArgs) {
+        const {
+            isInvertedMatch: isInvertedArgsMatch,
+            matchRegexp: argsRegexp,
+        } = parseMatchArg(matchArgs);
+        const argsStr = args.map(convertTypeToString).join(', ');
+        shouldPrevent = argsRegexp.test(argsStr) !== isInvertedArgsMatch;
+    }
     return shouldPrevent;
 };
@@ -0,0 +1,454 @@
+import { hit } from './hit';
+import { getPropertyInChain } from './get-property-in-chain';
+import { hidePatchedToString } from './native-utils';
+
+/**
+ * Creates the guard which patches `Object.defineProperty()`, `Object.defineProperties()`
+ * and `Reflect.defineProperty()`; the methods are patched only while there are interceptors
+ * added to the guard, and their patches are hidden from `toString()` meanwhile.
+ * The guard is kept by the scriptlet only, so it can not be reached by the page.
+ *
+ * Interceptor gets the object, the property name and the descriptor,
+ * and returns true if the definition has been handled and should not be made natively.
+ *
+ * @returns {Object|null} guard with `nativeDefineProperty`,
+ * `add(interceptor)` and `remove(interceptor)` methods;
+ * null if the browser does not support Proxy or WeakMap
+ */
+export function createDefinePropertyGuard() {
+    if (typeof Proxy === 'undefined'
+        || typeof Reflect === 'undefined'
+        || typeof WeakMap === 'undefined') {
+        return null;
+    }
+
+    const nativeDefineProperty = Object.defineProperty;
+    const nativeDefineProperties = Object.defineProperties;
+    const nativeReflectDefineProperty = Reflect.defineProperty;
+    const interceptors = [];
+
+    const intercept = (object, prop, descriptor) => {
+        // interceptors may be removed while the definition is handled
+        return interceptors.slice().some((interceptor) => interceptor(object, prop, descriptor));
+    };
+
+    const definePropertyHandler = {
+        apply: (target, thisArg, args) => {
+            const object = args[0];
+            if (intercept(object, args[1], args[2])) {
+                return object;
+            }
+            return Reflect.apply(target, thisArg, args);
+        },
+    };
+
+    const definePropertiesHandler = {
+        apply: (target, thisArg, args) => {
+            const object = args[0];
+            const descriptors = args[1];
+            if (typeof descriptors !== 'object' || descriptors === null) {
+                return Reflect.apply(target, thisArg, args);
+            }
+            const interceptedKeys = Object.keys(descriptors).filter((prop) => {
+                return intercept(object, prop, descriptors[prop]);
+            });
+            if (interceptedKeys.length === 0) {
+                return Reflect.apply(target, thisArg, args);
+            }
+            // other properties should be defined at once to keep the native behavior
+            const restDescriptors = {};
+            Object.keys(descriptors).forEach((prop) => {
+                if (interceptedKeys.indexOf(prop) === -1) {
+                    restDescriptors[prop] = descriptors[prop];
+                }
+            });
+            if (typeof Object.getOwnPropertySymbols === 'function') {
+                Object.getOwnPropertySymbols(descriptors).forEach((symbol) => {
+                    restDescriptors[symbol] = descriptors[symbol];
+                });
+            }
+            return Reflect.apply(target, thisArg, [object, restDescriptors]);
+        },
+    };
+
+    const reflectDefinePropertyHandler = {
+        apply: (target, thisArg, args) => {
+            if (intercept(args[0], args[1], args[2])) {
+                return true;
+            }
+            return Reflect.apply(target, thisArg, args);
+        },
+    };
+
+    // eslint-disable-next-line compat/compat
+    const patchedToNative = new WeakMap();
+    const definePropertyProxy = new Proxy(nativeDefineProperty, definePropertyHandler);
+    const definePropertiesProxy = new Proxy(nativeDefineProperties, definePropertiesHandler);
+    patchedToNative.set(definePropertyProxy, nativeDefineProperty);
+    patchedToNative.set(definePropertiesProxy, nativeDefineProperties);
+    let reflectDefinePropertyProxy = null;
+    if (typeof nativeReflectDefineProperty === 'function') {
+        reflectDefinePropertyProxy = new Proxy(
+            nativeReflectDefineProperty,
+            reflectDefinePropertyHandler,
+        );
+        patchedToNative.set(reflectDefinePropertyProxy, nativeReflectDefineProperty);
+    }
+    let restoreToString = null;
+
+    const patch = () => {
+        restoreToString = hidePatchedToString(patchedToNative);
+        Object.defineProperty = definePropertyProxy;
+        Object.defineProperties = definePropertiesProxy;
+        if (reflectDefinePropertyProxy) {
+            Reflect.defineProperty = reflectDefinePropertyProxy;
+        }
+    };
+
+    // methods patched by the page after the guard should not be restored
+    const restore = () => {
+        if (Object.defineProperty === definePropertyProxy) {
+            Object.defineProperty = nativeDefineProperty;
+        }
+        if (Object.defineProperties === definePropertiesProxy) {
+            Object.defineProperties = nativeDefineProperties;
+        }
+        if (reflectDefinePropertyProxy && Reflect.defineProperty === reflectDefinePropertyProxy) {
+            Reflect.defineProperty = nativeReflectDefineProperty;
+        }
+        if (typeof restoreToString === 'function') {
+            restoreToString();
+            restoreToString = null;
+        }
+    };
+
+    return {
+        nativeDefineProperty,
+        add(interceptor) {
+            if (interceptors.indexOf(interceptor) > -1) {
+                return;
+            }
+            interceptors.push(interceptor);
+            if (interceptors.length === 1) {
+                patch();
+            }
+        },
+        remove(interceptor) {
+            const index = interceptors.indexOf(interceptor);
+            if (index === -1) {
+                return;
+            }
+            interceptors.splice(index, 1);
+            if (interceptors.length === 0) {
+                restore();
+            }
+        },
+    };
+}
+
+/**
+ * Traps the property chain so the end property returns the constant value
+ * even if the chain is not defined yet and is set later by the page script.
+ *
+ * The constant value is replaced by the value set by the page script
+ * if the types of values differ, so the site can still work with its own value.
+ *
+ * If `shouldRemove` option is set, the end property is deleted instead,
+ * and it is deleted again from the objects returned by the chain on each access,
+ * so it is kept removed if it is assigned later via the chain,
+ * or if the objects in the chain are replaced;
+ * property of `window` itself can not be followed after it is deleted.
+ *
+ * While some part of the chain is missing, the property definitions made by the page
+ * on the trapped objects are intercepted via the guard, see `createDefinePropertyGuard()`,
+ * so the trapped properties are not lost if they are redefined, e.g. by transpiled classes.
+ *
+ * @param {Source} source scriptlet properties
+ * @param {string} property path to a property joined with `.`
+ * @param {any} constantValue value to set
+ * @param {Object} [options]
+ * @param {Function} [options.getValue] function returning the value on each property access;
+ * defaults to returning `constantValue` as is
+ * @param {boolean} [options.shouldRemove=false] whether the end property should be removed
+ */
+export function setConstantInChain(source, property, constantValue, options = {}) {
+    const { getValue, shouldRemove = false } = options;
+    // eslint-disable-next-line no-console
+    const log = console.log.bind(console);
+    // trapped objects are tracked to follow redefining of their properties,
+    // it is not possible in old browsers without WeakMap
+    const canTrackObjects = typeof WeakMap !== 'undefined';
+    const defineGuard = canTrackObjects ? createDefinePropertyGuard() : null;
+    // the guard keeps the native method as Object.defineProperty may be patched by it
+    const nativeDefineProperty = defineGuard
+        ? defineGuard.nativeDefineProperty
+        : Object.defineProperty;
+    // object -> { [prop]: chain or '' for the end prop }
+    // eslint-disable-next-line compat/compat
+    const trappedProps = canTrackObjects ? new WeakMap() : null;
+    // object -> { [chain]: true }
+    // eslint-disable-next-line compat/compat
+    const trappedChains = canTrackObjects ? new WeakMap() : null;
+
+    const getTrackedData = (map, object) => {
+        let data = map.get(object);
+        if (!data) {
+            data = Object.create(null);
+            map.set(object, data);
+        }
+        return data;
+    };
+
+    // the chain is complete when its end property has a value set by the page
+    // or it has been removed
+    let isChainComplete = false;
+
+    let canceled = false;
+    const mustCancel = (value) => {
+        if (canceled) {
+            return canceled;
+        }
+        canceled = value !== undefined
+            && constantValue !== undefined
+            && typeof value !== typeof constantValue;
+        return canceled;
+    };
+
+    const getConstantValue = () => {
+        // value set by the page should be returned as is after canceling
+        if (canceled || typeof getValue !== 'function') {
+            return constantValue;
+        }
+        return getValue();
+    };
+
+    /**
+     * Applies the property definition made by the page to the trapped property
+     * @param {Object} object object on which the property is being defined
+     * @param {string} prop property name
+     * @param {Object} descriptor property descriptor
+     * @returns {boolean} false if the property is not trapped and should be defined natively
+     */
+    const defineTrappedProp = (object, prop, descriptor) => {
+        if (!(object instanceof Object) || typeof descriptor !== 'object' || descriptor === null) {
+            return false;
+        }
+        // only the trapped object itself matters, e.g. instances may have own properties
+        const props = trappedProps.get(object);
+        if (!props || typeof props[prop] !== 'string') {
+            return false;
+        }
+        const chain = props[prop];
+        const trapDescriptor = Object.getOwnPropertyDescriptor(object, prop);
+        if (!trapDescriptor || typeof trapDescriptor.set !== 'function') {
+            return false;
+        }
+        if (Object.prototype.hasOwnProperty.call(descriptor, 'value')) {
+            // defined value is handled as it is assigned
+            trapDescriptor.set.call(object, descriptor.value);
+            return true;
+        }
+        if (chain !== '' && typeof descriptor.get === 'function') {
+            // getter defined in the middle of the chain should keep the chain trapped
+            const pageGetter = descriptor.get;
+            const wrappedDescriptor = {};
+            Object.keys(descriptor).forEach((key) => {
+                wrappedDescriptor[key] = descriptor[key];
+            });
+            wrappedDescriptor.get = function get() {
+                const value = pageGetter.call(this);
+                if (value instanceof Object) {
+                    // eslint-disable-next-line no-use-before-define
+                    setChainPropAccess(value, chain);
+                }
+                return value;
+            };
+            nativeDefineProperty(object, prop, wrappedDescriptor);
+            return true;
+        }
+        // accessor of the end property is defined natively,
+        // so it throws the same TypeError as for any non-configurable property
+        return false;
+    };
+
+    /**
+     * Intercepts the property definitions via the shared guard while some part of the chain
+     * is still missing, and stops intercepting once the chain is complete
+     */
+    const updateDefineGuard = () => {
+        if (!defineGuard) {
+            return;
+        }
+        if (isChainComplete) {
+            defineGuard.remove(defineTrappedProp);
+        } else {
+            defineGuard.add(defineTrappedProp);
+        }
+    };
+
+    const trapProp = (base, prop, configurable, handler) => {
+        if (!handler.init(base[prop])) {
+            return false;
+        }
+
+        const origDescriptor = Object.getOwnPropertyDescriptor(base, prop);
+        let prevSetter;
+        // This is required to prevent scriptlets overwrite each over
+        if (origDescriptor instanceof Object) {
+            // This check is required to avoid defining non-configurable props
+            if (!origDescriptor.configurable) {
+                if (source.verbose) {
+                    log(`${source.name}: property '${prop}' is not configurable`);
+                }
+                return false;
+            }
+
+            base[prop] = getConstantValue();
+            if (origDescriptor.set instanceof Function) {
+                prevSetter = origDescriptor.set;
+            }
+        }
+        nativeDefineProperty(base, prop, {
+            configurable,
+            get() {
+                return handler.get();
+            },
+            set(a) {
+                if (prevSetter !== undefined) {
+                    prevSetter(a);
+                }
+                handler.set(a);
+            },
+        });
+        if (canTrackObjects) {
+            getTrackedData(trappedProps, base)[prop] = handler.chain || '';
+        }
+        return true;
+    };
+
+    /**
+     * Deletes own property of the object, so it does not exist anymore
+     * @param {Object} base object the property is deleted from
+     * @param {string} prop property name
+     * @returns {boolean} true if the existing property has been deleted
+     */
+    const removeProp = (base, prop) => {
+        if (!(base instanceof Object) || !Object.prototype.hasOwnProperty.call(base, prop)) {
+            return false;
+        }
+        const origDescriptor = Object.getOwnPropertyDescriptor(base, prop);
+        if (!origDescriptor.configurable) {
+            if (source.verbose) {
+                log(`${source.name}: property '${prop}' is not configurable`);
+            }
+            return false;
+        }
+        delete base[prop];
+        hit(source);
+        isChainComplete = true;
+        return true;
+    };
+
+    const setChainPropAccess = (owner, property) => {
+        if (canTrackObjects) {
+            // the same object may be assigned to the chain several times
+            const chains = getTrackedData(trappedChains, owner);
+            if (chains[property]) {
+                return;
+            }
+            chains[property] = true;
+        }
+
+        const dotIndex = property.indexOf('.');
+        // each object in the chain is followed if the property should be removed,
+        // even if the chain is defined, so the property is removed again on the later assignments
+        const chainInfo = shouldRemove && dotIndex > -1
+            ? {
+                base: owner,
+                prop: property.slice(0, dotIndex),
+                chain: property.slice(dotIndex + 1),
+            }
+            : getPropertyInChain(owner, property);
+        const { base } = chainInfo;
+        const { prop, chain } = chainInfo;
+
+        // Handler method init is used to keep track of factual value
+        // and apply mustCancel() check only on end prop
+        const undefPropHandler = {
+            chain,
+            factValue: undefined,
+            init(a) {
+                this.factValue = a;
+                return true;
+            },
+            get() {
+                // the end property may be assigned again to the object after it has been removed
+                if (shouldRemove && chain.indexOf('.') === -1 && removeProp(this.factValue, chain)) {
+                    updateDefineGuard();
+                }
+                return this.factValue;
+            },
+            set(a) {
+                // Prevent breakage due to loop assignments like win.obj = win.obj
+                if (this.factValue === a) {
+                    return;
+                }
+
+                this.factValue = a;
+                if (a instanceof Object) {
+                    // new object may miss the rest of the chain
+                    isChainComplete = false;
+                    setChainPropAccess(a, chain);
+                    updateDefineGuard();
+                }
+            },
+        };
+        const endPropHandler = {
+            init(a) {
+                if (mustCancel(a)) {
+                    return false;
+                }
+                if (a !== undefined) {
+                    isChainComplete = true;
+                }
+                return true;
+            },
+            get() {
+                return getConstantValue();
+            },
+            set(a) {
+                isChainComplete = true;
+                updateDefineGuard();
+                if (!mustCancel(a)) {
+                    return;
+                }
+                constantValue = a;
+            },
+        };
+
+        // End prop case
+        if (!chain) {
+            if (shouldRemove) {
+                removeProp(base, prop);
+                return;
+            }
+            const isTrapped = trapProp(base, prop, false, endPropHandler);
+            if (isTrapped) {
+                hit(source);
+            }
+            return;
+        }
+
+        // Defined prop in chain
+        const propValue = owner[prop];
+        if (propValue instanceof Object || (typeof propValue === 'object' && propValue !== null)) {
+            setChainPropAccess(propValue, chain);
+        }
+
+        // Undefined prop in chain
+        trapProp(base, prop, true, undefPropHandler);
+    };
+
+    setChainPropAccess(window, property);
+    updateDefineGuard();
+}
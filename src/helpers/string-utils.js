@@ -96,7 +96,11 @@ export const startsWith = (str, prefix) => {
 export const endsWith = (str, ending) => {
     // if str === '', (str && false) will return ''
     // that's why it has to be !!str
-    return !!str && str.indexOf(ending) === str.length - ending.length;
+    // ending longer than the string is not found, but -1 of lastIndexOf()
+    // is equal to the length difference if the ending is longer by one
+    return !!str
+        && str.length >= ending.length
+        && str.lastIndexOf(ending) === str.length - ending.length;
 };
 
 export const substringAfter = (str, separator) => {
@@ -105,6 +105,31 @@ const getScriptletByName = (name) => {
         });
 };
 
+/**
+ * Trusted scriptlets names prefix
+ */
+const TRUSTED_SCRIPTLETS_PREFIX = 'trusted-';
+
+/**
+ * Checks if the scriptlet is trusted, i.e. it is allowed only in trusted filters
+ * @param {string} name - Scriptlet name
+ * @returns {boolean}
+ */
+const isTrustedScriptletName = (name) => startsWith(name, TRUSTED_SCRIPTLETS_PREFIX);
+
+/**
+ * Suffix of the scriptlets aliases which apply the rule inside workers created by the page as well
+ */
+const WORKERS_PROPAGATION_SUFFIX = '-in-workers';
+
+/**
+ * Checks if the scriptlet should be applied inside workers as well,
+ * i.e. it is applied by its alias with `-in-workers` suffix
+ * @param {string} name - Scriptlet name
+ * @returns {boolean}
+ */
+const isWorkersPropagationName = (name) => endsWith(name, WORKERS_PROPAGATION_SUFFIX);
+
 /**
  * Checks if the scriptlet name is valid
  * @param {string} name - Scriptlet name
@@ -420,6 +445,8 @@ const validator = {
     isAbpSnippetRule,
     getScriptletByName,
     isValidScriptletName,
+    isTrustedScriptletName,
+    isWorkersPropagationName,
     ADG_UBO_REDIRECT_RULE_MARKER,
     REDIRECT_RULE_TYPES,
     ABSENT_SOURCE_TYPE_REPLACEMENT,
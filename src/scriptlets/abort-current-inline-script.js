@@ -1,12 +1,17 @@
 import {
     randomId,
-    setPropertyAccess,
-    getPropertyInChain,
     toRegExp,
-    startsWith,
     createOnErrorHandler,
     hit,
+    getCurrentScript,
+    getInlineScriptContent,
+    setAbortingPropAccess,
+    // following helpers should be imported and injected
+    // because they are used by helpers above
+    startsWith,
+    getPropertyInChain,
     getDescriptorAddon,
+    setPropertyAccess,
 } from '../helpers/index';
 
 /* eslint-disable max-len */
@@ -77,16 +82,6 @@ export function abortCurrentInlineScript(source, property, search) {
     const searchRegexp = toRegExp(search);
     const rid = randomId();
 
-    const SRC_DATA_MARKER = 'data:text/javascript;base64,';
-
-    const getCurrentScript = () => {
-        if ('currentScript' in document) {
-            return document.currentScript; // eslint-disable-line compat/compat
-        }
-        const scripts = document.getElementsByTagName('script');
-        return scripts[scripts.length - 1];
-    };
-
     const ourScript = getCurrentScript();
 
     const abort = () => {
@@ -94,24 +89,7 @@ export function abortCurrentInlineScript(source, property, search) {
         if (!scriptEl) {
             return;
         }
-        let content = scriptEl.textContent;
-
-        // We are using Node.prototype.textContent property descriptor
-        // to get the real script content
-        // even when document.currentScript.textContent is replaced.
-        // https://github.com/AdguardTeam/Scriptlets/issues/57#issuecomment-593638991
-        try {
-            const textContentGetter = Object.getOwnPropertyDescriptor(Node.prototype, 'textContent').get;
-            content = textContentGetter.call(scriptEl);
-        } catch (e) { } // eslint-disable-line no-empty
-
-        // https://github.com/AdguardTeam/Scriptlets/issues/130
-        if (content.length === 0
-            && typeof scriptEl.src !== 'undefined'
-            && startsWith(scriptEl.src, SRC_DATA_MARKER)) {
-            const encodedContent = scriptEl.src.slice(SRC_DATA_MARKER.length);
-            content = window.atob(encodedContent);
-        }
+        const content = getInlineScriptContent(scriptEl);
 
         if (scriptEl instanceof HTMLScriptElement
             && content.length > 0
@@ -122,81 +100,7 @@ export function abortCurrentInlineScript(source, property, search) {
         }
     };
 
-    const setChainPropAccess = (owner, property) => {
-        const chainInfo = getPropertyInChain(owner, property);
-        let { base } = chainInfo;
-        const { prop, chain } = chainInfo;
-
-        // The scriptlet might be executed before the chain property has been created
-        // (for instance, document.body before the HTML body was loaded).
-        // In this case we're checking whether the base element exists or not
-        // and if not, we simply exit without overriding anything.
-        // e.g. https://github.com/AdguardTeam/Scriptlets/issues/57#issuecomment-575841092
-        if (base instanceof Object === false && base === null) {
-            const props = property.split('.');
-            const propIndex = props.indexOf(prop);
-            const baseName = props[propIndex - 1];
-            console.log(`The scriptlet had been executed before the ${baseName} was loaded.`); // eslint-disable-line no-console, max-len
-            return;
-        }
-
-        if (chain) {
-            const setter = (a) => {
-                base = a;
-                if (a instanceof Object) {
-                    setChainPropAccess(a, chain);
-                }
-            };
-            Object.defineProperty(owner, prop, {
-                get: () => base,
-                set: setter,
-            });
-            return;
-        }
-
-        let currentValue = base[prop];
-        let origDescriptor = Object.getOwnPropertyDescriptor(base, prop);
-        if (origDescriptor instanceof Object === false
-            || origDescriptor.get instanceof Function === false) {
-            currentValue = base[prop];
-            origDescriptor = undefined;
-        }
-
-        const descriptorWrapper = Object.assign(getDescriptorAddon(), {
-            currentValue,
-            get() {
-                if (!this.isAbortingSuspended) {
-                    this.isolateCallback(abort);
-                }
-                if (origDescriptor instanceof Object) {
-                    return origDescriptor.get.call(base);
-                }
-                return currentValue;
-            },
-            set(newValue) {
-                if (!this.isAbortingSuspended) {
-                    this.isolateCallback(abort);
-                }
-                if (origDescriptor instanceof Object) {
-                    origDescriptor.set.call(base, newValue);
-                } else {
-                    this.currentValue = newValue;
-                }
-            },
-        });
-
-        setPropertyAccess(base, prop, {
-            // Call wrapped getter and setter to keep isAbortingSuspended & isolateCallback values
-            get() {
-                return descriptorWrapper.get.call(descriptorWrapper);
-            },
-            set(newValue) {
-                descriptorWrapper.set.call(descriptorWrapper, newValue);
-            },
-        });
-    };
-
-    setChainPropAccess(window, property);
+    setAbortingPropAccess(window, property, abort);
 
     window.onerror = createOnErrorHandler(rid)
         .bind();
@@ -205,14 +109,6 @@ export function abortCurrentInlineScript(source, property, search) {
 abortCurrentInlineScript.names = [
     'abort-current-inline-script',
     // aliases are needed for matching the related scriptlet converted into our syntax
-    'abort-current-script.js',
-    'ubo-abort-current-script.js',
-    'acs.js',
-    'ubo-acs.js',
-    // "ubo"-aliases with no "js"-ending
-    'ubo-abort-current-script',
-    'ubo-acs',
-    // obsolete but supported aliases
     'abort-current-inline-script.js',
     'ubo-abort-current-inline-script.js',
     'acis.js',
@@ -224,11 +120,14 @@ abortCurrentInlineScript.names = [
 
 abortCurrentInlineScript.injections = [
     randomId,
-    setPropertyAccess,
-    getPropertyInChain,
     toRegExp,
-    startsWith,
     createOnErrorHandler,
     hit,
+    getCurrentScript,
+    getInlineScriptContent,
+    setAbortingPropAccess,
+    startsWith,
+    getPropertyInChain,
     getDescriptorAddon,
+    setPropertyAccess,
 ];
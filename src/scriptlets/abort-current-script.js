@@ -0,0 +1,239 @@
+import {
+    randomId,
+    toRegExp,
+    startsWith,
+    createOnErrorHandler,
+    hit,
+    getCurrentScript,
+    getInlineScriptContent,
+    setAbortingPropAccess,
+    // following helpers should be imported and injected
+    // because they are used by helpers above
+    getPropertyInChain,
+    getDescriptorAddon,
+    setPropertyAccess,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet abort-current-script
+ *
+ * @description
+ * Aborts a script when it attempts to **read** or **write to** the specified property
+ * AND when the script matches the specified text or the regular expression.
+ * Unlike [abort-current-inline-script](#abort-current-inline-script) it works for external scripts as well:
+ * the `src` URL of the external script and its source text are matched.
+ *
+ * > The source text of the same-origin external script is requested once again asynchronously
+ * as soon as the script element is added to the page, so it is expected to be taken from the browser cache.
+ * The script is matched by its source text only if the text has been received before the script is executed,
+ * otherwise it is matched only by its URL, e.g. parser-blocking scripts are usually executed earlier.
+ * Cross-origin scripts are not requested to avoid CORS errors, so they are matched only by their URL.
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('abort-current-script', properties[, search])
+ * ```
+ *
+ * - `properties` - required, string of space-separated paths to properties (joined with `.` if needed).
+ * The properties must be attached to `window`
+ * - `search` - optional, string or regular expression that must match the inline script content
+ * or the `src` URL of the external script or its source text.
+ * Defaults to abort all scripts which are trying to access the specified properties.
+ * Invalid regular expression will cause exit and rule will not work.
+ *
+ * > Note please that for script with addEventListener in it
+ * `property` should be set as `EventTarget.prototype.addEventListener`,
+ * not just `addEventListener`.
+ *
+ * **Examples**
+ * 1. Aborts all scripts trying to access `window.alert`
+ *     ```
+ *     example.org#%#//scriptlet('abort-current-script', 'alert')
+ *     ```
+ *
+ * 2. Aborts scripts loaded from `/assets/detector.js` which are trying to access `window.alert` or `document.createElement`
+ *     ```
+ *     example.org#%#//scriptlet('abort-current-script', 'alert document.createElement', '/assets/detector.js')
+ *     ```
+ *
+ * 3. Aborts scripts which are trying to access `window.alert` and match this regexp: `/Hello.+world/`.
+ *     ```
+ *     example.org#%#//scriptlet('abort-current-script', 'alert', '/Hello.+world/')
+ *     ```
+ *
+ *     For instance, the following scripts will be aborted:
+ *     ```html
+ *     <script>alert("Hello, big world");</script>
+ *     ```
+ *     ```html
+ *     <!-- if script.js contains `alert("Hello, little world");` -->
+ *     <script src="script.js"></script>
+ *     ```
+ */
+/* eslint-enable max-len */
+export function abortCurrentScript(source, properties, search) {
+    if (!properties) {
+        return;
+    }
+
+    const searchRegexp = toRegExp(search);
+    const rid = randomId();
+
+    const SRC_DATA_MARKER = 'data:text/javascript;base64,';
+    const PROPERTIES_SEPARATOR = /\s+/;
+
+    // fetch may be modified by the page later
+    // eslint-disable-next-line compat/compat
+    const nativeFetch = typeof window.fetch === 'function' ? window.fetch.bind(window) : null;
+    // src -> source text of the external script
+    const fetchedSources = Object.create(null);
+
+    const ourScript = getCurrentScript();
+
+    /**
+     * Checks whether the script is external one, i.e. it is not inline or `data:` url script
+     * @param {HTMLScriptElement} scriptEl
+     * @returns {boolean}
+     */
+    const isExternalScript = (scriptEl) => {
+        const { src } = scriptEl;
+        return typeof src === 'string'
+            && src.length > 0
+            && !startsWith(src, SRC_DATA_MARKER);
+    };
+
+    /**
+     * Checks whether the url has the same origin as the page,
+     * so it can be requested without CORS errors
+     * @param {string} url absolute url
+     * @returns {boolean}
+     */
+    const isSameOriginUrl = (url) => {
+        try {
+            // eslint-disable-next-line compat/compat
+            return new URL(url).origin === window.location.origin;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    /**
+     * Requests the source text of the same-origin external script once and caches it,
+     * so it is available synchronously when the script is executed.
+     * Scripts matched by their URL are not requested
+     * @param {HTMLScriptElement} scriptEl
+     */
+    const prefetchSource = (scriptEl) => {
+        if (!nativeFetch || !isExternalScript(scriptEl) || !isSameOriginUrl(scriptEl.src)) {
+            return;
+        }
+        const { src } = scriptEl;
+        if (src in fetchedSources || searchRegexp.test(src)) {
+            return;
+        }
+        fetchedSources[src] = '';
+        nativeFetch(src, { credentials: 'same-origin' })
+            .then((response) => (response.ok ? response.text() : ''))
+            .then((text) => {
+                fetchedSources[src] = text;
+            })
+            .catch(() => {
+                // e.g. network error, the script is matched only by its url then
+            });
+    };
+
+    /**
+     * Checks whether the script matches the search
+     * @param {HTMLScriptElement} scriptEl
+     * @returns {boolean}
+     */
+    const isMatchingScript = (scriptEl) => {
+        if (isExternalScript(scriptEl)) {
+            const { src } = scriptEl;
+            return searchRegexp.test(src)
+                || (!!fetchedSources[src] && searchRegexp.test(fetchedSources[src]));
+        }
+
+        const content = getInlineScriptContent(scriptEl);
+        return content.length > 0
+            && searchRegexp.test(content);
+    };
+
+    const abort = () => {
+        const scriptEl = getCurrentScript();
+        if (!scriptEl) {
+            return;
+        }
+
+        if (scriptEl instanceof HTMLScriptElement
+            && scriptEl !== ourScript
+            && isMatchingScript(scriptEl)) {
+            hit(source);
+            throw new ReferenceError(rid);
+        }
+    };
+
+    properties
+        .trim()
+        .split(PROPERTIES_SEPARATOR)
+        .forEach((property) => {
+            setAbortingPropAccess(window, property, abort);
+        });
+
+    window.onerror = createOnErrorHandler(rid)
+        .bind();
+
+    // all scripts are matched if there is no search so there is no need to request them
+    if (!search || !nativeFetch || typeof MutationObserver === 'undefined') {
+        return;
+    }
+
+    // other existing scripts have been executed already
+    const existingScripts = document.querySelectorAll('script[async], script[defer]');
+    for (let i = 0; i < existingScripts.length; i += 1) {
+        prefetchSource(existingScripts[i]);
+    }
+
+    // observer callback is not throttled to request the scripts before they are executed
+    // eslint-disable-next-line compat/compat
+    const observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+            mutation.addedNodes.forEach((node) => {
+                if (node instanceof HTMLScriptElement) {
+                    prefetchSource(node);
+                }
+            });
+        });
+    });
+    observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+    });
+}
+
+abortCurrentScript.names = [
+    'abort-current-script',
+    // aliases are needed for matching the related scriptlet converted into our syntax
+    'abort-current-script.js',
+    'ubo-abort-current-script.js',
+    'acs.js',
+    'ubo-acs.js',
+    // "ubo"-aliases with no "js"-ending
+    'ubo-abort-current-script',
+    'ubo-acs',
+];
+
+abortCurrentScript.injections = [
+    randomId,
+    toRegExp,
+    startsWith,
+    createOnErrorHandler,
+    hit,
+    getCurrentScript,
+    getInlineScriptContent,
+    setAbortingPropAccess,
+    getPropertyInChain,
+    getDescriptorAddon,
+    setPropertyAccess,
+];
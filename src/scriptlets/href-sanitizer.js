@@ -0,0 +1,220 @@
+import {
+    hit,
+    observeDOMChanges,
+    startsWith,
+    endsWith,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet href-sanitizer
+ *
+ * @description
+ * Sets `href` attribute of the links matched by selector to the real destination
+ * extracted from the link text, its attribute or the query parameter of its URL,
+ * so tracking redirectors like `/out?url=...` are skipped.
+ * The destination should be a valid `http:` or `https:` URL, otherwise the link is not modified.
+ * The links are sanitized once the page is loaded and after that each time they are added or changed.
+ *
+ * Related UBO scriptlet:
+ * https://github.com/gorhill/uBlock/wiki/Resources-Library#href-sanitizerjs-
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('href-sanitizer', selector[, attribute[, transform]])
+ * ```
+ *
+ * - `selector` — required, CSS selector of the links which `href` should be sanitized
+ * - `attribute` — optional, source of the destination URL, defaults to `text`; possible values:
+ *     - `text` — text content of the link
+ *     - `[<attribute-name>]` — value of the link attribute, e.g. `[data-href]`
+ *     - `?<parameter-name>` — value of the query parameter of the link URL, e.g. `?url`
+ * - `transform` — optional, transformation of the extracted value; possible values:
+ *     - `base64decode` — value is decoded from base64
+ *
+ * **Examples**
+ * 1. Set `href` to the text of the link
+ *     ```
+ *     example.org#%#//scriptlet('href-sanitizer', 'a[href*="/out?"]')
+ *     ```
+ *
+ *     ```html
+ *     <!-- before -->
+ *     <a href="https://example.org/out?id=123">https://example.com/page</a>
+ *
+ *     <!-- after -->
+ *     <a href="https://example.com/page">https://example.com/page</a>
+ *     ```
+ *
+ * 2. Set `href` to the value of `data-href` attribute
+ *     ```
+ *     example.org#%#//scriptlet('href-sanitizer', 'a[data-href]', '[data-href]')
+ *     ```
+ *
+ * 3. Set `href` to the value of `url` query parameter
+ *     ```
+ *     example.org#%#//scriptlet('href-sanitizer', 'a[href*="/redirect?url="]', '?url')
+ *     ```
+ *
+ *     ```html
+ *     <!-- before -->
+ *     <a href="https://example.org/redirect?url=https%3A%2F%2Fexample.com%2Fpage&ref=1">Link</a>
+ *
+ *     <!-- after -->
+ *     <a href="https://example.com/page">Link</a>
+ *     ```
+ *
+ * 4. Set `href` to the base64-decoded value of `target` query parameter
+ *     ```
+ *     example.org#%#//scriptlet('href-sanitizer', 'a[href*="/go?target="]', '?target', 'base64decode')
+ *     ```
+ */
+/* eslint-enable max-len */
+export function hrefSanitizer(source, selector, attribute = 'text', transform = '') {
+    if (!selector) {
+        return;
+    }
+
+    const TEXT_SOURCE = 'text';
+    const ATTRIBUTE_SOURCE_START = '[';
+    const ATTRIBUTE_SOURCE_END = ']';
+    const QUERY_PARAM_SOURCE_START = '?';
+    const BASE64_DECODE_TRANSFORM = 'base64decode';
+    const VALID_PROTOCOLS = ['http:', 'https:'];
+
+    const isAttributeSource = startsWith(attribute, ATTRIBUTE_SOURCE_START)
+        && endsWith(attribute, ATTRIBUTE_SOURCE_END)
+        && attribute.length > 2;
+    const isQueryParamSource = startsWith(attribute, QUERY_PARAM_SOURCE_START)
+        && attribute.length > 1;
+
+    if ((attribute !== TEXT_SOURCE && !isAttributeSource && !isQueryParamSource)
+        || (transform !== '' && transform !== BASE64_DECODE_TRANSFORM)) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid href-sanitizer arguments: '${attribute}', '${transform}'`);
+        return;
+    }
+
+    const sourceName = isAttributeSource || isQueryParamSource
+        ? attribute.slice(1, isAttributeSource ? -1 : attribute.length)
+        : '';
+
+    /**
+     * Returns value of the query parameter of the url
+     * @param {string} search query string of the url, e.g. `?a=1&b=2`
+     * @param {string} name parameter name
+     * @returns {string|null}
+     */
+    const getQueryParamValue = (search, name) => {
+        const params = search.slice(1).split('&');
+        for (let i = 0; i < params.length; i += 1) {
+            const separatorIndex = params[i].indexOf('=');
+            const paramName = separatorIndex === -1
+                ? params[i]
+                : params[i].slice(0, separatorIndex);
+            if (paramName === name) {
+                const rawValue = separatorIndex === -1
+                    ? ''
+                    : params[i].slice(separatorIndex + 1);
+                try {
+                    return decodeURIComponent(rawValue.replace(/\+/g, ' '));
+                } catch (e) {
+                    return null;
+                }
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Returns extracted destination url or null if it is not found or it is not valid http(s) url
+     * @param {HTMLElement} elem link element
+     * @returns {string|null}
+     */
+    const getDestination = (elem) => {
+        let value = null;
+        if (isAttributeSource) {
+            value = elem.getAttribute(sourceName);
+        } else if (isQueryParamSource) {
+            value = typeof elem.search === 'string'
+                ? getQueryParamValue(elem.search, sourceName)
+                : null;
+        } else {
+            value = elem.textContent;
+        }
+
+        if (!value) {
+            return null;
+        }
+        value = value.trim();
+
+        if (transform === BASE64_DECODE_TRANSFORM) {
+            try {
+                value = window.atob(value);
+            } catch (e) {
+                return null;
+            }
+        }
+
+        try {
+            // eslint-disable-next-line compat/compat
+            const url = new URL(value);
+            return VALID_PROTOCOLS.indexOf(url.protocol) > -1 ? url.href : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const sanitizeHrefs = () => {
+        let elements = [];
+        try {
+            elements = [].slice.call(document.querySelectorAll(selector));
+        } catch (e) {
+            // eslint-disable-next-line no-console
+            console.log(`Invalid href-sanitizer selector arg: '${selector}'`);
+            return;
+        }
+
+        let sanitized = false;
+        elements.forEach((elem) => {
+            if (!elem.hasAttribute('href')) {
+                return;
+            }
+            const destination = getDestination(elem);
+            if (destination === null || destination === elem.getAttribute('href')) {
+                return;
+            }
+            elem.setAttribute('href', destination);
+            sanitized = true;
+        });
+
+        if (sanitized) {
+            hit(source);
+        }
+    };
+
+    if (document.readyState === 'loading') {
+        window.addEventListener('DOMContentLoaded', sanitizeHrefs, { once: true });
+    } else {
+        sanitizeHrefs();
+    }
+
+    // links may be changed after they are added, so their attributes are observed as well
+    const attrsToObserve = isAttributeSource ? ['href', sourceName] : ['href'];
+    observeDOMChanges(sanitizeHrefs, true, attrsToObserve);
+}
+
+hrefSanitizer.names = [
+    'href-sanitizer',
+    // aliases are needed for matching the related scriptlet converted into our syntax
+    'href-sanitizer.js',
+    'ubo-href-sanitizer.js',
+    'ubo-href-sanitizer',
+];
+
+hrefSanitizer.injections = [
+    hit,
+    observeDOMChanges,
+    startsWith,
+    endsWith,
+];
@@ -1,6 +1,10 @@
 import { redirects } from '../redirects';
 import validator from '../helpers/validator';
-import { passSourceAndProps, wrapInNonameFunc } from '../helpers/injector';
+import {
+    passSourceAndProps,
+    wrapInNonameFunc,
+    addWorkersPropagation,
+} from '../helpers/injector';
 import {
     isValidScriptletRule,
     convertUboScriptletToAdg,
@@ -23,6 +27,8 @@ import { getScriptletFunction } from '../../tmp/scriptlets-func';
  * @property {boolean} [verbose] flag to enable printing to console debug information
  * @property {string} [ruleText] Source rule text is used for debugging purposes
  * @property {string} [domainName] domain name where scriptlet is applied; for debugging purposes
+ * @property {boolean} [isTrusted] flag to allow trusted scriptlets;
+ * should be set only for the rules of trusted filters
  */
 
 /**
@@ -35,11 +41,21 @@ function getScriptletCode(source) {
         return null;
     }
 
+    // trusted scriptlets are allowed only in trusted filters
+    if (validator.isTrustedScriptletName(source.name) && source.isTrusted !== true) {
+        return null;
+    }
+
     const scriptletFunction = getScriptletFunction(source.name).toString();
-    const result = source.engine === 'corelibs' || source.engine === 'test'
-        ? wrapInNonameFunc(scriptletFunction)
-        : passSourceAndProps(source, scriptletFunction);
-    return result;
+    if (source.engine === 'corelibs' || source.engine === 'test') {
+        return wrapInNonameFunc(scriptletFunction);
+    }
+
+    const result = passSourceAndProps(source, scriptletFunction);
+    // some scriptlets may be applied inside workers as well by their special aliases
+    return validator.isWorkersPropagationName(source.name)
+        ? addWorkersPropagation(result)
+        : result;
 }
 
 /**
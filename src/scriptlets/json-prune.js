@@ -2,10 +2,23 @@ import {
     hit,
     matchStackTrace,
     getWildcardPropertyInChain,
+    matchRequestProps,
+    interceptResponses,
     // following helpers are needed for helpers above
     toRegExp,
     getWildcardSymbol,
     getNativeRegexpTest,
+    isValidStrPattern,
+    escapeRegExp,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
+    getRequestData,
+    getObjectFromEntries,
+    getFetchData,
+    modifyResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
 } from '../helpers/index';
 
 /* eslint-disable max-len */
@@ -13,7 +26,12 @@ import {
  * @scriptlet json-prune
  *
  * @description
- * Removes specified properties from the result of calling JSON.parse and returns the caller
+ * Removes specified properties from the result of calling JSON.parse and returns the caller.
+ * The same pruning is applied to the results of `Response.json()` calls,
+ * and to the responses of `fetch` and `XMLHttpRequest` calls, including `XMLHttpRequest` responses of `json` type.
+ * The rule is applied inside Web Workers and Shared Workers created by the page as well
+ * if it is set by `json-prune-in-workers` alias; it is not applied inside workers by default
+ * as the worker scripts are loaded via blob urls then, which may be blocked by Content Security Policy.
  *
  * Related UBO scriptlet:
  * https://github.com/gorhill/uBlock/wiki/Resources-Library#json-prunejs-
@@ -23,13 +41,18 @@ import {
  *
  * **Syntax**
  * ```
- * example.org#%#//scriptlet('json-prune'[, propsToRemove [, obligatoryProps [, stack]]])
+ * example.org#%#//scriptlet('json-prune'[, propsToRemove [, obligatoryProps [, stack [, propsToMatch]]]])
  * ```
  *
  * - `propsToRemove` - optional, string of space-separated properties to remove
  * - `obligatoryProps` - optional, string of space-separated properties which must be all present for the pruning to occur
  * - `stack` - optional, string or regular expression that must match the current function call stack trace;
  * if regular expression is invalid it will be skipped
+ * - `propsToMatch` - optional, string of space-separated properties to match the request,
+ * same syntax as `propsToMatch` of [prevent-fetch](#prevent-fetch);
+ * if set, only the responses of matched `fetch` and `XMLHttpRequest` calls are pruned,
+ * and `JSON.parse` and `Response.json()` calls are not affected as they can not be matched with the request;
+ * if not set or empty, the responses of all requests are pruned
  *
  * > Note please that you can use wildcard `*` for chain property name.
  * e.g. 'ad.*.src' instead of 'ad.0.src ad.1.src ad.2.src ...'
@@ -83,12 +106,36 @@ import {
  *     ```
  *     example.org#%#//scriptlet('json-prune', '', '"id":"117458"')
  *     ```
+ *
+ * 8. Removes property `ads` only from the responses of requests to `api/config` endpoint
+ *     ```
+ *     example.org#%#//scriptlet('json-prune', 'ads', '', '', 'api/config')
+ *     ```
+ *
+ * 9. Removes property `ads` only from the responses of POST requests which URL matches the regular expression
+ *     ```
+ *     example.org#%#//scriptlet('json-prune', 'ads', '', '', '/\\/api\\/v\\d+\\// method:POST')
+ *     ```
+ *
+ * 10. Removes property `ads` from the results of `JSON.parse` calls inside workers created by the page as well
+ *     ```
+ *     example.org#%#//scriptlet('json-prune-in-workers', 'ads')
+ *     ```
  */
 /* eslint-enable max-len */
-export function jsonPrune(source, propsToRemove, requiredInitialProps, stack) {
+export function jsonPrune(source, propsToRemove, requiredInitialProps, stack, propsToMatch) {
     if (!!stack && !matchStackTrace(stack, new Error().stack)) {
         return;
     }
+    const shouldMatchRequest = propsToMatch !== undefined && propsToMatch !== '';
+
+    const isRequestMatched = (requestData) => {
+        // all requests are matched if propsToMatch is not set
+        if (!shouldMatchRequest || propsToMatch === getWildcardSymbol()) {
+            return true;
+        }
+        return matchRequestProps(propsToMatch, requestData);
+    };
     // eslint-disable-next-line no-console
     const log = console.log.bind(console);
     const prunePaths = propsToRemove !== undefined && propsToRemove !== ''
@@ -154,16 +201,18 @@ export function jsonPrune(source, propsToRemove, requiredInitialProps, stack) {
     /**
      * Prunes properties of 'root' object
      * @param {Object} root
+     * @returns {boolean} true if any property has been removed
      */
-    const jsonPruner = (root) => {
+    const pruneRoot = (root) => {
         if (prunePaths.length === 0 && requiredPaths.length === 0) {
             log(window.location.hostname, root);
-            return root;
+            return false;
         }
 
+        let isPruned = false;
         try {
             if (isPruningNeeded(root) === false) {
-                return root;
+                return false;
             }
 
             // if pruning is needed, we check every input pathToRemove
@@ -171,8 +220,11 @@ export function jsonPrune(source, propsToRemove, requiredInitialProps, stack) {
             prunePaths.forEach((path) => {
                 const ownerObjArr = getWildcardPropertyInChain(root, path, true);
                 ownerObjArr.forEach((ownerObj) => {
-                    if (ownerObj !== undefined && ownerObj.base) {
+                    // chain owner is returned even if it has no such prop
+                    if (ownerObj !== undefined && ownerObj.base
+                        && Object.prototype.hasOwnProperty.call(ownerObj.base, ownerObj.prop)) {
                         delete ownerObj.base[ownerObj.prop];
+                        isPruned = true;
                         hit(source);
                     }
                 });
@@ -181,10 +233,46 @@ export function jsonPrune(source, propsToRemove, requiredInitialProps, stack) {
             log(e.toString());
         }
 
+        return isPruned;
+    };
+
+    const jsonPruner = (root) => {
+        pruneRoot(root);
         return root;
     };
 
     const nativeJSONParse = JSON.parse;
+
+    /**
+     * Prunes stringified json
+     * @param {string} text
+     * @returns {string} stringified pruned json or the same text
+     * if it is not a valid json or there is nothing to prune
+     */
+    const pruneJsonText = (text) => {
+        let root;
+        try {
+            root = nativeJSONParse.call(JSON, text);
+        } catch (e) {
+            return text;
+        }
+        return pruneRoot(root) ? JSON.stringify(root) : text;
+    };
+
+    // xhr responses of json type are parsed natively, not by JSON.parse,
+    // so the responses are pruned regardless of propsToMatch
+    interceptResponses({
+        isRequestMatched,
+        modifyText: pruneJsonText,
+        modifyJson: jsonPruner,
+    });
+
+    if (shouldMatchRequest) {
+        // JSON.parse and Response.json() calls can not be matched with the request,
+        // so only responses of matched xhr and fetch calls are pruned
+        return;
+    }
+
     const jsonParseWrapper = (...args) => {
         // dealing with stringified json in args, which should be parsed.
         // so we call nativeJSONParse as JSON.parse which is bound to JSON object
@@ -196,6 +284,12 @@ export function jsonPrune(source, propsToRemove, requiredInitialProps, stack) {
     jsonParseWrapper.toString = nativeJSONParse.toString.bind(nativeJSONParse);
     JSON.parse = jsonParseWrapper;
 
+    // do nothing more if browser does not support Response (e.g. Internet Explorer)
+    // https://developer.mozilla.org/en-US/docs/Web/API/Response
+    if (typeof Response === 'undefined') {
+        return;
+    }
+
     // eslint-disable-next-line compat/compat
     const nativeResponseJson = Response.prototype.json;
     // eslint-disable-next-line func-names
@@ -206,18 +300,14 @@ export function jsonPrune(source, propsToRemove, requiredInitialProps, stack) {
         });
     };
 
-    // do nothing if browser does not support Response (e.g. Internet Explorer)
-    // https://developer.mozilla.org/en-US/docs/Web/API/Response
-    if (typeof Response === 'undefined') {
-        return;
-    }
-
     // eslint-disable-next-line compat/compat
     Response.prototype.json = responseJsonWrapper;
 }
 
 jsonPrune.names = [
     'json-prune',
+    // applies the rule inside workers as well
+    'json-prune-in-workers',
     // aliases are needed for matching the related scriptlet converted into our syntax
     'json-prune.js',
     'ubo-json-prune.js',
@@ -229,7 +319,20 @@ jsonPrune.injections = [
     hit,
     matchStackTrace,
     getWildcardPropertyInChain,
+    matchRequestProps,
+    interceptResponses,
     toRegExp,
     getWildcardSymbol,
     getNativeRegexpTest,
+    isValidStrPattern,
+    escapeRegExp,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
+    getRequestData,
+    getObjectFromEntries,
+    getFetchData,
+    modifyResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
 ];
@@ -0,0 +1,253 @@
+import {
+    hit,
+    toRegExp,
+    startsWith,
+    matchRequestProps,
+    interceptResponses,
+    getWildcardSymbol,
+    // following helpers should be imported and injected
+    // because they are used by helpers above
+    isValidStrPattern,
+    escapeRegExp,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
+    getRequestData,
+    getObjectFromEntries,
+    getFetchData,
+    modifyResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet m3u-prune
+ *
+ * @description
+ * Removes media segments from the HLS playlists (`.m3u8`) loaded via `XMLHttpRequest` and `fetch`
+ * if any line of the segment matches the specified string or regular expression.
+ * A segment consists of its URI line and the tags preceding it, e.g. `#EXTINF`, `#EXT-X-CUE-OUT`, `#EXT-X-DISCONTINUITY`,
+ * so they are removed together.
+ * Ad break tags `#EXT-X-CUE-OUT` and `#EXT-X-CUE-IN` are removed in pairs:
+ * both of them are removed if the segment starting the ad break or the segment preceding its end is removed.
+ * Playlist-level tags like `#EXT-X-TARGETDURATION` or `#EXT-X-KEY` are kept,
+ * as well as line breaks and blank lines of the kept segments.
+ *
+ * Related UBO scriptlet:
+ * https://github.com/gorhill/uBlock/wiki/Resources-Library#m3u-prunejs-
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('m3u-prune'[, propsToRemove[, propsToMatch]])
+ * ```
+ *
+ * - `propsToRemove` - optional, string or regular expression matching any line of the segment to remove;
+ * invalid regular expression will cause exit and rule will not work
+ * - `propsToMatch` - optional, string of space-separated properties to match the request;
+ * same syntax as `propsToMatch` of [prevent-fetch](#prevent-fetch); possible props:
+ *   - string or regular expression for matching the URL of the request; empty string or wildcard `*` will match all requests
+ *   - colon-separated pairs `name:value` where
+ *     - `name` is request option name, e.g. `method`
+ *     - `value` is string or regular expression for matching the value of the option
+ *
+ * > Usage with no arguments will log playlists and their URLs to browser console;
+ * which is useful for debugging but prohibited for production filter lists.
+ *
+ * **Examples**
+ * 1. Remove segments which URL contains `/ads/` from all playlists
+ *     ```
+ *     example.org#%#//scriptlet('m3u-prune', '/ads/')
+ *     ```
+ *
+ * 2. Remove segments marked with `#EXT-X-CUE-OUT` tag from playlists which URL contains `.m3u8`
+ *     ```
+ *     example.org#%#//scriptlet('m3u-prune', '#EXT-X-CUE-OUT', '.m3u8')
+ *     ```
+ *
+ * 3. Remove segments matching regular expression from playlists loaded by GET requests
+ *     ```
+ *     example.org#%#//scriptlet('m3u-prune', '/#EXTINF:.+,ad-|\\/ad-\\d+\\.ts/', 'method:GET')
+ *     ```
+ *
+ * 4. Call with no arguments will log playlists and their URLs at the console
+ *     ```
+ *     example.org#%#//scriptlet('m3u-prune')
+ *     ```
+ *
+ * 5. Call with only `propsToMatch` argument will log playlists only for matched requests
+ *     ```
+ *     example.org#%#//scriptlet('m3u-prune', '', '.m3u8')
+ *     ```
+ */
+/* eslint-enable max-len */
+export function m3uPrune(source, propsToRemove, propsToMatch = '') {
+    const M3U_START_MARKER = '#EXTM3U';
+    const TAG_MARKER = '#';
+    const AD_BREAK_START_TAG = '#EXT-X-CUE-OUT';
+    const AD_BREAK_CONT_TAG = '#EXT-X-CUE-OUT-CONT';
+    const AD_BREAK_END_TAG = '#EXT-X-CUE-IN';
+    // tags which are applied to the whole playlist or to all following segments,
+    // so they should not be removed along with the segment
+    const PLAYLIST_TAGS = [
+        '#EXTM3U',
+        '#EXT-X-VERSION',
+        '#EXT-X-TARGETDURATION',
+        '#EXT-X-MEDIA-SEQUENCE',
+        '#EXT-X-DISCONTINUITY-SEQUENCE',
+        '#EXT-X-PLAYLIST-TYPE',
+        '#EXT-X-ENDLIST',
+        '#EXT-X-I-FRAMES-ONLY',
+        '#EXT-X-INDEPENDENT-SEGMENTS',
+        '#EXT-X-START',
+        '#EXT-X-DEFINE',
+        '#EXT-X-SERVER-CONTROL',
+        '#EXT-X-PART-INF',
+        '#EXT-X-KEY',
+        '#EXT-X-MAP',
+        '#EXT-X-MEDIA:',
+        '#EXT-X-I-FRAME-STREAM-INF',
+        '#EXT-X-SESSION-DATA',
+        '#EXT-X-SESSION-KEY',
+    ];
+
+    const shouldLog = !propsToRemove;
+    const pruneRegexp = toRegExp(propsToRemove);
+
+    const isRequestMatched = (requestData) => {
+        if (propsToMatch === '' || propsToMatch === getWildcardSymbol()) {
+            return true;
+        }
+        return matchRequestProps(propsToMatch, requestData);
+    };
+
+    const isPlaylistTag = (line) => {
+        return PLAYLIST_TAGS.some((tag) => startsWith(line, tag));
+    };
+
+    const isAdBreakStart = (line) => {
+        return startsWith(line, AD_BREAK_START_TAG) && !startsWith(line, AD_BREAK_CONT_TAG);
+    };
+
+    /**
+     * Removes matched segments from the playlist lines
+     * @param {string[]} lines playlist lines
+     * @returns {string[]} lines of pruned playlist
+     */
+    const pruneSegments = (lines) => {
+        // removed lines are replaced by null, as the kept ad break start may be removed later
+        const result = [];
+        // lines of the segment which URI line has not been reached yet
+        let segmentLines = [];
+        let isPrevSegmentRemoved = false;
+        // index of the kept ad break start in the result, -1 if it has been removed
+        let adBreakStartIndex = -1;
+        let isAdBreakStartRemoved = false;
+
+        const addAdBreakEnd = (line) => {
+            // ad break tags should be removed in pairs
+            const shouldRemove = isPrevSegmentRemoved || isAdBreakStartRemoved;
+            if (shouldRemove && adBreakStartIndex > -1) {
+                result[adBreakStartIndex] = null;
+            }
+            result.push(shouldRemove ? null : line);
+            adBreakStartIndex = -1;
+            isAdBreakStartRemoved = false;
+        };
+
+        const addSegmentLines = (shouldRemove) => {
+            segmentLines.forEach((line) => {
+                if (startsWith(line, AD_BREAK_END_TAG)) {
+                    addAdBreakEnd(line);
+                    return;
+                }
+                if (isAdBreakStart(line)) {
+                    isAdBreakStartRemoved = shouldRemove;
+                    adBreakStartIndex = shouldRemove ? -1 : result.length;
+                }
+                // playlist tags should be kept even if the segment is removed
+                const shouldKeep = !shouldRemove || isPlaylistTag(line);
+                result.push(shouldKeep ? line : null);
+            });
+            isPrevSegmentRemoved = shouldRemove;
+            segmentLines = [];
+        };
+
+        lines.forEach((line) => {
+            segmentLines.push(line);
+            if (line.trim() === '' || startsWith(line, TAG_MARKER)) {
+                return;
+            }
+
+            // URI line completes the segment
+            const shouldRemove = segmentLines
+                .some((segmentLine) => pruneRegexp.test(segmentLine.trim()));
+            addSegmentLines(shouldRemove);
+        });
+
+        // tags after the last segment, e.g. #EXT-X-ENDLIST
+        addSegmentLines(false);
+
+        return result.filter((line) => line !== null);
+    };
+
+    /**
+     * Returns pruned playlist or the same text if it is not a playlist or there is nothing to prune
+     * @param {string} text response text
+     * @param {string} url request url
+     * @returns {string}
+     */
+    const pruneM3u = (text, url) => {
+        if (typeof text !== 'string' || !startsWith(text.trim(), M3U_START_MARKER)) {
+            return text;
+        }
+
+        if (shouldLog) {
+            hit(source, `log: m3u-prune: ${url}\n${text}`);
+            return text;
+        }
+
+        // line breaks are kept as is, so `\r` of `\r\n` stays at the end of the line
+        const lines = text.split('\n');
+        const prunedLines = pruneSegments(lines);
+        if (prunedLines.length === lines.length) {
+            return text;
+        }
+
+        hit(source);
+        return prunedLines.join('\n');
+    };
+
+    interceptResponses({
+        isRequestMatched,
+        modifyText: pruneM3u,
+    });
+}
+
+m3uPrune.names = [
+    'm3u-prune',
+    // aliases are needed for matching the related scriptlet converted into our syntax
+    'm3u-prune.js',
+    'ubo-m3u-prune.js',
+    'ubo-m3u-prune',
+];
+
+m3uPrune.injections = [
+    hit,
+    toRegExp,
+    startsWith,
+    matchRequestProps,
+    interceptResponses,
+    getWildcardSymbol,
+    isValidStrPattern,
+    escapeRegExp,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
+    getRequestData,
+    getObjectFromEntries,
+    getFetchData,
+    modifyResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
+];
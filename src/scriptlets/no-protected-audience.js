@@ -0,0 +1,124 @@
+import {
+    hit,
+    noopFunc,
+    noopArray,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet no-protected-audience
+ *
+ * @description
+ * Prevents using The Protected Audience API (formerly FLEDGE) and related Privacy Sandbox APIs.
+ * https://developer.chrome.com/docs/privacy-sandbox/protected-audience/
+ *
+ * Following APIs are replaced by no-op ones if they are supported by browser:
+ * - `navigator.joinAdInterestGroup()`, `navigator.leaveAdInterestGroup()` and `navigator.clearOriginJoinedAdInterestGroups()` — resolve with `undefined`
+ * - `navigator.runAdAuction()` — resolves with `null` as if no ad has won the auction
+ * - `navigator.deprecatedURNToURL()` — resolves with `about:blank`
+ * - `navigator.updateAdInterestGroups()` — does nothing
+ * - `window.sharedStorage` — methods resolve with `undefined`, `selectURL()` resolves with `about:blank`
+ * - `window.fence` — methods do nothing, `getNestedConfigs()` returns empty array
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('no-protected-audience')
+ * ```
+ */
+/* eslint-enable max-len */
+export function noProtectedAudience(source) {
+    if (typeof Promise === 'undefined' || typeof Navigator === 'undefined') {
+        return;
+    }
+
+    const BLANK_URL = 'about:blank';
+
+    // eslint-disable-next-line compat/compat
+    const resolveUndefined = () => Promise.resolve(undefined);
+    // eslint-disable-next-line compat/compat
+    const resolveNull = () => Promise.resolve(null);
+    // eslint-disable-next-line compat/compat
+    const resolveBlankUrl = () => Promise.resolve(BLANK_URL);
+
+    // https://github.com/WICG/turtledove/blob/main/FLEDGE.md
+    const navigatorMocks = {
+        joinAdInterestGroup: resolveUndefined,
+        leaveAdInterestGroup: resolveUndefined,
+        clearOriginJoinedAdInterestGroups: resolveUndefined,
+        updateAdInterestGroups: noopFunc,
+        runAdAuction: resolveNull,
+        deprecatedURNToURL: resolveBlankUrl,
+    };
+
+    // https://github.com/WICG/shared-storage
+    const sharedStorageMock = {
+        set: resolveUndefined,
+        append: resolveUndefined,
+        delete: resolveUndefined,
+        clear: resolveUndefined,
+        run: resolveUndefined,
+        selectURL: resolveBlankUrl,
+        worklet: {
+            addModule: resolveUndefined,
+        },
+    };
+
+    // https://github.com/WICG/fenced-frame/blob/master/explainer/fenced_frames_with_local_unpartitioned_data_access.md
+    const fenceMock = {
+        reportEvent: noopFunc,
+        setReportEventDataForAutomaticBeacons: noopFunc,
+        getNestedConfigs: noopArray,
+    };
+
+    let isMocked = false;
+
+    Object.keys(navigatorMocks).forEach((name) => {
+        if (!Object.prototype.hasOwnProperty.call(Navigator.prototype, name)
+            || Navigator.prototype[name] instanceof Function === false) {
+            return;
+        }
+        Navigator.prototype[name] = navigatorMocks[name];
+        isMocked = true;
+    });
+
+    /**
+     * Replaces window property by the mock if the property is supported by browser
+     * @param {string} name window property name
+     * @param {Object} mock
+     */
+    const mockWindowProperty = (name, mock) => {
+        // window attributes may be defined either on the window or on its prototype
+        const owner = Object.prototype.hasOwnProperty.call(window, name)
+            ? window
+            : Object.getPrototypeOf(window);
+        const descriptor = Object.getOwnPropertyDescriptor(owner, name);
+        // null value means that the api is not available in the current context,
+        // e.g. `window.fence` outside of fenced frames
+        if (!descriptor || !descriptor.configurable || window[name] === null) {
+            return;
+        }
+        Object.defineProperty(owner, name, {
+            configurable: true,
+            enumerable: descriptor.enumerable,
+            get: () => mock,
+        });
+        isMocked = true;
+    };
+
+    mockWindowProperty('sharedStorage', sharedStorageMock);
+    mockWindowProperty('fence', fenceMock);
+
+    if (isMocked) {
+        hit(source);
+    }
+}
+
+noProtectedAudience.names = [
+    'no-protected-audience',
+];
+
+noProtectedAudience.injections = [
+    hit,
+    noopFunc,
+    noopArray,
+];
@@ -1,5 +1,4 @@
-/* eslint-disable no-eval, no-extra-bind */
-import { hit } from '../helpers/index';
+import { hit, wrapEval } from '../helpers/index';
 
 /**
  * @scriptlet noeval
@@ -20,9 +19,10 @@ import { hit } from '../helpers/index';
  * ```
  */
 export function noeval(source) {
-    window.eval = function evalWrapper(s) {
-        hit(source, `AdGuard has prevented eval:\n${s}`);
-    }.bind();
+    wrapEval((payload) => {
+        hit(source, `AdGuard has prevented eval:\n${payload}`);
+        return undefined;
+    });
 }
 
 noeval.names = [
@@ -36,4 +36,4 @@ noeval.names = [
     'ubo-silent-noeval',
 ];
 
-noeval.injections = [hit];
+noeval.injections = [hit, wrapEval];
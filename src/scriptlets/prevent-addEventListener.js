@@ -4,6 +4,8 @@ import {
     validateType,
     validateListener,
     listenerToString,
+    matchStackTrace,
+    getNativeRegexpTest,
 } from '../helpers/index';
 
 /* eslint-disable max-len */
@@ -18,13 +20,17 @@ import {
  *
  * **Syntax**
  * ```
- * example.org#%#//scriptlet('prevent-addEventListener'[, typeSearch[, listenerSearch]])
+ * example.org#%#//scriptlet('prevent-addEventListener'[, typeSearch[, listenerSearch[, elements[, stack]]]])
  * ```
  *
  * - `typeSearch` - optional, string or regular expression matching the type (event name);
  * defaults to match all types; invalid regular expression will cause exit and rule will not work
  * - `listenerSearch` - optional, string or regular expression matching the listener function body;
  * defaults to match all listeners; invalid regular expression will cause exit and rule will not work
+ * - `elements` - optional, target of the listener: `window`, `document` or CSS selector matching the element;
+ * defaults to match all targets; invalid selector will cause exit and rule will not work
+ * - `stack` - optional, string or regular expression that must match the current function call stack trace;
+ * defaults to match all stacks; invalid regular expression will cause exit and rule will not work
  *
  * **Examples**
  * 1. Prevent all `click` listeners:
@@ -43,19 +49,69 @@ import {
  *         window.test = 'searchString';
  *     });
  * ```
+ *
+ * 3. Prevent 'click' listeners added to the elements matching `.ads-banner` selector:
+ * ```
+ *     example.org#%#//scriptlet('prevent-addEventListener', 'click', '', '.ads-banner')
+ * ```
+ *
+ * 4. Prevent 'load' listeners added to `window` by scripts from `detector.js`:
+ * ```
+ *     example.org#%#//scriptlet('prevent-addEventListener', 'load', '', 'window', 'detector.js')
+ * ```
  */
 /* eslint-enable max-len */
-export function preventAddEventListener(source, typeSearch, listenerSearch) {
+export function preventAddEventListener(source, typeSearch, listenerSearch, elements, stack) {
     const typeSearchRegexp = toRegExp(typeSearch);
     const listenerSearchRegexp = toRegExp(listenerSearch);
+    // check stack regexp validity at once, it is used on each call
+    toRegExp(stack);
+
+    const WINDOW_TARGET = 'window';
+    const DOCUMENT_TARGET = 'document';
+
+    if (elements
+        && elements !== WINDOW_TARGET
+        && elements !== DOCUMENT_TARGET) {
+        try {
+            document.querySelector(elements);
+        } catch (e) {
+            // eslint-disable-next-line no-console
+            console.log(`Invalid prevent-addEventListener selector: '${elements}'`);
+            return;
+        }
+    }
+
+    /**
+     * Checks whether the listener target matches `elements` argument
+     * @param {EventTarget} target
+     * @returns {boolean}
+     */
+    const isMatchingTarget = (target) => {
+        if (!elements) {
+            return true;
+        }
+        if (elements === WINDOW_TARGET) {
+            return target === window;
+        }
+        if (elements === DOCUMENT_TARGET) {
+            return target === document;
+        }
+        return target instanceof Element
+            && target.matches(elements);
+    };
 
     const nativeAddEventListener = window.EventTarget.prototype.addEventListener;
 
     function addEventListenerWrapper(type, listener, ...args) {
         let shouldPrevent = false;
         if (validateType(type) && validateListener(listener)) {
+            // listener added by global addEventListener() call has no context in strict mode
+            const target = this || window;
             shouldPrevent = typeSearchRegexp.test(type.toString())
-                && listenerSearchRegexp.test(listenerToString(listener));
+                && listenerSearchRegexp.test(listenerToString(listener))
+                && isMatchingTarget(target)
+                && matchStackTrace(stack, new Error().stack);
         }
 
         if (shouldPrevent) {
@@ -89,4 +145,6 @@ preventAddEventListener.injections = [
     validateType,
     validateListener,
     listenerToString,
+    matchStackTrace,
+    getNativeRegexpTest,
 ];
@@ -0,0 +1,244 @@
+/* eslint-disable no-console */
+import {
+    hit,
+    noopFunc,
+    wrapEval,
+    hidePatchedToString,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet prevent-devtools-detection
+ *
+ * @description
+ * Neutralizes the common ways to detect opened browser devtools
+ * which are used by sites to blank the page or redirect it, and which break debugging of rules with `debug-*` and `log-*` scriptlets:
+ * - `debugger` statements are removed from the code executed by `eval()`, `Function()` and `constructor` of functions,
+ * including async and generator functions, as well as from the string callbacks of `setInterval()`;
+ * function callbacks of `setInterval()` which contain `debugger` statement are not called;
+ * only `debugger` in statement position is matched, i.e. followed by `;`, line break, `}` or the end of the code;
+ * - `console` methods calls are skipped if they get the known objects which trigger the detection while formatted by devtools:
+ * element with own `id` getter, and regexp, function or date with own `toString()` which overrides the inherited one;
+ * other objects are logged as usual even if they have own getters;
+ * - `window.outerWidth` and `window.outerHeight` return the values which do not exceed the inner size more than browser toolbars do.
+ *
+ * > `debugger` statements written in the page scripts directly can not be removed,
+ * so [prevent-setInterval](#prevent-setInterval) with `stack` parameter may be needed as well.
+ * `setTimeout()` callbacks are not checked as stringifying of every callback is expensive,
+ * so recursive `setTimeout()` debugger loops should be handled by [prevent-setTimeout](#prevent-setTimeout).
+ *
+ * > `eval()` is replaced for every page the rule is applied to, so all its calls become indirect ones,
+ * i.e. the code is evaluated in the global scope even if it has no `debugger` statements,
+ * and `eval()` code which uses local variables of the calling function throws `ReferenceError`.
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('prevent-devtools-detection')
+ * ```
+ */
+/* eslint-enable max-len */
+export function preventDevtoolsDetection(source) {
+    // do nothing if browser does not support Proxy (e.g. Internet Explorer)
+    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy
+    if (typeof Proxy === 'undefined') {
+        return;
+    }
+
+    // debugger statement is matched with the preceding char which is kept on removing,
+    // so property names and strings are not matched, e.g. `obj.debugger` or `'debugger'`
+    const DEBUGGER_REGEXP = /(^|[^\w$.])debugger(?=[ \t]*(?:[;}\r\n]|$))/g;
+    // difference between outer and inner size of window is not bigger than browser toolbars size
+    // unless devtools are docked to the window
+    const TOOLBARS_SIZE_LIMIT = 100;
+    const CONSOLE_METHODS = [
+        'log',
+        'debug',
+        'info',
+        'warn',
+        'error',
+        'dir',
+        'dirxml',
+        'table',
+        'trace',
+        'group',
+        'groupCollapsed',
+    ];
+
+    /**
+     * Checks whether the code contains debugger statement
+     * @param {any} code
+     * @returns {boolean}
+     */
+    const hasDebugger = (code) => {
+        // lastIndex should be reset as regexp is global
+        DEBUGGER_REGEXP.lastIndex = 0;
+        return typeof code === 'string' && DEBUGGER_REGEXP.test(code);
+    };
+
+    /**
+     * Removes debugger statements from the code
+     * @param {string} code
+     * @returns {string}
+     */
+    const removeDebugger = (code) => {
+        hit(source);
+        return code.replace(DEBUGGER_REGEXP, '$1');
+    };
+
+    wrapEval((payload) => (hasDebugger(payload) ? removeDebugger(payload) : payload));
+
+    // function body is the last argument of Function constructor
+    const defuseFunctionArgs = (args) => {
+        const bodyIndex = args.length - 1;
+        if (bodyIndex < 0 || !hasDebugger(args[bodyIndex])) {
+            return args;
+        }
+        const defusedArgs = args.slice();
+        defusedArgs[bodyIndex] = removeDebugger(args[bodyIndex]);
+        return defusedArgs;
+    };
+
+    const functionHandler = {
+        apply: (target, thisArg, args) => {
+            return Reflect.apply(target, thisArg, defuseFunctionArgs(args));
+        },
+        construct: (target, args, newTarget) => {
+            return Reflect.construct(target, defuseFunctionArgs(args), newTarget);
+        },
+    };
+
+    const nativeFunction = window.Function;
+    window.Function = new Proxy(nativeFunction, functionHandler);
+    // functions are also created via constructor of any function,
+    // e.g. `(function(){}).constructor('debugger')`
+    nativeFunction.prototype.constructor = window.Function;
+
+    // async and generator functions have own constructors which are not global,
+    // they are got via Function as their syntax is not supported by old browsers
+    const FUNCTION_KINDS = ['async function(){}', 'function*(){}', 'async function*(){}'];
+    FUNCTION_KINDS.forEach((funcCode) => {
+        let FunctionConstructor;
+        try {
+            FunctionConstructor = nativeFunction(`return (${funcCode}).constructor;`)();
+        } catch (e) {
+            // syntax is not supported or Function() is blocked by Content Security Policy
+            return;
+        }
+        const { prototype } = FunctionConstructor;
+        const descriptor = Object.getOwnPropertyDescriptor(prototype, 'constructor');
+        // constructor of these prototypes is not writable but configurable
+        if (!descriptor || !descriptor.configurable) {
+            return;
+        }
+        descriptor.value = new Proxy(FunctionConstructor, functionHandler);
+        Object.defineProperty(prototype, 'constructor', descriptor);
+    });
+
+    // debugger loops are made by intervals, and stringifying of every timer callback is expensive
+    const intervalHandler = {
+        apply: (target, thisArg, args) => {
+            const callback = args[0];
+            if (hasDebugger(callback)) {
+                args[0] = removeDebugger(callback);
+            } else if (typeof callback === 'function' && hasDebugger(callback.toString())) {
+                // debugger loop can not be removed from the function so it is not called at all
+                hit(source);
+                args[0] = noopFunc;
+            }
+            return Reflect.apply(target, thisArg, args);
+        },
+    };
+
+    window.setInterval = new Proxy(window.setInterval, intervalHandler);
+
+    /**
+     * Checks whether the value is the known trap which triggers devtools detection
+     * while formatted by console: element with own `id` getter which is called for its preview,
+     * or regexp, function or date with own toString() which is called for their preview
+     * @param {any} value
+     * @returns {boolean}
+     */
+    const isConsoleTrap = (value) => {
+        if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+            return false;
+        }
+        try {
+            if (typeof Element !== 'undefined' && value instanceof Element) {
+                const descriptor = Object.getOwnPropertyDescriptor(value, 'id');
+                return !!descriptor && typeof descriptor.get === 'function';
+            }
+            if (typeof value === 'function' || value instanceof RegExp || value instanceof Date) {
+                return Object.prototype.hasOwnProperty.call(value, 'toString');
+            }
+            return false;
+        } catch (e) {
+            // proxy traps may throw while the object is checked
+            return true;
+        }
+    };
+
+    const consoleHandler = {
+        apply: (target, thisArg, args) => {
+            if (args.some(isConsoleTrap)) {
+                hit(source);
+                return undefined;
+            }
+            return Reflect.apply(target, thisArg, args);
+        },
+    };
+
+    CONSOLE_METHODS.forEach((method) => {
+        if (typeof console[method] === 'function') {
+            console[method] = new Proxy(console[method], consoleHandler);
+        }
+    });
+
+    // patched getters are mapped to native ones to hide their source
+    const patchedGetters = new WeakMap();
+
+    /**
+     * Limits the outer size of window by its inner size and browser toolbars
+     * @param {string} outerProp outer size property name
+     * @param {string} innerProp inner size property name
+     */
+    const patchOuterSize = (outerProp, innerProp) => {
+        const descriptor = Object.getOwnPropertyDescriptor(window, outerProp);
+        if (!descriptor || typeof descriptor.get !== 'function') {
+            return;
+        }
+        const nativeGetter = descriptor.get;
+        const getter = () => {
+            const outerSize = nativeGetter.call(window);
+            const innerSize = window[innerProp];
+            if (outerSize - innerSize > TOOLBARS_SIZE_LIMIT) {
+                hit(source);
+                return innerSize;
+            }
+            return outerSize;
+        };
+        patchedGetters.set(getter, nativeGetter);
+        // native setter is kept as outer size may be set by the page, e.g. `outerWidth = 0`
+        Object.defineProperty(window, outerProp, {
+            configurable: descriptor.configurable,
+            enumerable: descriptor.enumerable,
+            get: getter,
+            set: descriptor.set,
+        });
+    };
+
+    patchOuterSize('outerWidth', 'innerWidth');
+    patchOuterSize('outerHeight', 'innerHeight');
+
+    hidePatchedToString(patchedGetters);
+}
+
+preventDevtoolsDetection.names = [
+    'prevent-devtools-detection',
+];
+
+preventDevtoolsDetection.injections = [
+    hit,
+    noopFunc,
+    wrapEval,
+    hidePatchedToString,
+];
@@ -10,16 +10,23 @@ import {
  *
  * @description
  * Prevents target element source loading without triggering 'onerror' listeners and not breaking 'onload' ones.
+ * Source is replaced by the noop resource of the same type, so the element is loaded successfully.
+ * Both `setAttribute()` calls and property assignments are handled.
  *
  * **Syntax**
  * ```
  * example.org#%#//scriptlet('prevent-element-src-loading', tagName, match)
  * ```
  *
- * - `tagName` - required, case-insensitive target element tagName which `src` property resource loading will be silently prevented; possible values:
- *     - `script`
- *     - `img`
- *     - `iframe`
+ * - `tagName` - required, case-insensitive target element tagName which source resource loading will be silently prevented; possible values:
+ *     - `script` — `src` is replaced by noop script
+ *     - `img` — `src` is replaced by empty image
+ *     - `iframe` — `src` is replaced by blank frame
+ *     - `link` — `href` is replaced by empty stylesheet, e.g. for `<link rel="preload">` or `<link rel="stylesheet">`
+ *     - `video`, `audio` and `source` — `src` is replaced by silent media;
+ * note that media elements fire `loadedmetadata` and `canplay` events instead of `load`
+ *     - `object` — `data` is replaced by blank frame
+ *     - `embed` — `src` is replaced by blank frame
  * - `match` - required, string or regular expression for matching the element's URL;
  *
  * **Examples**
@@ -27,11 +34,21 @@ import {
  * ```
  *     example.org#%#//scriptlet('prevent-element-src-loading', 'script' ,'adsbygoogle')
  * ```
+ *
+ * 2. Prevent preloading of the ad stylesheet:
+ * ```
+ *     example.org#%#//scriptlet('prevent-element-src-loading', 'link' ,'/ads.css')
+ * ```
+ *
+ * 3. Prevent ad video loading:
+ * ```
+ *     example.org#%#//scriptlet('prevent-element-src-loading', 'video' ,'/ads/')
+ * ```
  */
 /* eslint-enable max-len */
 export function preventElementSrcLoading(source, tagName, match) {
     // do nothing if browser does not support Proxy or Reflect
-    if (typeof Proxy === 'undefined' || typeof Reflect === 'undefined') {
+    if (typeof Proxy === 'undefined' || typeof Reflect === 'undefined' || !tagName) {
         return;
     }
     const srcMockData = {
@@ -40,16 +57,32 @@ export function preventElementSrcLoading(source, tagName, match) {
         // Empty 1x1 image
         img: 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==',
         // Empty h1 tag
-        iframe: 'data:text/html;base64, PGRpdj48L2Rpdj4=',
+        frame: 'data:text/html;base64, PGRpdj48L2Rpdj4=',
+        // Empty stylesheet
+        css: 'data:text/css;base64,',
+        // 8 samples of silence in wav format
+        // eslint-disable-next-line max-len
+        media: 'data:audio/wav;base64,UklGRiwAAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQgAAACAgICAgICAgA==',
     };
-    let instance;
-    if (tagName === 'script') {
-        instance = HTMLScriptElement;
-    } else if (tagName === 'img') {
-        instance = HTMLImageElement;
-    } else if (tagName === 'iframe') {
-        instance = HTMLIFrameElement;
-    } else {
+    // constructor name, name of the property with resource url and its mock for the target tag
+    const targetsData = {
+        script: { instanceName: 'HTMLScriptElement', prop: 'src', mock: srcMockData.script },
+        img: { instanceName: 'HTMLImageElement', prop: 'src', mock: srcMockData.img },
+        iframe: { instanceName: 'HTMLIFrameElement', prop: 'src', mock: srcMockData.frame },
+        link: { instanceName: 'HTMLLinkElement', prop: 'href', mock: srcMockData.css },
+        video: { instanceName: 'HTMLVideoElement', prop: 'src', mock: srcMockData.media },
+        audio: { instanceName: 'HTMLAudioElement', prop: 'src', mock: srcMockData.media },
+        source: { instanceName: 'HTMLSourceElement', prop: 'src', mock: srcMockData.media },
+        object: { instanceName: 'HTMLObjectElement', prop: 'data', mock: srcMockData.frame },
+        embed: { instanceName: 'HTMLEmbedElement', prop: 'src', mock: srcMockData.frame },
+    };
+    const targetTagName = tagName.toLowerCase();
+    const targetData = targetsData[targetTagName];
+    if (!targetData) {
+        return;
+    }
+    const instance = window[targetData.instanceName];
+    if (typeof instance !== 'function') {
         return;
     }
     // For websites that use Trusted Types
@@ -61,7 +94,7 @@ export function preventElementSrcLoading(source, tagName, match) {
             createScriptURL: (arg) => arg,
         });
     }
-    const SOURCE_PROPERTY_NAME = 'src';
+    const SOURCE_PROPERTY_NAME = targetData.prop;
     const searchRegexp = toRegExp(match);
 
     const setAttributeWrapper = (target, thisArg, args) => {
@@ -73,8 +106,7 @@ export function preventElementSrcLoading(source, tagName, match) {
         const attrName = args[0].toLowerCase();
         const attrValue = args[1];
         const isMatched = attrName === SOURCE_PROPERTY_NAME
-            && tagName.toLowerCase() === nodeName
-            && srcMockData[nodeName]
+            && targetTagName === nodeName
             && searchRegexp.test(attrValue);
 
         if (!isMatched) {
@@ -83,7 +115,7 @@ export function preventElementSrcLoading(source, tagName, match) {
 
         hit(source);
         // Forward the URI that corresponds with element's MIME type
-        return Reflect.apply(target, thisArg, [attrName, srcMockData[nodeName]]);
+        return Reflect.apply(target, thisArg, [attrName, targetData.mock]);
     };
 
     const setAttributeHandler = {
@@ -92,7 +124,18 @@ export function preventElementSrcLoading(source, tagName, match) {
     // eslint-disable-next-line max-len
     instance.prototype.setAttribute = new Proxy(Element.prototype.setAttribute, setAttributeHandler);
 
-    const origDescriptor = safeGetDescriptor(instance.prototype, SOURCE_PROPERTY_NAME);
+    // media elements inherit the property from HTMLMediaElement,
+    // so the descriptor is looked up in the prototype chain
+    // but the property is defined on the target element prototype only
+    let origDescriptor = null;
+    let descriptorOwner = instance.prototype;
+    while (descriptorOwner
+        && !Object.prototype.hasOwnProperty.call(descriptorOwner, SOURCE_PROPERTY_NAME)) {
+        descriptorOwner = Object.getPrototypeOf(descriptorOwner);
+    }
+    if (descriptorOwner) {
+        origDescriptor = safeGetDescriptor(descriptorOwner, SOURCE_PROPERTY_NAME);
+    }
     if (!origDescriptor) {
         return;
     }
@@ -104,8 +147,7 @@ export function preventElementSrcLoading(source, tagName, match) {
         },
         set(urlValue) {
             const nodeName = this.nodeName.toLowerCase();
-            const isMatched = tagName.toLowerCase() === nodeName
-                && srcMockData[nodeName]
+            const isMatched = targetTagName === nodeName
                 && searchRegexp.test(urlValue);
 
             if (!isMatched) {
@@ -115,12 +157,12 @@ export function preventElementSrcLoading(source, tagName, match) {
 
             // eslint-disable-next-line no-undef
             if (policy && urlValue instanceof TrustedScriptURL) {
-                const trustedSrc = policy.createScriptURL(urlValue);
+                const trustedSrc = policy.createScriptURL(targetData.mock);
                 origDescriptor.set.call(this, trustedSrc);
                 hit(source);
                 return;
             }
-            origDescriptor.set.call(this, srcMockData[nodeName]);
+            origDescriptor.set.call(this, targetData.mock);
             hit(source);
         },
     });
@@ -1,6 +1,4 @@
-/* eslint-disable no-eval, no-extra-bind, func-names */
-
-import { toRegExp, hit } from '../helpers/index';
+import { toRegExp, hit, wrapEval } from '../helpers/index';
 
 /**
  * @scriptlet prevent-eval-if
@@ -29,14 +27,13 @@ import { toRegExp, hit } from '../helpers/index';
 export function preventEvalIf(source, search) {
     const searchRegexp = toRegExp(search);
 
-    const nativeEval = window.eval;
-    window.eval = function (payload) {
+    wrapEval((payload) => {
         if (!searchRegexp.test(payload.toString())) {
-            return nativeEval.call(window, payload);
+            return payload;
         }
         hit(source, payload);
         return undefined;
-    }.bind(window);
+    });
 }
 
 preventEvalIf.names = [
@@ -47,4 +44,4 @@ preventEvalIf.names = [
     'ubo-noeval-if',
 ];
 
-preventEvalIf.injections = [toRegExp, hit];
+preventEvalIf.injections = [toRegExp, hit, wrapEval];
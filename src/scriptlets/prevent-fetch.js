@@ -1,14 +1,16 @@
 import {
+    preventFetchCalls,
+    // following helpers should be imported and injected
+    // because they are used by helpers above
     hit,
     getFetchData,
     objectToString,
-    parseMatchProps,
-    validateParsedData,
-    getMatchPropsData,
-    noopPromiseResolve,
+    matchRequestProps,
     getWildcardSymbol,
-    // following helpers should be imported and injected
-    // because they are used by helpers above
+    getFetchResponseData,
+    createMockedFetchResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
     toRegExp,
     isValidStrPattern,
     escapeRegExp,
@@ -16,6 +18,9 @@ import {
     getRequestData,
     getObjectEntries,
     getObjectFromEntries,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
 } from '../helpers/index';
 
 /* eslint-disable max-len */
@@ -23,14 +28,17 @@ import {
  * @scriptlet prevent-fetch
  *
  * @description
- * Prevents `fetch` calls if **all** given parameters match
+ * Prevents `fetch` calls if **all** given parameters match.
+ * The rule is applied inside Web Workers and Shared Workers created by the page as well
+ * if it is set by `prevent-fetch-in-workers` alias; it is not applied inside workers by default
+ * as the worker scripts are loaded via blob urls then, which may be blocked by Content Security Policy.
  *
  * Related UBO scriptlet:
  * https://github.com/gorhill/uBlock/wiki/Resources-Library#no-fetch-ifjs-
  *
  * **Syntax**
  * ```
- * example.org#%#//scriptlet('prevent-fetch'[, propsToMatch[, responseBody]])
+ * example.org#%#//scriptlet('prevent-fetch'[, propsToMatch[, responseBody[, responseType]]])
  * ```
  *
  * - `propsToMatch` - optional, string of space-separated properties to match; possible props:
@@ -41,6 +49,17 @@ import {
  * - responseBody - optional, string for defining response body value, defaults to `emptyObj`. Possible values:
  *    - `emptyObj` - empty object
  *    - `emptyArr` - empty array
+ *    - `emptyStr` - empty string
+ * - responseType - optional, string for defining response type; by default it is the same as for the real request:
+ * `basic` for same-origin requests, `cors` for cross-origin ones and `opaque` for cross-origin requests with `no-cors` mode.
+ * Possible values:
+ *    - `default` - type of the response created by `Response` constructor
+ *    - `opaque` - response with no body, no headers and zero status
+ *    - `cors` - cross-origin response
+ *
+ * > Response url is the same as the requested one.
+ * Use [trusted-prevent-fetch](#trusted-prevent-fetch) to specify arbitrary response body.
+ *
  * > Usage with no arguments will log fetch calls to browser console;
  * which is useful for debugging but permitted for production filter lists.
  *
@@ -80,9 +99,19 @@ import {
  *     ! Specify response body for all fetch calls
  *     example.org#%#//scriptlet('prevent-fetch', '', 'emptyArr')
  *     ```
+ *
+ * 7. Prevent all fetch calls and specify response type
+ *     ```
+ *     example.org#%#//scriptlet('prevent-fetch', '*', '', 'opaque')
+ *     ```
+ *
+ * 8. Prevent fetch calls for specific url inside workers created by the page as well
+ *     ```
+ *     example.org#%#//scriptlet('prevent-fetch-in-workers', '/ads\\.json/')
+ *     ```
  */
 /* eslint-enable max-len */
-export function preventFetch(source, propsToMatch, responseBody = 'emptyObj') {
+export function preventFetch(source, propsToMatch, responseBody = 'emptyObj', responseType) {
     // do nothing if browser does not support fetch or Proxy (e.g. Internet Explorer)
     // https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch
     // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy
@@ -93,59 +122,23 @@ export function preventFetch(source, propsToMatch, responseBody = 'emptyObj') {
     }
 
     let strResponseBody;
-    if (responseBody === 'emptyObj') {
+    if (responseBody === '' || responseBody === 'emptyObj') {
         strResponseBody = '{}';
     } else if (responseBody === 'emptyArr') {
         strResponseBody = '[]';
+    } else if (responseBody === 'emptyStr') {
+        strResponseBody = '';
     } else {
         return;
     }
 
-    const handlerWrapper = (target, thisArg, args) => {
-        let shouldPrevent = false;
-        const fetchData = getFetchData(args);
-        if (typeof propsToMatch === 'undefined') {
-            // log if no propsToMatch given
-            const logMessage = `log: fetch( ${objectToString(fetchData)} )`;
-            hit(source, logMessage);
-        } else if (propsToMatch === '' || propsToMatch === getWildcardSymbol()) {
-            // prevent all fetch calls
-            shouldPrevent = true;
-        } else {
-            const parsedData = parseMatchProps(propsToMatch);
-            if (!validateParsedData(parsedData)) {
-                // eslint-disable-next-line no-console
-                console.log(`Invalid parameter: ${propsToMatch}`);
-                shouldPrevent = false;
-            } else {
-                const matchData = getMatchPropsData(parsedData);
-                // prevent only if all props match
-                shouldPrevent = Object.keys(matchData)
-                    .every((matchKey) => {
-                        const matchValue = matchData[matchKey];
-                        return Object.prototype.hasOwnProperty.call(fetchData, matchKey)
-                        && matchValue.test(fetchData[matchKey]);
-                    });
-            }
-        }
-
-        if (shouldPrevent) {
-            hit(source);
-            return noopPromiseResolve(strResponseBody);
-        }
-
-        return Reflect.apply(target, thisArg, args);
-    };
-
-    const fetchHandler = {
-        apply: handlerWrapper,
-    };
-
-    fetch = new Proxy(fetch, fetchHandler); // eslint-disable-line no-global-assign
+    preventFetchCalls(source, propsToMatch, strResponseBody, responseType);
 }
 
 preventFetch.names = [
     'prevent-fetch',
+    // applies the rule inside workers as well
+    'prevent-fetch-in-workers',
     // aliases are needed for matching the related scriptlet converted into our syntax
     'no-fetch-if.js',
     'ubo-no-fetch-if.js',
@@ -153,14 +146,16 @@ preventFetch.names = [
 ];
 
 preventFetch.injections = [
+    preventFetchCalls,
     hit,
     getFetchData,
     objectToString,
-    parseMatchProps,
-    validateParsedData,
-    getMatchPropsData,
-    noopPromiseResolve,
+    matchRequestProps,
     getWildcardSymbol,
+    getFetchResponseData,
+    createMockedFetchResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
     toRegExp,
     isValidStrPattern,
     escapeRegExp,
@@ -168,4 +163,7 @@ preventFetch.injections = [
     getRequestData,
     getObjectEntries,
     getObjectFromEntries,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
 ];
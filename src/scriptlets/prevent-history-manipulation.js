@@ -0,0 +1,221 @@
+import {
+    hit,
+    toRegExp,
+    isValidStrPattern,
+    matchStackTrace,
+    getWildcardSymbol,
+    // following helpers should be imported and injected
+    // because they are used by helpers above
+    escapeRegExp,
+    getNativeRegexpTest,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet prevent-history-manipulation
+ *
+ * @description
+ * Prevents `history.pushState()` and `history.replaceState()` calls which are used for back button hijacking.
+ * Prevented calls do nothing, so `history.length` and `location` stay the same.
+ *
+ * `history.pushState()` calls which push the same URL or state back right after the back button is pressed,
+ * i.e. URL or state of the history entry which has been left or the one which has been returned to,
+ * are considered to be re-push loops which trap users on the page, so they are always prevented.
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('prevent-history-manipulation'[, search[, stack]])
+ * ```
+ *
+ * - `search` - optional, string or regular expression matching the URL passed to the call (resolved to absolute URL)
+ * or its `state` object converted to JSON string; matched calls are prevented.
+ * Calls with no state, i.e. `null` or `undefined`, are matched only by the URL.
+ * Wildcard `*` matches all calls; empty string matches no calls, so only `popstate` re-push loops are prevented.
+ * Invalid regular expression will cause exit and rule will not work.
+ * - `stack` - optional, string or regular expression that must match the current function call stack trace;
+ * if regular expression is invalid it will be skipped
+ *
+ * > Usage with no arguments will log all `history.pushState()` and `history.replaceState()` calls to browser console;
+ * which is useful for debugging but permitted for production filter lists.
+ *
+ * **Examples**
+ * 1. Log all history manipulations
+ *     ```
+ *     example.org#%#//scriptlet('prevent-history-manipulation')
+ *     ```
+ *
+ * 2. Prevent only `popstate` re-push loops
+ *     ```
+ *     example.org#%#//scriptlet('prevent-history-manipulation', '')
+ *     ```
+ *
+ * 3. Prevent calls which push URLs with `#ad` hash and re-push loops
+ *     ```
+ *     example.org#%#//scriptlet('prevent-history-manipulation', '#ad')
+ *     ```
+ *
+ * 4. Prevent calls with the specific state made by `backtrap.js` script and re-push loops made by it
+ *     ```
+ *     example.org#%#//scriptlet('prevent-history-manipulation', '/"trap":true/', 'backtrap.js')
+ *     ```
+ */
+/* eslint-enable max-len */
+export function preventHistoryManipulation(source, search, stack) {
+    // do nothing if browser does not support Proxy (e.g. Internet Explorer)
+    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy
+    if (typeof Proxy === 'undefined'
+        || typeof window.history === 'undefined'
+        || typeof window.history.pushState !== 'function') {
+        return;
+    }
+
+    const shouldLog = typeof search === 'undefined';
+    if (!shouldLog && !isValidStrPattern(search)) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid parameter: ${search}`);
+        return;
+    }
+    // check stack regexp validity at once, it is used on each call
+    toRegExp(stack);
+
+    let searchRegexp = null;
+    if (search === getWildcardSymbol()) {
+        searchRegexp = toRegExp();
+    } else if (search) {
+        searchRegexp = toRegExp(search);
+    }
+
+    // pushState() calls which push the same entry back during this time after popstate
+    // are considered to be re-push loops,
+    // it is enough for delayed calls as well as for calls made by popstate handlers at once
+    const POPSTATE_LOOP_TIMEOUT_MS = 500;
+    let lastPopstateTime = 0;
+
+    /**
+     * Returns absolute url which is used by history call
+     * @param {any} url url passed to the call
+     * @returns {string}
+     */
+    const getUrl = (url) => {
+        if (typeof url === 'undefined' || url === null) {
+            return window.location.href;
+        }
+        try {
+            // eslint-disable-next-line compat/compat
+            return new URL(String(url), document.baseURI).href;
+        } catch (e) {
+            return String(url);
+        }
+    };
+
+    /**
+     * Converts state object to string for matching and logging
+     * @param {any} state state passed to the call
+     * @returns {string}
+     */
+    const stateToString = (state) => {
+        try {
+            return JSON.stringify(state);
+        } catch (e) {
+            return String(state);
+        }
+    };
+
+    /**
+     * Returns url and state of the current history entry, stored the same way as they are matched
+     * @returns {Object} entry with `url` and `state` props
+     */
+    const getCurrentEntry = () => ({
+        url: window.location.href,
+        // eslint-disable-next-line compat/compat
+        state: stateToString(window.history.state),
+    });
+
+    // history entry which is current for the page and the one which has been left on popstate
+    let currentEntry = getCurrentEntry();
+    let leftEntry = null;
+
+    /**
+     * Checks whether the state is set, i.e. it may identify the history entry
+     * @param {string} state state converted to string
+     * @returns {boolean}
+     */
+    const isStateSet = (state) => typeof state === 'string' && state !== 'null';
+
+    const isMatched = (url, state) => {
+        return searchRegexp !== null
+            && (searchRegexp.test(url) || (isStateSet(state) && searchRegexp.test(state)));
+    };
+
+    /**
+     * Checks whether the call pushes the history entry back right after popstate
+     * @param {string} methodName history method name
+     * @param {string} url absolute url of the call
+     * @param {string} state state of the call converted to string
+     * @returns {boolean}
+     */
+    const isPopstateLoop = (methodName, url, state) => {
+        if (methodName !== 'pushState'
+            || leftEntry === null
+            || Date.now() - lastPopstateTime >= POPSTATE_LOOP_TIMEOUT_MS) {
+            return false;
+        }
+        return [leftEntry, currentEntry].some((entry) => {
+            return entry.url === url
+                || (isStateSet(state) && entry.state === state);
+        });
+    };
+
+    const createHandler = (methodName) => {
+        const historyWrapper = (target, thisArg, args) => {
+            const url = getUrl(args[2]);
+            const state = stateToString(args[0]);
+            if (shouldLog) {
+                hit(source, `log: history.${methodName}( state:${state} url:"${url}" )`);
+                return Reflect.apply(target, thisArg, args);
+            }
+
+            const shouldPrevent = (isPopstateLoop(methodName, url, state) || isMatched(url, state))
+                && matchStackTrace(stack, new Error().stack);
+            if (!shouldPrevent) {
+                const result = Reflect.apply(target, thisArg, args);
+                currentEntry = { url, state };
+                return result;
+            }
+
+            hit(source);
+            return undefined;
+        };
+
+        return {
+            apply: historyWrapper,
+        };
+    };
+
+    if (!shouldLog) {
+        // capturing listener is called before listeners added by the page
+        window.addEventListener('popstate', () => {
+            lastPopstateTime = Date.now();
+            leftEntry = currentEntry;
+            currentEntry = getCurrentEntry();
+        }, true);
+    }
+
+    const { history } = window;
+    history.pushState = new Proxy(history.pushState, createHandler('pushState'));
+    history.replaceState = new Proxy(history.replaceState, createHandler('replaceState'));
+}
+
+preventHistoryManipulation.names = [
+    'prevent-history-manipulation',
+];
+
+preventHistoryManipulation.injections = [
+    hit,
+    toRegExp,
+    isValidStrPattern,
+    matchStackTrace,
+    getWildcardSymbol,
+    escapeRegExp,
+    getNativeRegexpTest,
+];
@@ -0,0 +1,204 @@
+import {
+    hit,
+    toRegExp,
+    isValidStrPattern,
+    getFetchData,
+    getFetchResponseData,
+    createMockedFetchResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
+    observeDOMChanges,
+    getWildcardSymbol,
+    // following helpers should be imported and injected
+    // because they are used by helpers above
+    escapeRegExp,
+    getRequestData,
+    getObjectFromEntries,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet prevent-sendBeacon
+ *
+ * @description
+ * Prevents `navigator.sendBeacon` calls for URLs matching the specified search, the prevented calls return `true`
+ * as if the data was queued successfully. It also prevents other ways of sending tracking data to matching URLs:
+ * - `fetch` calls with `keepalive: true` option are resolved with empty response
+ * - matching URLs are removed from `ping` attribute of `a` and `area` elements
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('prevent-sendBeacon'[, urlToMatch])
+ * ```
+ *
+ * - `urlToMatch` - optional, string or regular expression for matching the URL;
+ * empty string or wildcard `*` for all URLs match; invalid regular expression will cause exit and rule will not work
+ *
+ * > Usage with no arguments will log `sendBeacon` and `keepalive` fetch calls to browser console;
+ * which is useful for debugging but permitted for production filter lists.
+ *
+ * **Examples**
+ * 1. Log all `sendBeacon` and `keepalive` fetch calls
+ *     ```
+ *     example.org#%#//scriptlet('prevent-sendBeacon')
+ *     ```
+ *
+ * 2. Prevent all beacons and remove all `ping` attributes
+ *     ```
+ *     example.org#%#//scriptlet('prevent-sendBeacon', '*')
+ *     ```
+ *
+ * 3. Prevent beacons to the specific URL
+ *     ```
+ *     example.org#%#//scriptlet('prevent-sendBeacon', '/\/collect\?v=\d/')
+ *     ```
+ *
+ *     For instance, the following call will be prevented:
+ *     ```javascript
+ *     navigator.sendBeacon('https://analytics.example.com/collect?v=2', data); // returns true
+ *     ```
+ *
+ *     and the `ping` attribute will be removed from the link:
+ *     ```html
+ *     <a href="/page" ping="https://analytics.example.com/collect?v=2">Page</a>
+ *     ```
+ */
+/* eslint-enable max-len */
+export function preventSendBeacon(source, urlToMatch) {
+    const shouldLog = typeof urlToMatch === 'undefined';
+    if (!shouldLog && !isValidStrPattern(urlToMatch)) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid parameter: ${urlToMatch}`);
+        return;
+    }
+    const urlRegexp = urlToMatch === getWildcardSymbol()
+        ? toRegExp()
+        : toRegExp(urlToMatch);
+
+    const PING_ATTR = 'ping';
+    const PING_SELECTOR = 'a[ping], area[ping]';
+    const URLS_SEPARATOR = /\s+/;
+
+    const patchSendBeacon = () => {
+        const sendBeaconWrapper = (target, thisArg, args) => {
+            const url = String(args[0]);
+            if (shouldLog) {
+                hit(source, `log: sendBeacon( ${url} )`);
+                return Reflect.apply(target, thisArg, args);
+            }
+            if (!urlRegexp.test(url)) {
+                return Reflect.apply(target, thisArg, args);
+            }
+            hit(source);
+            // data is considered to be queued successfully
+            return true;
+        };
+
+        const sendBeaconHandler = {
+            apply: sendBeaconWrapper,
+        };
+
+        // eslint-disable-next-line compat/compat
+        navigator.sendBeacon = new Proxy(navigator.sendBeacon, sendBeaconHandler);
+    };
+
+    const patchKeepaliveFetch = () => {
+        const overrideResponseProps = createResponsePropsOverrider();
+
+        const fetchWrapper = (target, thisArg, args) => {
+            const fetchData = getFetchData(args);
+            // keepalive option is not collected for Request objects by getFetchData()
+            const isKeepalive = fetchData.keepalive === true
+                || (args[0] instanceof Request && args[0].keepalive === true);
+            if (!isKeepalive) {
+                return Reflect.apply(target, thisArg, args);
+            }
+            const url = String(fetchData.url);
+            if (shouldLog) {
+                hit(source, `log: fetch( ${url} ) with keepalive`);
+                return Reflect.apply(target, thisArg, args);
+            }
+            if (!urlRegexp.test(url)) {
+                return Reflect.apply(target, thisArg, args);
+            }
+            hit(source);
+            const responseData = getFetchResponseData(fetchData);
+            const response = createMockedFetchResponse(
+                '',
+                responseData.url,
+                responseData.type,
+                overrideResponseProps,
+            );
+            // eslint-disable-next-line compat/compat
+            return Promise.resolve(response);
+        };
+
+        const fetchHandler = {
+            apply: fetchWrapper,
+        };
+
+        fetch = new Proxy(fetch, fetchHandler); // eslint-disable-line no-global-assign
+    };
+
+    const removePings = () => {
+        const elements = [].slice.call(document.querySelectorAll(PING_SELECTOR));
+        let removed = false;
+        elements.forEach((elem) => {
+            const urls = elem.getAttribute(PING_ATTR)
+                .split(URLS_SEPARATOR)
+                .filter((url) => url !== '');
+            const urlsToKeep = urls.filter((url) => !urlRegexp.test(url));
+            if (urlsToKeep.length === urls.length) {
+                return;
+            }
+            if (urlsToKeep.length === 0) {
+                elem.removeAttribute(PING_ATTR);
+            } else {
+                elem.setAttribute(PING_ATTR, urlsToKeep.join(' '));
+            }
+            removed = true;
+        });
+        if (removed) {
+            hit(source);
+        }
+    };
+
+    // do nothing with calls if browser does not support Proxy (e.g. Internet Explorer)
+    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy
+    if (typeof Proxy !== 'undefined') {
+        if (typeof navigator.sendBeacon === 'function') {
+            patchSendBeacon();
+        }
+        if (typeof fetch !== 'undefined' && typeof Request !== 'undefined') {
+            patchKeepaliveFetch();
+        }
+    }
+
+    if (shouldLog) {
+        return;
+    }
+
+    removePings();
+    // 'true' for observing attributes
+    observeDOMChanges(removePings, true, [PING_ATTR]);
+}
+
+preventSendBeacon.names = [
+    'prevent-sendBeacon',
+];
+
+preventSendBeacon.injections = [
+    hit,
+    toRegExp,
+    isValidStrPattern,
+    getFetchData,
+    getFetchResponseData,
+    createMockedFetchResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
+    observeDOMChanges,
+    getWildcardSymbol,
+    escapeRegExp,
+    getRequestData,
+    getObjectFromEntries,
+];
@@ -2,6 +2,7 @@ import {
     hit,
     noopFunc,
     isPreventionNeeded,
+    matchStackTrace,
     // following helpers are needed for helpers above
     toRegExp,
     startsWith,
@@ -14,6 +15,11 @@ import {
     escapeRegExp,
     nativeIsFinite,
     isValidMatchNumber,
+    convertTypeToString,
+    objectToString,
+    isEmptyObject,
+    getObjectEntries,
+    getNativeRegexpTest,
 } from '../helpers/index';
 
 /* eslint-disable max-len */
@@ -24,14 +30,16 @@ import {
  * Prevents a `setInterval` call if:
  * 1) the text of the callback is matching the specified `matchCallback` string/regexp which does not start with `!`;
  * otherwise mismatched calls should be defused;
- * 2) the delay is matching the specified `matchDelay`; otherwise mismatched calls should be defused.
+ * 2) the delay is matching the specified `matchDelay`; otherwise mismatched calls should be defused;
+ * 3) the stack trace of the call is matching the specified `stack`;
+ * 4) the extra arguments passed to the callback are matching the specified `matchArgs`.
  *
  * Related UBO scriptlet:
  * https://github.com/gorhill/uBlock/wiki/Resources-Library#no-setinterval-ifjs-
  *
  * **Syntax**
  * ```
- * example.org#%#//scriptlet('prevent-setInterval'[, matchCallback[, matchDelay]])
+ * example.org#%#//scriptlet('prevent-setInterval'[, matchCallback[, matchDelay[, stack[, matchArgs]]]])
  * ```
  *
  * Call with no arguments will log calls to setInterval while debugging (`log-setInterval` superseding),
@@ -43,6 +51,12 @@ import {
  * - `matchDelay` - optional, must be an integer.
  * If starts with `!`, scriptlet will not match the delay but all other will be defused.
  * If do not start with `!`, the delay passed to the `setInterval` call will be matched.
+ * - `stack` - optional, string or regular expression that must match the stack trace of the call,
+ * useful for bound functions, class methods and other callbacks which stringified text can not be matched;
+ * if regular expression is invalid it will be skipped
+ * - `matchArgs` - optional, string or regular expression matching the extra arguments
+ * passed to the `setInterval` call after the delay, converted to string and joined by `, `.
+ * If starts with `!`, scriptlet will not match the extra arguments but all other will be defused.
  *
  * > If `prevent-setInterval` log looks like `setInterval(undefined, 1000)`,
  * it means that no callback was passed to setInterval() and that's not scriptlet issue
@@ -117,9 +131,25 @@ import {
  *         window.value = "test -- executed";
  *     }, 500);
  *     ```
+ *
+ * 5. Prevents all `setInterval` calls made by `detector.js` script regardless of the callback and the delay.
+ *     ```
+ *     example.org#%#//scriptlet('prevent-setInterval', '', '', 'detector.js')
+ *     ```
+ *
+ * 6. Prevents `setInterval` calls which pass `adblock` to the callback.
+ *     ```
+ *     example.org#%#//scriptlet('prevent-setInterval', '', '', '', 'adblock')
+ *     ```
+ *
+ *     For instance, only the first of the following calls will be prevented:
+ *     ```javascript
+ *     setInterval(check, 100, 'adblock');
+ *     setInterval(check, 100, 'content');
+ *     ```
  */
 /* eslint-enable max-len */
-export function preventSetInterval(source, matchCallback, matchDelay) {
+export function preventSetInterval(source, matchCallback, matchDelay, stack, matchArgs) {
     // if browser does not support Proxy (e.g. Internet Explorer),
     // we use none-proxy "legacy" wrapper for preventing
     // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy
@@ -129,23 +159,44 @@ export function preventSetInterval(source, matchCallback, matchDelay) {
     const log = console.log.bind(console); // eslint-disable-line no-console
 
     // logs setIntervals to console if no arguments have been specified
-    const shouldLog = ((typeof matchCallback === 'undefined') && (typeof matchDelay === 'undefined'));
+    const shouldLog = typeof matchCallback === 'undefined'
+        && typeof matchDelay === 'undefined'
+        && typeof stack === 'undefined'
+        && typeof matchArgs === 'undefined';
 
-    const legacyIntervalWrapper = (callback, delay, ...args) => {
-        let shouldPrevent = false;
+    /**
+     * Checks whether the setInterval call should be prevented,
+     * or logs it if no arguments have been specified
+     * @param {any} callback
+     * @param {any} delay
+     * @param {Array} args extra arguments of the call
+     * @param {string} stackTrace stack trace got by the handler of the call,
+     * so only the frames of the handler and the caller are there; empty if `stack` is not set
+     * @returns {boolean}
+     */
+    const isCallMatched = (callback, delay, args, stackTrace) => {
         if (shouldLog) {
             hit(source);
             // https://github.com/AdguardTeam/Scriptlets/issues/105
             log(`setInterval(${String(callback)}, ${delay})`);
-        } else {
-            shouldPrevent = isPreventionNeeded({
-                callback,
-                delay,
-                matchCallback,
-                matchDelay,
-            });
+            return false;
         }
-        if (shouldPrevent) {
+        return isPreventionNeeded({
+            callback,
+            delay,
+            matchCallback,
+            matchDelay,
+            args,
+            matchArgs,
+        })
+            && matchStackTrace(stack, stackTrace);
+    };
+
+    const legacyIntervalWrapper = (callback, delay, ...args) => {
+        // stack trace is got by the handler itself as matchStackTrace() skips its first frame,
+        // and it is not got if not needed as its getting is expensive
+        const stackTrace = stack ? new Error().stack : '';
+        if (isCallMatched(callback, delay, args, stackTrace)) {
             hit(source);
             return nativeInterval(noopFunc, delay);
         }
@@ -155,20 +206,8 @@ export function preventSetInterval(source, matchCallback, matchDelay) {
     const handlerWrapper = (target, thisArg, args) => {
         const callback = args[0];
         const delay = args[1];
-        let shouldPrevent = false;
-        if (shouldLog) {
-            hit(source);
-            // https://github.com/AdguardTeam/Scriptlets/issues/105
-            log(`setInterval(${String(callback)}, ${delay})`);
-        } else {
-            shouldPrevent = isPreventionNeeded({
-                callback,
-                delay,
-                matchCallback,
-                matchDelay,
-            });
-        }
-        if (shouldPrevent) {
+        const stackTrace = stack ? new Error().stack : '';
+        if (isCallMatched(callback, delay, args.slice(2), stackTrace)) {
             hit(source);
             args[0] = noopFunc;
         }
@@ -205,6 +244,7 @@ preventSetInterval.injections = [
     hit,
     noopFunc,
     isPreventionNeeded,
+    matchStackTrace,
     // following helpers should be injected as helpers above use them
     toRegExp,
     startsWith,
@@ -217,4 +257,9 @@ preventSetInterval.injections = [
     escapeRegExp,
     nativeIsFinite,
     isValidMatchNumber,
+    convertTypeToString,
+    objectToString,
+    isEmptyObject,
+    getObjectEntries,
+    getNativeRegexpTest,
 ];
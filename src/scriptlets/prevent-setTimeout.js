@@ -2,6 +2,7 @@ import {
     hit,
     noopFunc,
     isPreventionNeeded,
+    matchStackTrace,
     // following helpers are needed for helpers above
     parseMatchArg,
     parseDelayArg,
@@ -14,6 +15,11 @@ import {
     isValidStrPattern,
     nativeIsFinite,
     isValidMatchNumber,
+    convertTypeToString,
+    objectToString,
+    isEmptyObject,
+    getObjectEntries,
+    getNativeRegexpTest,
 } from '../helpers/index';
 
 /* eslint-disable max-len */
@@ -24,14 +30,24 @@ import {
  * Prevents a `setTimeout` call if:
  * 1) the text of the callback is matching the specified `matchCallback` string/regexp which does not start with `!`;
  * otherwise mismatched calls should be defused;
- * 2) the delay is matching the specified `matchDelay`; otherwise mismatched calls should be defused.
+ * 2) the delay is matching the specified `matchDelay`; otherwise mismatched calls should be defused;
+ * 3) the stack trace of the call is matching the specified `stack`;
+ * 4) the extra arguments passed to the callback are matching the specified `matchArgs`.
+ *
+ * If `matchDelay` is set to `0` exactly, and `matchCallback`, `stack` or `matchArgs` is set as well,
+ * the same prevention is applied to the zero delay schedulers which may be used instead of `setTimeout`:
+ * `queueMicrotask()`, `setImmediate()` where present, and `MessageChannel` ports,
+ * for which `postMessage()` call is prevented if `onmessage` handler of the paired port is matched as callback;
+ * ports which listen to messages via `addEventListener('message')` are not covered.
+ * Prevented `setTimeout`, `queueMicrotask` and `setImmediate` calls schedule noop function instead of the callback,
+ * and prevented `postMessage()` calls do nothing.
  *
  * Related UBO scriptlet:
  * https://github.com/gorhill/uBlock/wiki/Resources-Library#no-settimeout-ifjs-
  *
  * **Syntax**
  * ```
- * example.org#%#//scriptlet('prevent-setTimeout'[, matchCallback[, matchDelay]])
+ * example.org#%#//scriptlet('prevent-setTimeout'[, matchCallback[, matchDelay[, stack[, matchArgs]]]])
  * ```
  *
  * Call with no arguments will log calls to setTimeout while debugging (`log-setTimeout` superseding),
@@ -43,6 +59,15 @@ import {
  * - `matchDelay` - optional, must be an integer.
  * If starts with `!`, scriptlet will not match the delay but all other will be defused.
  * If do not start with `!`, the delay passed to the `setTimeout` call will be matched.
+ * Zero delay schedulers are covered only if it is set to `0` along with other matching parameter,
+ * and their calls are considered to have `0` delay.
+ * - `stack` - optional, string or regular expression that must match the stack trace of the call,
+ * useful for bound functions, class methods and other callbacks which stringified text can not be matched;
+ * if regular expression is invalid it will be skipped
+ * - `matchArgs` - optional, string or regular expression matching the extra arguments
+ * passed to the `setTimeout` call after the delay, converted to string and joined by `, `;
+ * for `MessageChannel` the posted message is matched.
+ * If starts with `!`, scriptlet will not match the extra arguments but all other will be defused.
  *
  * > If `prevent-setTimeout` log looks like `setTimeout(undefined, 1000)`,
  * it means that no callback was passed to setTimeout() and that's not scriptlet issue
@@ -117,9 +142,31 @@ import {
  *         window.value = "test -- executed";
  *     }, 500);
  *     ```
+ *
+ * 5. Prevents all `setTimeout` calls made by `detector.js` script regardless of the callback and the delay.
+ *     ```
+ *     example.org#%#//scriptlet('prevent-setTimeout', '', '', 'detector.js')
+ *     ```
+ *
+ * 6. Prevents `setTimeout` calls which pass `adblock` to the callback.
+ *     ```
+ *     example.org#%#//scriptlet('prevent-setTimeout', '', '', '', 'adblock')
+ *     ```
+ *
+ *     For instance, only the first of the following calls will be prevented:
+ *     ```javascript
+ *     setTimeout(check, 100, 'adblock');
+ *     setTimeout(check, 100, 'content');
+ *     ```
+ *
+ * 7. Prevents zero delay `setTimeout`, `queueMicrotask`, `setImmediate` and `MessageChannel` calls
+ * if the callback matches `detect`.
+ *     ```
+ *     example.org#%#//scriptlet('prevent-setTimeout', 'detect', '0')
+ *     ```
  */
 /* eslint-enable max-len */
-export function preventSetTimeout(source, matchCallback, matchDelay) {
+export function preventSetTimeout(source, matchCallback, matchDelay, stack, matchArgs) {
     // if browser does not support Proxy (e.g. Internet Explorer),
     // we use none-proxy "legacy" wrapper for preventing
     // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy
@@ -129,23 +176,46 @@ export function preventSetTimeout(source, matchCallback, matchDelay) {
     const log = console.log.bind(console); // eslint-disable-line no-console
 
     // logs setTimeouts to console if no arguments have been specified
-    const shouldLog = ((typeof matchCallback === 'undefined') && (typeof matchDelay === 'undefined'));
+    const shouldLog = typeof matchCallback === 'undefined'
+        && typeof matchDelay === 'undefined'
+        && typeof stack === 'undefined'
+        && typeof matchArgs === 'undefined';
 
-    const legacyTimeoutWrapper = (callback, delay, ...args) => {
-        let shouldPrevent = false;
+    /**
+     * Checks whether the scheduling call should be prevented,
+     * or logs it if no arguments have been specified
+     * @param {string} logMessage call description for logging
+     * @param {any} callback
+     * @param {any} delay
+     * @param {Array} args extra arguments of the call
+     * @param {string} stackTrace stack trace got by the handler of the call,
+     * so only the frames of the handler and the caller are there; empty if `stack` is not set
+     * @returns {boolean}
+     */
+    const isCallMatched = (logMessage, callback, delay, args, stackTrace) => {
         if (shouldLog) {
             hit(source);
-            // https://github.com/AdguardTeam/Scriptlets/issues/105
-            log(`setTimeout(${String(callback)}, ${delay})`);
-        } else {
-            shouldPrevent = isPreventionNeeded({
-                callback,
-                delay,
-                matchCallback,
-                matchDelay,
-            });
+            log(logMessage);
+            return false;
         }
-        if (shouldPrevent) {
+        return isPreventionNeeded({
+            callback,
+            delay,
+            matchCallback,
+            matchDelay,
+            args,
+            matchArgs,
+        })
+            && matchStackTrace(stack, stackTrace);
+    };
+
+    const legacyTimeoutWrapper = (callback, delay, ...args) => {
+        // https://github.com/AdguardTeam/Scriptlets/issues/105
+        const logMessage = `setTimeout(${String(callback)}, ${delay})`;
+        // stack trace is got by the handler itself as matchStackTrace() skips its first frame,
+        // and it is not got if not needed as its getting is expensive
+        const stackTrace = stack ? new Error().stack : '';
+        if (isCallMatched(logMessage, callback, delay, args, stackTrace)) {
             hit(source);
             return nativeTimeout(noopFunc, delay);
         }
@@ -155,20 +225,10 @@ export function preventSetTimeout(source, matchCallback, matchDelay) {
     const handlerWrapper = (target, thisArg, args) => {
         const callback = args[0];
         const delay = args[1];
-        let shouldPrevent = false;
-        if (shouldLog) {
-            hit(source);
-            // https://github.com/AdguardTeam/Scriptlets/issues/105
-            log(`setTimeout(${String(callback)}, ${delay})`);
-        } else {
-            shouldPrevent = isPreventionNeeded({
-                callback,
-                delay,
-                matchCallback,
-                matchDelay,
-            });
-        }
-        if (shouldPrevent) {
+        // https://github.com/AdguardTeam/Scriptlets/issues/105
+        const logMessage = `setTimeout(${String(callback)}, ${delay})`;
+        const stackTrace = stack ? new Error().stack : '';
+        if (isCallMatched(logMessage, callback, delay, args.slice(2), stackTrace)) {
             hit(source);
             args[0] = noopFunc;
         }
@@ -182,6 +242,86 @@ export function preventSetTimeout(source, matchCallback, matchDelay) {
     window.setTimeout = isProxySupported
         ? new Proxy(window.setTimeout, setTimeoutHandler)
         : legacyTimeoutWrapper;
+
+    const { isInvertedDelayMatch, delayMatch } = parseDelayArg(matchDelay);
+    // zero delay schedulers are widely used by the page scripts not for timing at all,
+    // so they are covered only by rules which match zero delay explicitly
+    // and match the calls by something else as well
+    const isSchedulerCallMatchable = !!matchCallback || !!stack || !!matchArgs;
+    if (!isProxySupported
+        || delayMatch !== 0
+        || isInvertedDelayMatch
+        || !isSchedulerCallMatchable) {
+        return;
+    }
+
+    /**
+     * Creates handler for the zero delay scheduler which gets the callback as the first argument
+     * @param {string} schedulerName
+     * @returns {Object}
+     */
+    const createSchedulerHandler = (schedulerName) => {
+        return {
+            apply: (target, thisArg, args) => {
+                const callback = args[0];
+                const logMessage = `${schedulerName}(${String(callback)})`;
+                const stackTrace = stack ? new Error().stack : '';
+                if (isCallMatched(logMessage, callback, 0, args.slice(1), stackTrace)) {
+                    hit(source);
+                    args[0] = noopFunc;
+                }
+                return Reflect.apply(target, thisArg, args);
+            },
+        };
+    };
+
+    if (typeof window.queueMicrotask === 'function') {
+        window.queueMicrotask = new Proxy(window.queueMicrotask, createSchedulerHandler('queueMicrotask'));
+    }
+    if (typeof window.setImmediate === 'function') {
+        window.setImmediate = new Proxy(window.setImmediate, createSchedulerHandler('setImmediate'));
+    }
+
+    if (typeof window.MessageChannel !== 'function'
+        || typeof window.MessagePort === 'undefined'
+        || typeof WeakMap === 'undefined') {
+        return;
+    }
+
+    // ports of the channels are mapped to their paired ports
+    // which handlers are called on postMessage() call
+    const pairedPorts = new WeakMap();
+
+    const messageChannelHandler = {
+        construct: (target, args, newTarget) => {
+            const channel = Reflect.construct(target, args, newTarget);
+            pairedPorts.set(channel.port1, channel.port2);
+            pairedPorts.set(channel.port2, channel.port1);
+            return channel;
+        },
+    };
+
+    const postMessageHandler = {
+        apply: (target, thisArg, args) => {
+            const pairedPort = pairedPorts.get(thisArg);
+            const callback = pairedPort ? pairedPort.onmessage : null;
+            if (typeof callback === 'function') {
+                const logMessage = `MessageChannel(${String(callback)})`;
+                const stackTrace = stack ? new Error().stack : '';
+                if (isCallMatched(logMessage, callback, 0, args.slice(0, 1), stackTrace)) {
+                    hit(source);
+                    return undefined;
+                }
+            }
+            return Reflect.apply(target, thisArg, args);
+        },
+    };
+
+    // eslint-disable-next-line compat/compat
+    window.MessageChannel = new Proxy(window.MessageChannel, messageChannelHandler);
+    // eslint-disable-next-line compat/compat
+    const { prototype } = window.MessagePort;
+    prototype.postMessage = new Proxy(prototype.postMessage, postMessageHandler);
 }
 
 preventSetTimeout.names = [
@@ -208,6 +348,7 @@ preventSetTimeout.injections = [
     hit,
     noopFunc,
     isPreventionNeeded,
+    matchStackTrace,
     // following helpers should be injected as helpers above use them
     parseMatchArg,
     parseDelayArg,
@@ -220,4 +361,9 @@ preventSetTimeout.injections = [
     isValidStrPattern,
     nativeIsFinite,
     isValidMatchNumber,
+    convertTypeToString,
+    objectToString,
+    isEmptyObject,
+    getObjectEntries,
+    getNativeRegexpTest,
 ];
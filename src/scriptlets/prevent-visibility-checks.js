@@ -0,0 +1,104 @@
+import {
+    hit,
+    validateType,
+    validateListener,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet prevent-visibility-checks
+ *
+ * @description
+ * Makes the page always be visible and focused for its scripts,
+ * e.g. to prevent pausing of timers which require the tab to be active or ad walls shown on the tab switching.
+ * - `document.hidden` returns `false` and `document.visibilityState` returns `visible`, as well as their `webkit` prefixed versions
+ * - `document.hasFocus()` returns `true`
+ * - `visibilitychange` events and `blur` events of the window are swallowed:
+ * the page listeners for them are not added to window and document, and the events are stopped before the listeners added another way
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('prevent-visibility-checks')
+ * ```
+ */
+/* eslint-enable max-len */
+export function preventVisibilityChecks(source) {
+    const VISIBILITY_PROPS = {
+        hidden: false,
+        webkitHidden: false,
+        visibilityState: 'visible',
+        webkitVisibilityState: 'visible',
+    };
+    const VISIBILITY_EVENTS = ['visibilitychange', 'webkitvisibilitychange'];
+    const WINDOW_EVENTS = VISIBILITY_EVENTS.concat('blur');
+
+    Object.keys(VISIBILITY_PROPS).forEach((prop) => {
+        if (!(prop in document)) {
+            return;
+        }
+        Object.defineProperty(document, prop, {
+            configurable: true,
+            get: () => VISIBILITY_PROPS[prop],
+        });
+    });
+
+    if (typeof document.hasFocus === 'function') {
+        document.hasFocus = function hasFocus() {
+            return true;
+        };
+    }
+
+    /**
+     * Checks whether the event of the type should be swallowed for the target
+     * @param {EventTarget} target
+     * @param {string} type event type
+     * @returns {boolean}
+     */
+    const isSwallowedEvent = (target, type) => {
+        if (target === window) {
+            return WINDOW_EVENTS.indexOf(type) > -1;
+        }
+        if (target === document) {
+            return VISIBILITY_EVENTS.indexOf(type) > -1;
+        }
+        return false;
+    };
+
+    // listeners added before or via EventTarget.prototype and event handler properties
+    // are not called as the events are stopped on capturing phase by the listener added first
+    const stopEvent = (event) => {
+        if (isSwallowedEvent(event.target, event.type)) {
+            hit(source);
+            event.stopImmediatePropagation();
+        }
+    };
+    WINDOW_EVENTS.forEach((type) => {
+        window.addEventListener(type, stopEvent, true);
+    });
+
+    const wrapAddEventListener = (target) => {
+        const nativeAddEventListener = target.addEventListener;
+        // eslint-disable-next-line func-names
+        target.addEventListener = function (type, listener, ...args) {
+            if (validateType(type)
+                && validateListener(listener)
+                && isSwallowedEvent(target, type.toString())) {
+                hit(source);
+                return undefined;
+            }
+            return nativeAddEventListener.apply(this, [type, listener, ...args]);
+        };
+    };
+    wrapAddEventListener(window);
+    wrapAddEventListener(document);
+}
+
+preventVisibilityChecks.names = [
+    'prevent-visibility-checks',
+];
+
+preventVisibilityChecks.injections = [
+    hit,
+    validateType,
+    validateListener,
+];
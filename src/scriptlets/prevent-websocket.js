@@ -0,0 +1,286 @@
+import {
+    hit,
+    toRegExp,
+    getWildcardSymbol,
+    isValidStrPattern,
+    // following helpers should be imported and injected
+    // because they are used by helpers above
+    escapeRegExp,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet prevent-websocket
+ *
+ * @description
+ * Prevents `WebSocket` connections if the URL matches the specified search.
+ * The fake socket is returned instead of the real one, so the page sees the connection as it is established:
+ * `open` event is dispatched, `send()` calls are silently ignored and `close()` call closes the socket with `close` event,
+ * while `readyState` goes through all the states.
+ * The fake socket is still an instance of `WebSocket`.
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('prevent-websocket'[, urlToMatch])
+ * ```
+ *
+ * - `urlToMatch` - optional, string or regular expression for matching the URL passed to the `WebSocket` constructor;
+ * empty string or wildcard `*` for all connections match; invalid regular expression will cause exit and rule will not work
+ *
+ * > Usage with no arguments will log WebSocket connections to browser console;
+ * which is useful for debugging but permitted for production filter lists.
+ *
+ * **Examples**
+ * 1. Log all WebSocket connections
+ *     ```
+ *     example.org#%#//scriptlet('prevent-websocket')
+ *     ```
+ *
+ * 2. Prevent all WebSocket connections
+ *     ```
+ *     example.org#%#//scriptlet('prevent-websocket', '*')
+ *     ```
+ *
+ * 3. Prevent WebSocket connections to the specific host
+ *     ```
+ *     example.org#%#//scriptlet('prevent-websocket', 'ads.example.com')
+ *     ```
+ *
+ * 4. Prevent WebSocket connections matching the regular expression
+ *     ```
+ *     example.org#%#//scriptlet('prevent-websocket', '/wss:\/\/[a-z]+\.example\.com\/track/')
+ *     ```
+ */
+/* eslint-enable max-len */
+export function preventWebSocket(source, urlToMatch) {
+    // do nothing if browser does not support WebSocket or Proxy (e.g. Internet Explorer)
+    // https://developer.mozilla.org/en-US/docs/Web/API/WebSocket
+    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy
+    if (typeof WebSocket === 'undefined'
+        || typeof Proxy === 'undefined'
+        || typeof EventTarget === 'undefined') {
+        return;
+    }
+
+    const shouldLog = typeof urlToMatch === 'undefined';
+    if (!shouldLog && !isValidStrPattern(urlToMatch)) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid parameter: ${urlToMatch}`);
+        return;
+    }
+    const urlRegexp = urlToMatch === getWildcardSymbol()
+        ? toRegExp()
+        : toRegExp(urlToMatch);
+
+    const SOCKET_STATES = {
+        CONNECTING: 0,
+        OPEN: 1,
+        CLOSING: 2,
+        CLOSED: 3,
+    };
+    const EVENT_HANDLERS = ['open', 'message', 'error', 'close'];
+    // https://developer.mozilla.org/en-US/docs/Web/API/CloseEvent/code
+    const CLOSE_CODES = {
+        NO_STATUS: 1005,
+        ABNORMAL: 1006,
+    };
+
+    /**
+     * Returns absolute url of the socket as it is done natively for `url` property
+     * @param {string} url url passed to the constructor
+     * @returns {string}
+     */
+    const getSocketUrl = (url) => {
+        try {
+            // eslint-disable-next-line compat/compat
+            const socketUrl = new URL(url, window.location.href);
+            if (socketUrl.protocol === 'http:') {
+                socketUrl.protocol = 'ws:';
+            } else if (socketUrl.protocol === 'https:') {
+                socketUrl.protocol = 'wss:';
+            }
+            socketUrl.hash = '';
+            return socketUrl.href;
+        } catch (e) {
+            return url;
+        }
+    };
+
+    /**
+     * Creates close event, or simple event if CloseEvent is not supported
+     * @param {number} code close code
+     * @param {string} reason close reason
+     * @param {boolean} wasClean whether the connection was closed cleanly
+     * @returns {Event}
+     */
+    const createCloseEvent = (code, reason, wasClean) => {
+        if (typeof CloseEvent === 'function') {
+            return new CloseEvent('close', { code, reason, wasClean });
+        }
+        return new Event('close');
+    };
+
+    /**
+     * Creates fake socket which is an instance of WebSocket
+     * but does not connect anywhere
+     * @param {Function} newTarget constructor which is called with `new`
+     * @param {string} url url passed to the constructor
+     * @param {string|string[]} [protocols] protocols passed to the constructor
+     * @returns {WebSocket}
+     */
+    const createFakeSocket = (newTarget, url, protocols) => {
+        // real EventTarget is needed for listeners to work natively,
+        // and its prototype is set to WebSocket.prototype so `instanceof WebSocket` holds
+        const socket = Reflect.construct(EventTarget, [], newTarget);
+
+        let readyState = SOCKET_STATES.CONNECTING;
+        let binaryType = 'blob';
+        let protocol = '';
+        if (Array.isArray(protocols) && protocols.length > 0) {
+            protocol = String(protocols[0]);
+        } else if (typeof protocols === 'string') {
+            protocol = protocols;
+        }
+        const handlers = {};
+
+        const props = {
+            url: {
+                value: getSocketUrl(url),
+            },
+            protocol: {
+                get: () => protocol,
+            },
+            extensions: {
+                value: '',
+            },
+            readyState: {
+                get: () => readyState,
+            },
+            bufferedAmount: {
+                value: 0,
+            },
+            binaryType: {
+                get: () => binaryType,
+                set: (value) => {
+                    if (value === 'blob' || value === 'arraybuffer') {
+                        binaryType = value;
+                    }
+                },
+            },
+            send: {
+                value: function send() {
+                    if (readyState === SOCKET_STATES.CONNECTING) {
+                        throw new DOMException('Still in CONNECTING state.', 'InvalidStateError');
+                    }
+                    // data is silently dropped
+                },
+            },
+            close: {
+                value: function close(code, reason) {
+                    if (readyState === SOCKET_STATES.CLOSING
+                        || readyState === SOCKET_STATES.CLOSED) {
+                        return;
+                    }
+                    // connection which is not established yet is failed
+                    const isClean = readyState === SOCKET_STATES.OPEN;
+                    readyState = SOCKET_STATES.CLOSING;
+                    setTimeout(() => {
+                        readyState = SOCKET_STATES.CLOSED;
+                        if (!isClean) {
+                            socket.dispatchEvent(new Event('error'));
+                            socket.dispatchEvent(createCloseEvent(CLOSE_CODES.ABNORMAL, '', false));
+                            return;
+                        }
+                        const closeCode = typeof code === 'undefined'
+                            ? CLOSE_CODES.NO_STATUS
+                            : Number(code);
+                        const closeReason = typeof reason === 'undefined'
+                            ? ''
+                            : String(reason);
+                        socket.dispatchEvent(createCloseEvent(closeCode, closeReason, true));
+                    }, 1);
+                },
+            },
+        };
+
+        // event handler properties of WebSocket.prototype can not be used on the fake socket
+        EVENT_HANDLERS.forEach((type) => {
+            handlers[type] = null;
+            let isListening = false;
+            props[`on${type}`] = {
+                get: () => handlers[type],
+                set: (value) => {
+                    handlers[type] = typeof value === 'function' ? value : null;
+                    // handler is called in the order it is set first time, as it is done natively
+                    if (isListening || !handlers[type]) {
+                        return;
+                    }
+                    isListening = true;
+                    socket.addEventListener(type, (event) => {
+                        if (handlers[type]) {
+                            handlers[type].call(socket, event);
+                        }
+                    });
+                },
+            };
+        });
+
+        Object.keys(props).forEach((prop) => {
+            props[prop].configurable = true;
+            props[prop].enumerable = true;
+        });
+        Object.defineProperties(socket, props);
+
+        setTimeout(() => {
+            // socket may be closed before the connection is "established"
+            if (readyState !== SOCKET_STATES.CONNECTING) {
+                return;
+            }
+            readyState = SOCKET_STATES.OPEN;
+            socket.dispatchEvent(new Event('open'));
+        }, 1);
+
+        return socket;
+    };
+
+    const constructWrapper = (target, args, newTarget) => {
+        const url = String(args[0]);
+        if (shouldLog) {
+            hit(source, `log: WebSocket( ${url} )`);
+            return Reflect.construct(target, args, newTarget);
+        }
+
+        if (!urlRegexp.test(url)) {
+            return Reflect.construct(target, args, newTarget);
+        }
+
+        let socket;
+        try {
+            socket = createFakeSocket(newTarget, url, args[1]);
+        } catch (e) {
+            // EventTarget constructor is not supported in old browsers
+            return Reflect.construct(target, args, newTarget);
+        }
+        hit(source);
+        return socket;
+    };
+
+    const webSocketHandler = {
+        construct: constructWrapper,
+    };
+
+    // eslint-disable-next-line compat/compat
+    window.WebSocket = new Proxy(window.WebSocket, webSocketHandler);
+}
+
+preventWebSocket.names = [
+    'prevent-websocket',
+];
+
+preventWebSocket.injections = [
+    hit,
+    toRegExp,
+    getWildcardSymbol,
+    isValidStrPattern,
+    escapeRegExp,
+];
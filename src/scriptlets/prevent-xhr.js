@@ -2,14 +2,15 @@ import {
     hit,
     objectToString,
     getWildcardSymbol,
-    parseMatchProps,
-    validateParsedData,
-    getMatchPropsData,
+    matchRequestProps,
     getRandomIntInclusive,
     getRandomStrByLength,
     generateRandomResponse,
     // following helpers should be imported and injected
     // because they are used by helpers above
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
     toRegExp,
     isValidStrPattern,
     escapeRegExp,
@@ -27,6 +28,15 @@ import {
  * @description
  * Prevents `xhr` calls if **all** given parameters match.
  *
+ * The request is not sent but its lifecycle is mocked the same way as for the real request:
+ * `readyState` goes from `1` to `4` with `readystatechange` events
+ * and `loadstart`, `progress`, `load` and `loadend` events are dispatched.
+ * The response has status `200`, absolute `responseURL` and response headers,
+ * and it is typed according to the `responseType` of the request, e.g. `Blob` for `blob` or `null` for `json` if response text is not a valid JSON.
+ * The rule is applied inside Web Workers and Shared Workers created by the page as well
+ * if it is set by `prevent-xhr-in-workers` alias; it is not applied inside workers by default
+ * as the worker scripts are loaded via blob urls then, which may be blocked by Content Security Policy.
+ *
  * Related UBO scriptlet:
  * https://github.com/gorhill/uBlock/wiki/Resources-Library#no-xhr-ifjs-
  *
@@ -85,6 +95,11 @@ import {
  *     ```
  *    example.org#%#//scriptlet('prevent-xhr', 'example.org', 'length:100-300')
  *     ```
+ *
+ * 8. Prevent XMLHttpRequests for specific url inside workers created by the page as well
+ *     ```
+ *     example.org#%#//scriptlet('prevent-xhr-in-workers', 'example.org')
+ *     ```
  */
 /* eslint-enable max-len */
 export function preventXHR(source, propsToMatch, customResponseText) {
@@ -94,93 +109,352 @@ export function preventXHR(source, propsToMatch, customResponseText) {
         return;
     }
 
-    let shouldPrevent = false;
-    let response = '';
-    let responseText = '';
-    let responseUrl;
+    const XHR_STATES = {
+        UNSENT: 0,
+        OPENED: 1,
+        HEADERS_RECEIVED: 2,
+        LOADING: 3,
+        DONE: 4,
+    };
+    // props defined on the xhr instance to mock the response
+    const XHR_OVERRIDDEN_PROPS = [
+        'readyState',
+        'status',
+        'statusText',
+        'response',
+        'responseText',
+        'responseURL',
+        'getAllResponseHeaders',
+        'getResponseHeader',
+    ];
+    const TEXT_RESPONSE_TYPES = ['', 'text'];
+
+    // xhr -> data of the request made by .open() call,
+    // including the timer of the mocked response lifecycle and its abort() handler
+    // eslint-disable-next-line compat/compat
+    const xhrRequests = new WeakMap();
+
+    /**
+     * Checks whether the request should be prevented
+     * @param {Object} xhrData method and url passed to .open() call
+     * @returns {boolean}
+     */
+    const isRequestMatched = (xhrData) => {
+        if (propsToMatch === '' || propsToMatch === getWildcardSymbol()) {
+            // Prevent all xhr calls
+            return true;
+        }
+        return matchRequestProps(propsToMatch, xhrData);
+    };
+
+    /**
+     * Returns absolute url of the request without hash as it is done for `responseURL`
+     * @param {string} url url passed to .open() call
+     * @returns {string}
+     */
+    const getResponseUrl = (url) => {
+        // there is no document in workers
+        const baseUrl = typeof document !== 'undefined'
+            ? document.baseURI
+            : window.location.href;
+        try {
+            // eslint-disable-next-line compat/compat
+            const responseUrl = new URL(url, baseUrl);
+            responseUrl.hash = '';
+            return responseUrl.href;
+        } catch (e) {
+            return url;
+        }
+    };
+
+    /**
+     * Returns response text, randomized if it is needed
+     * @returns {string}
+     */
+    const getResponseText = () => {
+        if (!customResponseText) {
+            return '';
+        }
+        const randomText = generateRandomResponse(customResponseText);
+        if (!randomText) {
+            // eslint-disable-next-line no-console
+            console.log(`Invalid range: ${customResponseText}`);
+            return '';
+        }
+        return randomText;
+    };
+
+    /**
+     * Returns response typed according to the `responseType` of the xhr
+     * @param {string} responseType
+     * @param {string} text response text
+     * @returns {any}
+     */
+    const getTypedResponse = (responseType, text) => {
+        switch (responseType) {
+        case 'json':
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return null;
+            }
+        case 'arraybuffer': {
+            // eslint-disable-next-line compat/compat
+            const bytes = new Uint8Array(text.length);
+            for (let i = 0; i < text.length; i += 1) {
+                bytes[i] = text.charCodeAt(i);
+            }
+            return bytes.buffer;
+        }
+        case 'blob':
+            // eslint-disable-next-line compat/compat
+            return new Blob([text]);
+        case 'document':
+            return null;
+        default:
+            return text;
+        }
+    };
+
+    /**
+     * Returns content type header value according to the `responseType` of the xhr
+     * @param {string} responseType
+     * @returns {string}
+     */
+    const getContentType = (responseType) => {
+        if (responseType === 'json') {
+            return 'application/json';
+        }
+        if (responseType === 'arraybuffer' || responseType === 'blob') {
+            return 'application/octet-stream';
+        }
+        if (responseType === 'document') {
+            return 'text/html; charset=utf-8';
+        }
+        return 'text/plain; charset=utf-8';
+    };
+
+    /**
+     * Dispatches progress event on the xhr
+     * @param {XMLHttpRequest} xhr
+     * @param {string} type event type
+     * @param {number} length response length
+     */
+    const dispatchProgressEvent = (xhr, type, length) => {
+        let event;
+        if (typeof ProgressEvent === 'function') {
+            event = new ProgressEvent(type, {
+                lengthComputable: true,
+                loaded: length,
+                total: length,
+            });
+        } else {
+            event = new Event(type);
+        }
+        xhr.dispatchEvent(event);
+    };
+
+    /**
+     * Drops mocked response props which may be left if the xhr object is reused
+     * @param {XMLHttpRequest} xhr
+     */
+    const dropOverriddenProps = (xhr) => {
+        XHR_OVERRIDDEN_PROPS.forEach((prop) => {
+            if (Object.prototype.hasOwnProperty.call(xhr, prop)) {
+                delete xhr[prop];
+            }
+        });
+    };
+
+    /**
+     * Mocks the response and goes through the xhr lifecycle
+     * the same way as it is done for the real request
+     * @param {XMLHttpRequest} xhr
+     * @param {Object} request data of the request made by .open() call
+     */
+    const mockResponse = (xhr, request) => {
+        const { responseType } = xhr;
+        const isTextResponse = TEXT_RESPONSE_TYPES.indexOf(responseType) > -1;
+        const responseText = getResponseText();
+        const response = getTypedResponse(responseType, responseText);
+        const { length } = responseText;
+        const headers = {
+            'content-type': getContentType(responseType),
+            'content-length': String(length),
+        };
+
+        let state = XHR_STATES.OPENED;
+        // aborted request has no response, the same as for network error
+        let isAborted = false;
+        const isHeadersReceived = () => !isAborted && state >= XHR_STATES.HEADERS_RECEIVED;
+        const isLoading = () => !isAborted && state >= XHR_STATES.LOADING;
+
+        const props = {
+            readyState: {
+                get: () => state,
+            },
+            status: {
+                get: () => (isHeadersReceived() ? 200 : 0),
+            },
+            statusText: {
+                get: () => (isHeadersReceived() ? 'OK' : ''),
+            },
+            response: {
+                get: () => {
+                    if (isTextResponse) {
+                        return isLoading() ? responseText : '';
+                    }
+                    return !isAborted && state === XHR_STATES.DONE ? response : null;
+                },
+            },
+            responseURL: {
+                get: () => request.responseUrl,
+            },
+            getAllResponseHeaders: {
+                value: () => {
+                    if (!isHeadersReceived()) {
+                        return '';
+                    }
+                    return Object.keys(headers)
+                        .map((name) => `${name}: ${headers[name]}\r\n`)
+                        .join('');
+                },
+            },
+            getResponseHeader: {
+                value: (name) => {
+                    const headerName = String(name).toLowerCase();
+                    if (!isHeadersReceived()
+                        || !Object.prototype.hasOwnProperty.call(headers, headerName)) {
+                        return null;
+                    }
+                    return headers[headerName];
+                },
+            },
+        };
+        // responseText getter should throw natively for other response types
+        if (isTextResponse) {
+            props.responseText = {
+                get: () => (isLoading() ? responseText : ''),
+            };
+        }
+        Object.keys(props).forEach((prop) => {
+            props[prop].configurable = true;
+        });
+        Object.defineProperties(xhr, props);
+
+        // request is not actual anymore if xhr is opened once again by event listeners
+        const isActual = () => xhrRequests.get(xhr) === request;
+
+        const setState = (newState) => {
+            state = newState;
+            xhr.dispatchEvent(new Event('readystatechange'));
+            return isActual();
+        };
+
+        const finish = () => {
+            dispatchProgressEvent(xhr, 'load', length);
+            dispatchProgressEvent(xhr, 'loadend', length);
+        };
+
+        /**
+         * Aborts the mocked request the same way as it is done for the real one:
+         * request in progress gets DONE state with `abort` and `loadend` events,
+         * and then the state is reset to UNSENT without events
+         */
+        request.abort = () => {
+            clearTimeout(request.timerId);
+            xhrRequests.delete(xhr);
+            const isInProgress = state !== XHR_STATES.DONE;
+            isAborted = true;
+            if (isInProgress) {
+                state = XHR_STATES.DONE;
+                xhr.dispatchEvent(new Event('readystatechange'));
+                dispatchProgressEvent(xhr, 'abort', 0);
+                dispatchProgressEvent(xhr, 'loadend', 0);
+            }
+            // xhr may be opened once again by event listeners
+            if (!xhrRequests.has(xhr)) {
+                state = XHR_STATES.UNSENT;
+            }
+        };
+
+        // synchronous request is done by the time .send() returns
+        // and only the final events are dispatched
+        if (!request.isAsync) {
+            if (setState(XHR_STATES.DONE)) {
+                finish();
+            }
+            return;
+        }
+
+        dispatchProgressEvent(xhr, 'loadstart', 0);
+        request.timerId = setTimeout(() => {
+            if (!isActual()
+                || !setState(XHR_STATES.HEADERS_RECEIVED)
+                || !setState(XHR_STATES.LOADING)) {
+                return;
+            }
+            dispatchProgressEvent(xhr, 'progress', length);
+            if (!isActual() || !setState(XHR_STATES.DONE)) {
+                return;
+            }
+            finish();
+        }, 1);
+    };
+
     const openWrapper = (target, thisArg, args) => {
+        // xhr object may be reused, so previous overrides should be dropped
+        // and the previous request should not be continued
+        const prevRequest = xhrRequests.get(thisArg);
+        if (prevRequest) {
+            clearTimeout(prevRequest.timerId);
+        }
+        dropOverriddenProps(thisArg);
+        xhrRequests.delete(thisArg);
+
         // Get method and url from .open()
         const xhrData = {
             method: args[0],
             url: args[1],
         };
-        responseUrl = xhrData.url;
         if (typeof propsToMatch === 'undefined') {
             // Log if no propsToMatch given
             const logMessage = `log: xhr( ${objectToString(xhrData)} )`;
             hit(source, logMessage);
-        } else if (propsToMatch === '' || propsToMatch === getWildcardSymbol()) {
-            // Prevent all fetch calls
-            shouldPrevent = true;
-        } else {
-            const parsedData = parseMatchProps(propsToMatch);
-            if (!validateParsedData(parsedData)) {
-                // eslint-disable-next-line no-console
-                console.log(`Invalid parameter: ${propsToMatch}`);
-                shouldPrevent = false;
-            } else {
-                const matchData = getMatchPropsData(parsedData);
-                // prevent only if all props match
-                shouldPrevent = Object.keys(matchData)
-                    .every((matchKey) => {
-                        const matchValue = matchData[matchKey];
-                        return Object.prototype.hasOwnProperty.call(xhrData, matchKey)
-                            && matchValue.test(xhrData[matchKey]);
-                    });
-            }
+        } else if (isRequestMatched(xhrData)) {
+            xhrRequests.set(thisArg, {
+                responseUrl: getResponseUrl(xhrData.url),
+                // request is asynchronous by default
+                isAsync: args.length < 3 || !!args[2],
+            });
         }
 
+        // native .open() call sets readyState to 1 and dispatches readystatechange event
         return Reflect.apply(target, thisArg, args);
     };
 
     const sendWrapper = (target, thisArg, args) => {
-        if (!shouldPrevent) {
+        const request = xhrRequests.get(thisArg);
+        if (!request) {
             return Reflect.apply(target, thisArg, args);
         }
 
-        if (thisArg.responseType === 'blob') {
-            response = new Blob();
-        }
-
-        if (thisArg.responseType === 'arraybuffer') {
-            response = new ArrayBuffer();
-        }
-
-        if (customResponseText) {
-            const randomText = generateRandomResponse(customResponseText);
-            if (randomText) {
-                responseText = randomText;
-            } else {
-                // eslint-disable-next-line no-console
-                console.log(`Invalid range: ${customResponseText}`);
-            }
-        }
-        // Mock response object
-        Object.defineProperties(thisArg, {
-            readyState: { value: 4, writable: false },
-            response: { value: response, writable: false },
-            responseText: { value: responseText, writable: false },
-            responseURL: { value: responseUrl, writable: false },
-            responseXML: { value: '', writable: false },
-            status: { value: 200, writable: false },
-            statusText: { value: 'OK', writable: false },
-        });
-        // Mock events
-        setTimeout(() => {
-            const stateEvent = new Event('readystatechange');
-            thisArg.dispatchEvent(stateEvent);
-
-            const loadEvent = new Event('load');
-            thisArg.dispatchEvent(loadEvent);
-
-            const loadEndEvent = new Event('loadend');
-            thisArg.dispatchEvent(loadEndEvent);
-        }, 1);
-
         hit(source);
+        mockResponse(thisArg, request);
         return undefined;
     };
 
+    const abortWrapper = (target, thisArg, args) => {
+        const request = xhrRequests.get(thisArg);
+        // native request is only opened for the mocked one,
+        // so its abort() call dispatches no events
+        const result = Reflect.apply(target, thisArg, args);
+        if (request && typeof request.abort === 'function') {
+            request.abort();
+        }
+        return result;
+    };
+
     const openHandler = {
         apply: openWrapper,
     };
@@ -189,12 +463,19 @@ export function preventXHR(source, propsToMatch, customResponseText) {
         apply: sendWrapper,
     };
 
+    const abortHandler = {
+        apply: abortWrapper,
+    };
+
     XMLHttpRequest.prototype.open = new Proxy(XMLHttpRequest.prototype.open, openHandler);
     XMLHttpRequest.prototype.send = new Proxy(XMLHttpRequest.prototype.send, sendHandler);
+    XMLHttpRequest.prototype.abort = new Proxy(XMLHttpRequest.prototype.abort, abortHandler);
 }
 
 preventXHR.names = [
     'prevent-xhr',
+    // applies the rule inside workers as well
+    'prevent-xhr-in-workers',
     // aliases are needed for matching the related scriptlet converted into our syntax
     'no-xhr-if.js',
     'ubo-no-xhr-if.js',
@@ -205,12 +486,13 @@ preventXHR.injections = [
     hit,
     objectToString,
     getWildcardSymbol,
-    parseMatchProps,
-    validateParsedData,
-    getMatchPropsData,
+    matchRequestProps,
     getRandomIntInclusive,
     getRandomStrByLength,
     generateRandomResponse,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
     toRegExp,
     isValidStrPattern,
     escapeRegExp,
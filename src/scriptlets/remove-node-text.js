@@ -0,0 +1,159 @@
+import {
+    hit,
+    observeDOMChanges,
+    toRegExp,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet remove-node-text
+ *
+ * @description
+ * Removes text nodes whose content matches the specified string or regular expression,
+ * e.g. bodies of inline scripts or anti-adblock messages rendered as bare text.
+ * Nodes are checked right after the scriptlet is applied and after that each time they are added to the page,
+ * so inline scripts are removed before they are executed.
+ *
+ * Related UBO scriptlet:
+ * https://github.com/gorhill/uBlock/wiki/Resources-Library#remove-node-textjs-
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('remove-node-text', nodeName, textMatch)
+ * ```
+ *
+ * - `nodeName` — required, string or regular expression matching the name of the text node parent, e.g. `script` or `div`,
+ * or `#text` for matching any text node
+ * - `textMatch` — required, string or regular expression matching the text content of the node
+ *
+ * **Examples**
+ * 1. Remove the body of inline script containing `adblock`
+ *     ```
+ *     example.org#%#//scriptlet('remove-node-text', 'script', 'adblock')
+ *     ```
+ *
+ *     ```html
+ *     <!-- before -->
+ *     <script>if (adblockDetected) { showWarning(); }</script>
+ *
+ *     <!-- after -->
+ *     <script></script>
+ *     ```
+ *
+ * 2. Remove text nodes matching regular expression from `div` and `p` elements
+ *     ```
+ *     example.org#%#//scriptlet('remove-node-text', '/^(div|p)$/', '/disable (your )?ad ?block/')
+ *     ```
+ *
+ * 3. Remove any text node containing `Advertisement`
+ *     ```
+ *     example.org#%#//scriptlet('remove-node-text', '#text', 'Advertisement')
+ *     ```
+ */
+/* eslint-enable max-len */
+export function removeNodeText(source, nodeName, textMatch) {
+    if (!nodeName || !textMatch) {
+        return;
+    }
+
+    const TEXT_NODE_NAME = '#text';
+    const FORWARD_SLASH = '/';
+    const isNodeNameRegexp = nodeName.length > 1
+        && nodeName[0] === FORWARD_SLASH
+        && nodeName[nodeName.length - 1] === FORWARD_SLASH;
+
+    let nodeNameRegexp;
+    let textRegexp;
+    try {
+        nodeNameRegexp = toRegExp(nodeName);
+        textRegexp = toRegExp(textMatch);
+    } catch (e) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid remove-node-text arguments: '${nodeName}', '${textMatch}'`);
+        return;
+    }
+
+    const isNodeNameMatched = (name) => {
+        const lowerCaseName = name.toLowerCase();
+        // plain string should match the whole node name
+        return isNodeNameRegexp
+            ? nodeNameRegexp.test(lowerCaseName)
+            : lowerCaseName === nodeName.toLowerCase();
+    };
+
+    const isTargetNode = (node) => {
+        const { parentNode, textContent } = node;
+        if (!parentNode || textContent === '') {
+            return false;
+        }
+        const isNameMatched = isNodeNameMatched(TEXT_NODE_NAME)
+            || isNodeNameMatched(parentNode.nodeName);
+        return isNameMatched && textRegexp.test(textContent);
+    };
+
+    /**
+     * Returns text nodes of the root node and its descendants
+     * @param {Node} root
+     * @returns {Text[]}
+     */
+    const getTextNodes = (root) => {
+        if (root.nodeType === Node.TEXT_NODE) {
+            return [root];
+        }
+        const textNodes = [];
+        if (root.nodeType !== Node.ELEMENT_NODE) {
+            return textNodes;
+        }
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let node = walker.nextNode();
+        while (node) {
+            textNodes.push(node);
+            node = walker.nextNode();
+        }
+        return textNodes;
+    };
+
+    const removeTextNodes = (textNodes) => {
+        let removed = false;
+        textNodes.forEach((node) => {
+            if (!isTargetNode(node)) {
+                return;
+            }
+            node.parentNode.removeChild(node);
+            removed = true;
+        });
+        if (removed) {
+            hit(source);
+        }
+    };
+
+    const handleMutations = (mutations) => {
+        mutations.forEach((mutation) => {
+            const { addedNodes } = mutation;
+            for (let i = 0; i < addedNodes.length; i += 1) {
+                removeTextNodes(getTextNodes(addedNodes[i]));
+            }
+        });
+    };
+
+    removeTextNodes(getTextNodes(document.documentElement));
+    // callback should not be throttled to handle inline scripts before they are executed
+    observeDOMChanges(handleMutations, false, [], false);
+}
+
+removeNodeText.names = [
+    'remove-node-text',
+    // aliases are needed for matching the related scriptlet converted into our syntax
+    'remove-node-text.js',
+    'ubo-remove-node-text.js',
+    'rmnt.js',
+    'ubo-rmnt.js',
+    'ubo-remove-node-text',
+    'ubo-rmnt',
+];
+
+removeNodeText.injections = [
+    hit,
+    observeDOMChanges,
+    toRegExp,
+];
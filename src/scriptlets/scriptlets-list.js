@@ -47,3 +47,20 @@ export * from './close-window';
 export * from './prevent-refresh';
 export * from './prevent-element-src-loading';
 export * from './no-topics';
+export * from './xml-prune';
+export * from './m3u-prune';
+export * from './trusted-replace-response';
+export * from './remove-node-text';
+export * from './spoof-css';
+export * from './href-sanitizer';
+export * from './no-protected-audience';
+export * from './trusted-click-element';
+export * from './trusted-set-constant';
+export * from './abort-current-script';
+export * from './trusted-prevent-fetch';
+export * from './prevent-websocket';
+export * from './prevent-sendBeacon';
+export * from './prevent-history-manipulation';
+export * from './prevent-visibility-checks';
+export * from './time-warp';
+export * from './prevent-devtools-detection';
@@ -7,7 +7,11 @@ import {
     falseFunc,
     noopPromiseReject,
     noopPromiseResolve,
+    throwFunc,
+    setConstantInChain,
     getPropertyInChain,
+    createDefinePropertyGuard,
+    hidePatchedToString,
     setPropertyAccess,
     toRegExp,
     matchStackTrace,
@@ -24,6 +28,12 @@ import {
  *
  * > Actually, it's not a constant. Please note, that it can be rewritten with a value of a different type.
  *
+ * The property chain may be defined after the scriptlet is applied, by assignments or by `Object.defineProperty()` calls,
+ * e.g. `Player.prototype.showAds` is set for `window.Player = class Player { ... }` assigned later,
+ * and own properties defined on instances with `Object.defineProperty()` do not shadow the value set on the prototype.
+ * Note that classes and functions declared in the global scope (`class Player { ... }`) are not properties of `window`
+ * and cannot be handled.
+ *
  * Related UBO scriptlet:
  * https://github.com/gorhill/uBlock/wiki/Resources-Library#set-constantjs-
  *
@@ -50,10 +60,16 @@ import {
  *         - `falseFunc` - function returning false
  *         - `noopPromiseResolve` - function returning Promise object that is resolved with an empty response
  *         - `noopPromiseReject` - function returning Promise.reject()
+ *         - `throwFunc` - function throwing an error
  *         - `''` - empty string
  *         - `-1` - number value `-1`
  *         - `yes`
  *         - `no`
+ *     - `$remove$` - removes the property, so `'property' in window === false`;
+ *     the chained property is removed again if it is assigned via the chain later,
+ *     e.g. `window.config.ads = {}` for `config.ads` property,
+ *     or if the objects in the chain are assigned later, e.g. `window.config = { ads: {} }`;
+ *     the property of `window` itself is not followed after it is removed
  * - `stack` - optional, string or regular expression that must match the current function call stack trace;
  * if regular expression is invalid it will be skipped
  *
@@ -79,6 +95,18 @@ import {
  *
  * ✔ document.third() === true  // if the condition described above is met
  * ```
+ *
+ * ```
+ * ! `window.config.ads` will be removed, also from the `config` object assigned later
+ * example.org#%#//scriptlet('set-constant', 'config.ads', '$remove$')
+ *
+ * ✔ window.config.ads === undefined
+ * ```
+ *
+ * ```
+ * ! Any call to `window.adblockDetector.check()` will throw an error
+ * example.org#%#//scriptlet('set-constant', 'adblockDetector.check', 'throwFunc')
+ * ```
  */
 /* eslint-enable max-len */
 export function setConstant(source, property, value, stack) {
@@ -86,13 +114,11 @@ export function setConstant(source, property, value, stack) {
         || !matchStackTrace(stack, new Error().stack)) {
         return;
     }
-    // eslint-disable-next-line no-console
-    const log = console.log.bind(console);
-
     const emptyArr = noopArray();
     const emptyObj = noopObject();
 
     let constantValue;
+    let shouldRemove = false;
     if (value === 'undefined') {
         constantValue = undefined;
     } else if (value === 'false') {
@@ -115,6 +141,8 @@ export function setConstant(source, property, value, stack) {
         constantValue = noopPromiseResolve;
     } else if (value === 'noopPromiseReject') {
         constantValue = noopPromiseReject;
+    } else if (value === 'throwFunc') {
+        constantValue = throwFunc;
     } else if (/^\d+$/.test(value)) {
         constantValue = parseFloat(value);
         if (nativeIsNaN(constantValue)) {
@@ -131,124 +159,13 @@ export function setConstant(source, property, value, stack) {
         constantValue = 'yes';
     } else if (value === 'no') {
         constantValue = 'no';
+    } else if (value === '$remove$') {
+        shouldRemove = true;
     } else {
         return;
     }
 
-    let canceled = false;
-    const mustCancel = (value) => {
-        if (canceled) {
-            return canceled;
-        }
-        canceled = value !== undefined
-            && constantValue !== undefined
-            && typeof value !== typeof constantValue;
-        return canceled;
-    };
-
-    const trapProp = (base, prop, configurable, handler) => {
-        if (!handler.init(base[prop])) {
-            return false;
-        }
-
-        const origDescriptor = Object.getOwnPropertyDescriptor(base, prop);
-        let prevSetter;
-        // This is required to prevent scriptlets overwrite each over
-        if (origDescriptor instanceof Object) {
-            // This check is required to avoid defining non-configurable props
-            if (!origDescriptor.configurable) {
-                if (source.verbose) {
-                    log(`set-constant: property '${prop}' is not configurable`);
-                }
-                return false;
-            }
-
-            base[prop] = constantValue;
-            if (origDescriptor.set instanceof Function) {
-                prevSetter = origDescriptor.set;
-            }
-        }
-        Object.defineProperty(base, prop, {
-            configurable,
-            get() {
-                return handler.get();
-            },
-            set(a) {
-                if (prevSetter !== undefined) {
-                    prevSetter(a);
-                }
-                handler.set(a);
-            },
-        });
-        return true;
-    };
-
-    const setChainPropAccess = (owner, property) => {
-        const chainInfo = getPropertyInChain(owner, property);
-        const { base } = chainInfo;
-        const { prop, chain } = chainInfo;
-
-        // Handler method init is used to keep track of factual value
-        // and apply mustCancel() check only on end prop
-        const undefPropHandler = {
-            factValue: undefined,
-            init(a) {
-                this.factValue = a;
-                return true;
-            },
-            get() {
-                return this.factValue;
-            },
-            set(a) {
-                // Prevent breakage due to loop assignments like win.obj = win.obj
-                if (this.factValue === a) {
-                    return;
-                }
-
-                this.factValue = a;
-                if (a instanceof Object) {
-                    setChainPropAccess(a, chain);
-                }
-            },
-        };
-        const endPropHandler = {
-            init(a) {
-                if (mustCancel(a)) {
-                    return false;
-                }
-                return true;
-            },
-            get() {
-                return constantValue;
-            },
-            set(a) {
-                if (!mustCancel(a)) {
-                    return;
-                }
-                constantValue = a;
-            },
-        };
-
-        // End prop case
-        if (!chain) {
-            const isTrapped = trapProp(base, prop, false, endPropHandler);
-            if (isTrapped) {
-                hit(source);
-            }
-            return;
-        }
-
-        // Defined prop in chain
-        const propValue = owner[prop];
-        if (propValue instanceof Object || (typeof propValue === 'object' && propValue !== null)) {
-            setChainPropAccess(propValue, chain);
-        }
-
-        // Undefined prop in chain
-        trapProp(base, prop, true, undefPropHandler);
-    };
-
-    setChainPropAccess(window, property);
+    setConstantInChain(source, property, constantValue, { shouldRemove });
 }
 
 setConstant.names = [
@@ -271,7 +188,11 @@ setConstant.injections = [
     falseFunc,
     noopPromiseReject,
     noopPromiseResolve,
+    throwFunc,
+    setConstantInChain,
     getPropertyInChain,
+    createDefinePropertyGuard,
+    hidePatchedToString,
     setPropertyAccess,
     toRegExp,
     matchStackTrace,
@@ -0,0 +1,249 @@
+import {
+    hit,
+    hidePatchedToString,
+    nativeIsNaN,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet spoof-css
+ *
+ * @description
+ * Spoofs CSS property values and geometry of the elements matched by selector,
+ * so that bait element detectors can not find out that the elements are hidden by cosmetic rules.
+ * Values are spoofed for `window.getComputedStyle()`, `Element.prototype.getBoundingClientRect()`,
+ * `offsetWidth`, `offsetHeight`, `offsetTop`, `offsetLeft`, `clientWidth` and `clientHeight` properties.
+ * `toString()` of the patched functions returns the source of the native ones.
+ *
+ * Related UBO scriptlet:
+ * https://github.com/gorhill/uBlock/wiki/Resources-Library#spoof-cssjs-
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('spoof-css', selector, property, value[, property, value, ...])
+ * ```
+ *
+ * - `selector` — required, CSS selector of the elements which CSS values should be spoofed
+ * - `property` — required, CSS property name, e.g. `display` or `max-height`
+ * - `value` — required, spoofed value of the property, e.g. `block` or `300px`
+ *
+ * Geometry is spoofed with the numeric values of the following properties:
+ * - `width` — for `getBoundingClientRect()`, `offsetWidth` and `clientWidth`
+ * - `height` — for `getBoundingClientRect()`, `offsetHeight` and `clientHeight`
+ * - `top` — for `getBoundingClientRect()` and `offsetTop`
+ * - `left` — for `getBoundingClientRect()` and `offsetLeft`
+ *
+ * **Examples**
+ * 1. Spoof `display` value of the ad banner hidden by cosmetic rule
+ *     ```
+ *     example.org#%#//scriptlet('spoof-css', '.ad-banner', 'display', 'block')
+ *     ```
+ *
+ * 2. Spoof visibility and size of the bait elements
+ *     ```
+ *     example.org#%#//scriptlet('spoof-css', '#ad-bait, .adsbox', 'visibility', 'visible', 'height', '250px', 'width', '300px')
+ *     ```
+ */
+/* eslint-enable max-len */
+export function spoofCss(source, selector, ...propsAndValues) {
+    // do nothing if browser does not support Reflect, Proxy or WeakMap (e.g. Internet Explorer)
+    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Reflect
+    if (typeof Reflect === 'undefined'
+        || typeof Proxy === 'undefined'
+        || typeof WeakMap === 'undefined') {
+        return;
+    }
+
+    if (!selector || propsAndValues.length < 2) {
+        return;
+    }
+
+    try {
+        document.querySelector(selector);
+    } catch (e) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid spoof-css selector: '${selector}'`);
+        return;
+    }
+
+    const toCamelCase = (prop) => prop.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+    // spoofed values are accessible by both CSS property names and their camelCase names
+    const spoofedValues = {};
+    for (let i = 0; i < propsAndValues.length - 1; i += 2) {
+        const prop = propsAndValues[i].trim().toLowerCase();
+        const value = propsAndValues[i + 1];
+        spoofedValues[prop] = value;
+        spoofedValues[toCamelCase(prop)] = value;
+    }
+
+    const hasSpoofedValue = (prop) => {
+        return typeof prop === 'string'
+            && Object.prototype.hasOwnProperty.call(spoofedValues, prop);
+    };
+
+    /**
+     * Returns numeric value of the spoofed CSS property or null if it is not set or not numeric
+     * @param {string} prop
+     * @returns {number|null}
+     */
+    const getSpoofedNumber = (prop) => {
+        if (!hasSpoofedValue(prop)) {
+            return null;
+        }
+        const number = parseFloat(spoofedValues[prop]);
+        return nativeIsNaN(number) ? null : number;
+    };
+
+    const isTargetElement = (elem) => {
+        return elem instanceof Element && elem.matches(selector);
+    };
+
+    // patched functions are mapped to the native ones for hiding the patches
+    const patchedFunctions = new WeakMap();
+
+    const patchFunction = (owner, name, wrapper) => {
+        const nativeFunction = owner[name];
+        if (typeof nativeFunction !== 'function') {
+            return;
+        }
+        const patchedFunction = new Proxy(nativeFunction, { apply: wrapper });
+        patchedFunctions.set(patchedFunction, nativeFunction);
+        owner[name] = patchedFunction;
+    };
+
+    const patchGetter = (owner, prop, wrapper) => {
+        const descriptor = Object.getOwnPropertyDescriptor(owner, prop);
+        if (!descriptor || !descriptor.configurable || typeof descriptor.get !== 'function') {
+            return;
+        }
+        const patchedGetter = new Proxy(descriptor.get, { apply: wrapper });
+        patchedFunctions.set(patchedGetter, descriptor.get);
+        descriptor.get = patchedGetter;
+        Object.defineProperty(owner, prop, descriptor);
+    };
+
+    // proxies of spoofed styles mapped to the native ones
+    const spoofedStyles = new WeakMap();
+
+    const getComputedStyleWrapper = (target, thisArg, args) => {
+        const style = Reflect.apply(target, thisArg, args);
+        if (!isTargetElement(args[0])) {
+            return style;
+        }
+        hit(source);
+
+        const styleHandler = {
+            get(styleTarget, prop) {
+                if (hasSpoofedValue(prop)) {
+                    return spoofedValues[prop];
+                }
+                const value = Reflect.get(styleTarget, prop);
+                // patched getPropertyValue handles the proxy by itself
+                if (typeof value !== 'function'
+                    || value === CSSStyleDeclaration.prototype.getPropertyValue) {
+                    return value;
+                }
+                // other native methods of CSSStyleDeclaration can not be called on proxy
+                return value.bind(styleTarget);
+            },
+            getOwnPropertyDescriptor(styleTarget, prop) {
+                const descriptor = Reflect.getOwnPropertyDescriptor(styleTarget, prop);
+                if (descriptor && hasSpoofedValue(prop)) {
+                    descriptor.value = spoofedValues[prop];
+                }
+                return descriptor;
+            },
+        };
+
+        const spoofedStyle = new Proxy(style, styleHandler);
+        spoofedStyles.set(spoofedStyle, style);
+        return spoofedStyle;
+    };
+
+    const getPropertyValueWrapper = (target, thisArg, args) => {
+        if (!spoofedStyles.has(thisArg)) {
+            return Reflect.apply(target, thisArg, args);
+        }
+        const prop = args[0];
+        if (hasSpoofedValue(prop)) {
+            return spoofedValues[prop];
+        }
+        return Reflect.apply(target, spoofedStyles.get(thisArg), args);
+    };
+
+    const getBoundingClientRectWrapper = (target, thisArg, args) => {
+        const rect = Reflect.apply(target, thisArg, args);
+        if (!isTargetElement(thisArg) || typeof DOMRect === 'undefined') {
+            return rect;
+        }
+
+        const top = getSpoofedNumber('top');
+        const left = getSpoofedNumber('left');
+        const width = getSpoofedNumber('width');
+        const height = getSpoofedNumber('height');
+        if (top === null && left === null && width === null && height === null) {
+            return rect;
+        }
+
+        hit(source);
+        // eslint-disable-next-line compat/compat
+        return new DOMRect(
+            left === null ? rect.x : left,
+            top === null ? rect.y : top,
+            width === null ? rect.width : width,
+            height === null ? rect.height : height,
+        );
+    };
+
+    /**
+     * Returns wrapper for the geometry getter which spoofs its value by the CSS property value
+     * @param {string} cssProp CSS property which value is used for spoofing
+     * @returns {Function}
+     */
+    const getGeometryGetterWrapper = (cssProp) => (target, thisArg, args) => {
+        const value = Reflect.apply(target, thisArg, args);
+        if (!isTargetElement(thisArg)) {
+            return value;
+        }
+        const spoofedNumber = getSpoofedNumber(cssProp);
+        if (spoofedNumber === null) {
+            return value;
+        }
+        hit(source);
+        // geometry properties are rounded to integer
+        return Math.round(spoofedNumber);
+    };
+
+    const GEOMETRY_GETTERS = [
+        { owner: HTMLElement.prototype, prop: 'offsetWidth', cssProp: 'width' },
+        { owner: HTMLElement.prototype, prop: 'offsetHeight', cssProp: 'height' },
+        { owner: HTMLElement.prototype, prop: 'offsetTop', cssProp: 'top' },
+        { owner: HTMLElement.prototype, prop: 'offsetLeft', cssProp: 'left' },
+        { owner: Element.prototype, prop: 'clientWidth', cssProp: 'width' },
+        { owner: Element.prototype, prop: 'clientHeight', cssProp: 'height' },
+    ];
+
+    patchFunction(window, 'getComputedStyle', getComputedStyleWrapper);
+    patchFunction(CSSStyleDeclaration.prototype, 'getPropertyValue', getPropertyValueWrapper);
+    patchFunction(Element.prototype, 'getBoundingClientRect', getBoundingClientRectWrapper);
+    GEOMETRY_GETTERS.forEach(({ owner, prop, cssProp }) => {
+        patchGetter(owner, prop, getGeometryGetterWrapper(cssProp));
+    });
+
+    hidePatchedToString(patchedFunctions);
+}
+
+spoofCss.names = [
+    'spoof-css',
+    // aliases are needed for matching the related scriptlet converted into our syntax
+    'spoof-css.js',
+    'ubo-spoof-css.js',
+    'ubo-spoof-css',
+];
+
+spoofCss.injections = [
+    hit,
+    hidePatchedToString,
+    nativeIsNaN,
+];
@@ -0,0 +1,238 @@
+import {
+    hit,
+    getBoostMultiplier,
+    matchStackTrace,
+    nativeIsNaN,
+    isValidStrPattern,
+    hidePatchedToString,
+    // following helpers are needed for helpers above
+    nativeIsFinite,
+    toRegExp,
+    escapeRegExp,
+    getNativeRegexpTest,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet time-warp
+ *
+ * @description
+ * Changes the apparent passage of time for the page scripts, e.g. to skip countdowns which compare the time
+ * got from `Date.now()` or `performance.now()` instead of relying on timers only.
+ * The same shift is applied to `Date.now()`, `new Date()` and `Date()` with no arguments, `performance.now()`,
+ * `requestAnimationFrame()` callbacks timestamps and `timeStamp` of events.
+ *
+ * > Timers are not affected, so the scriptlet may be used along with [adjust-setTimeout](#adjust-setTimeout)
+ * and [adjust-setInterval](#adjust-setInterval) with the same boost.
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('time-warp'[, boost[, offset[, stack]]])
+ * ```
+ *
+ * - `boost` - optional, float, time passes `1 / boost` times faster since the scriptlet is run,
+ * capped the same way as for [adjust-setTimeout](#adjust-setTimeout) (0.02...50); defaults to 0.05, i.e. x20 times faster,
+ * if `offset` is not set, otherwise time passes as usual
+ * - `offset` - optional, integer, number of milliseconds which is added to the time, may be negative
+ * - `stack` - optional, string or regular expression that must match the current function call stack trace,
+ * so time is shifted only for the matched scripts and other ones get the real time;
+ * for `requestAnimationFrame()` callbacks the stack trace of the `requestAnimationFrame()` call is matched;
+ * invalid regular expression will cause exit and rule will not work
+ *
+ * > If `stack` is set, the stack trace is got by `new Error()` on each call of the patched time getters,
+ * which is quite expensive for the pages calling them very often, e.g. on each animation frame.
+ *
+ * **Examples**
+ * 1. Make time pass x20 times faster
+ *     ```
+ *     example.org#%#//scriptlet('time-warp')
+ *     ```
+ *
+ * 2. Make time pass x10 times faster for `countdown.js` script only
+ *     ```
+ *     example.org#%#//scriptlet('time-warp', '0.1', '', 'countdown.js')
+ *     ```
+ *
+ * 3. Shift time 1 minute ahead
+ *     ```
+ *     example.org#%#//scriptlet('time-warp', '', '60000')
+ *     ```
+ */
+/* eslint-enable max-len */
+export function timeWarp(source, boost, offset, stack) {
+    // do nothing if browser does not support Proxy (e.g. Internet Explorer)
+    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy
+    if (typeof Proxy === 'undefined') {
+        return;
+    }
+
+    const isBoostSet = typeof boost !== 'undefined' && boost !== '';
+    const isOffsetSet = typeof offset !== 'undefined' && offset !== '';
+
+    const offsetMs = isOffsetSet ? parseInt(offset, 10) : 0;
+    if (nativeIsNaN(offsetMs)) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid time-warp offset: '${offset}'`);
+        return;
+    }
+    // time is boosted by default unless only offset is set
+    const speed = isBoostSet || !isOffsetSet
+        ? 1 / getBoostMultiplier(boost)
+        : 1;
+    // check stack regexp validity at once, it is used on each call
+    if (stack && !isValidStrPattern(stack)) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid time-warp stack: '${stack}'`);
+        return;
+    }
+
+    const nativeDateNow = Date.now;
+    const { performance } = window;
+    const hasPerformanceNow = typeof performance !== 'undefined'
+        // eslint-disable-next-line compat/compat
+        && typeof performance.now === 'function';
+    const nativePerformanceNow = hasPerformanceNow
+        // eslint-disable-next-line compat/compat
+        ? performance.now.bind(performance)
+        : null;
+
+    // time is shifted since the scriptlet is run
+    const dateStart = nativeDateNow();
+    const performanceStart = hasPerformanceNow ? nativePerformanceNow() : 0;
+
+    /**
+     * Shifts the real time value
+     * @param {number} time real time value
+     * @param {number} start real time value when the scriptlet is run
+     * @returns {number}
+     */
+    const warp = (time, start) => {
+        return start + (time - start) * speed + offsetMs;
+    };
+    const warpDate = (time) => warp(time, dateStart);
+    const warpPerformance = (time) => warp(time, performanceStart);
+
+    let isHitFired = false;
+    /**
+     * Checks whether the time should be shifted for the caller
+     * @returns {boolean}
+     */
+    const shouldWarp = () => {
+        // getting of stack trace is expensive for frequent calls, so it is skipped if not needed
+        const isMatched = !stack || matchStackTrace(stack, new Error().stack);
+        // time getters may be called very often, so hit is fired once
+        if (isMatched && !isHitFired) {
+            isHitFired = true;
+            hit(source);
+        }
+        return isMatched;
+    };
+
+    const dateNowHandler = {
+        apply: (target, thisArg, args) => {
+            const now = Reflect.apply(target, thisArg, args);
+            return shouldWarp() ? warpDate(now) : now;
+        },
+    };
+
+    const dateHandler = {
+        // new Date() with no arguments returns the current time
+        construct: (target, args, newTarget) => {
+            if (args.length === 0 && shouldWarp()) {
+                return Reflect.construct(target, [warpDate(nativeDateNow())], newTarget);
+            }
+            return Reflect.construct(target, args, newTarget);
+        },
+        // Date() called as a function returns the current time string regardless of arguments
+        apply: (target, thisArg, args) => {
+            if (shouldWarp()) {
+                const date = Reflect.construct(target, [warpDate(nativeDateNow())]);
+                return date.toString();
+            }
+            return Reflect.apply(target, thisArg, args);
+        },
+    };
+
+    const performanceNowHandler = {
+        apply: (target, thisArg, args) => {
+            const now = Reflect.apply(target, thisArg, args);
+            return shouldWarp() ? warpPerformance(now) : now;
+        },
+    };
+
+    const requestAnimationFrameHandler = {
+        apply: (target, thisArg, args) => {
+            const callback = args[0];
+            // stack trace is empty when callback is called, so it is checked on the call
+            if (typeof callback !== 'function' || !shouldWarp()) {
+                return Reflect.apply(target, thisArg, args);
+            }
+            const wrappedCallback = function wrappedCallback(timestamp) {
+                return callback.call(this, warpPerformance(timestamp));
+            };
+            return Reflect.apply(target, thisArg, [wrappedCallback].concat(args.slice(1)));
+        },
+    };
+
+    /**
+     * Shifts timeStamp of events which is relative to the time origin as performance.now() is
+     */
+    const patchEventTimeStamp = () => {
+        if (typeof Event === 'undefined') {
+            return;
+        }
+        const descriptor = Object.getOwnPropertyDescriptor(Event.prototype, 'timeStamp');
+        if (!descriptor || typeof descriptor.get !== 'function') {
+            return;
+        }
+        const nativeGetter = descriptor.get;
+        const patchedDescriptor = {
+            configurable: descriptor.configurable,
+            enumerable: descriptor.enumerable,
+            get() {
+                const timeStamp = nativeGetter.call(this);
+                return shouldWarp() ? warpPerformance(timeStamp) : timeStamp;
+            },
+        };
+        Object.defineProperty(Event.prototype, 'timeStamp', patchedDescriptor);
+
+        // patched getter should not be told apart from the native one by its source
+        const patchedToNative = new WeakMap();
+        patchedToNative.set(patchedDescriptor.get, nativeGetter);
+        hidePatchedToString(patchedToNative);
+    };
+
+    Date.now = new Proxy(Date.now, dateNowHandler);
+    window.Date = new Proxy(window.Date, dateHandler);
+    // dates are also created via constructor of any date, e.g. `new (new Date()).constructor()`
+    // eslint-disable-next-line no-extend-native
+    Date.prototype.constructor = window.Date;
+    if (hasPerformanceNow) {
+        // eslint-disable-next-line compat/compat
+        performance.now = new Proxy(performance.now, performanceNowHandler);
+        patchEventTimeStamp();
+    }
+    if (typeof window.requestAnimationFrame === 'function') {
+        window.requestAnimationFrame = new Proxy(
+            window.requestAnimationFrame,
+            requestAnimationFrameHandler,
+        );
+    }
+}
+
+timeWarp.names = [
+    'time-warp',
+];
+
+timeWarp.injections = [
+    hit,
+    getBoostMultiplier,
+    matchStackTrace,
+    nativeIsNaN,
+    isValidStrPattern,
+    hidePatchedToString,
+    nativeIsFinite,
+    toRegExp,
+    escapeRegExp,
+    getNativeRegexpTest,
+];
@@ -0,0 +1,206 @@
+import {
+    hit,
+    observeDOMChanges,
+    parseCookieString,
+    startsWith,
+    nativeIsNaN,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet trusted-click-element
+ *
+ * @description
+ * Clicks the elements matched by selectors in the specified order as soon as they appear on the page,
+ * e.g. buttons of cookie consent dialogs or "continue" buttons of interstitial walls.
+ * Clicks are performed with the sequence of pointer and mouse events like the real user does.
+ *
+ * **Restriction**: this scriptlet is allowed only in trusted filters.
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('trusted-click-element', selectors[, extraMatch[, timeout]])
+ * ```
+ *
+ * - `selectors` — required, string with CSS selectors separated by comma; elements are clicked in the given order,
+ * so each element is clicked only after the previous one has been clicked;
+ * selectors containing comma are not supported
+ * - `extraMatch` — optional, string with conditions separated by comma which all should be met for clicking; possible conditions:
+ *     - `cookie:<name>` — cookie with the specified name should be set
+ *     - `localStorage:<key>` — localStorage item with the specified key should be set
+ *     - `!` before the condition negates it, e.g. `!cookie:consent` means that cookie `consent` should not be set
+ * - `timeout` — optional, time in ms after which the scriptlet stops waiting for elements, defaults to `10000`
+ *
+ * **Examples**
+ * 1. Click the accepting button of the cookie consent dialog
+ *     ```
+ *     example.org#%#//scriptlet('trusted-click-element', '#consent-dialog button.accept')
+ *     ```
+ *
+ * 2. Open the settings of the consent dialog and then click the rejecting button
+ *     ```
+ *     example.org#%#//scriptlet('trusted-click-element', '#consent-dialog .settings, #consent-dialog .reject-all')
+ *     ```
+ *
+ * 3. Click the button only if `consent` cookie is not set and `interstitial-seen` localStorage item is set
+ *     ```
+ *     example.org#%#//scriptlet('trusted-click-element', 'button.accept', '!cookie:consent, localStorage:interstitial-seen')
+ *     ```
+ *
+ * 4. Wait for the button for 30 seconds
+ *     ```
+ *     example.org#%#//scriptlet('trusted-click-element', 'button.continue', '', '30000')
+ *     ```
+ */
+/* eslint-enable max-len */
+export function trustedClickElement(source, selectors, extraMatch = '', timeout = '') {
+    if (!selectors) {
+        return;
+    }
+
+    const DEFAULT_TIMEOUT_MS = 10000;
+    const LIST_SEPARATOR = /\s*,\s*/;
+    const NEGATION_MARKER = '!';
+    const COOKIE_MATCH_MARKER = 'cookie:';
+    const LOCAL_STORAGE_MATCH_MARKER = 'localStorage:';
+
+    const timeoutMs = timeout === '' ? DEFAULT_TIMEOUT_MS : parseInt(timeout, 10);
+    if (nativeIsNaN(timeoutMs) || timeoutMs < 0) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid trusted-click-element timeout: '${timeout}'`);
+        return;
+    }
+
+    /**
+     * Checks whether the condition is met
+     * @param {string} condition e.g. `cookie:name` or `!localStorage:key`
+     * @returns {boolean|null} null if condition is not valid
+     */
+    const isConditionMet = (condition) => {
+        const isNegated = startsWith(condition, NEGATION_MARKER);
+        const positiveCondition = isNegated ? condition.slice(NEGATION_MARKER.length) : condition;
+
+        let isSet;
+        if (startsWith(positiveCondition, COOKIE_MATCH_MARKER)) {
+            const cookieName = positiveCondition.slice(COOKIE_MATCH_MARKER.length);
+            const cookies = parseCookieString(document.cookie);
+            isSet = Object.prototype.hasOwnProperty.call(cookies, cookieName);
+        } else if (startsWith(positiveCondition, LOCAL_STORAGE_MATCH_MARKER)) {
+            const key = positiveCondition.slice(LOCAL_STORAGE_MATCH_MARKER.length);
+            try {
+                isSet = window.localStorage.getItem(key) !== null;
+            } catch (e) {
+                // localStorage may be not available, e.g. if it is disabled
+                isSet = false;
+            }
+        } else {
+            return null;
+        }
+
+        return isNegated ? !isSet : isSet;
+    };
+
+    const conditions = extraMatch === ''
+        ? []
+        : extraMatch.trim().split(LIST_SEPARATOR);
+    for (let i = 0; i < conditions.length; i += 1) {
+        const isMet = isConditionMet(conditions[i]);
+        if (isMet === null) {
+            // eslint-disable-next-line no-console
+            console.log(`Invalid trusted-click-element condition: '${conditions[i]}'`);
+            return;
+        }
+        if (!isMet) {
+            return;
+        }
+    }
+
+    /**
+     * Dispatches the sequence of events fired by browser when the user clicks the element
+     * @param {HTMLElement} element
+     */
+    const clickElement = (element) => {
+        const rect = element.getBoundingClientRect();
+        const getEventInit = (buttons) => ({
+            bubbles: true,
+            cancelable: true,
+            composed: true,
+            view: window,
+            detail: 1,
+            button: 0,
+            buttons,
+            clientX: rect.left + rect.width / 2,
+            clientY: rect.top + rect.height / 2,
+        });
+        // primary button is pressed during down events and released during up events
+        const eventInit = getEventInit(1);
+        const releasedEventInit = getEventInit(0);
+        const hasPointerEvents = typeof PointerEvent === 'function';
+
+        if (hasPointerEvents) {
+            element.dispatchEvent(new PointerEvent('pointerdown', eventInit));
+        }
+        element.dispatchEvent(new MouseEvent('mousedown', eventInit));
+        if (typeof element.focus === 'function') {
+            element.focus();
+        }
+        if (hasPointerEvents) {
+            element.dispatchEvent(new PointerEvent('pointerup', releasedEventInit));
+        }
+        element.dispatchEvent(new MouseEvent('mouseup', releasedEventInit));
+        // click() performs default action, e.g. following the link or submitting the form
+        element.click();
+    };
+
+    const selectorsToClick = selectors.trim().split(LIST_SEPARATOR);
+    let nextSelectorIndex = 0;
+    let stopObserving = null;
+    let timeoutId = null;
+
+    const finish = () => {
+        if (stopObserving) {
+            stopObserving();
+        }
+        clearTimeout(timeoutId);
+    };
+
+    const clickFoundElements = () => {
+        while (nextSelectorIndex < selectorsToClick.length) {
+            const selector = selectorsToClick[nextSelectorIndex];
+            let element;
+            try {
+                element = document.querySelector(selector);
+            } catch (e) {
+                // eslint-disable-next-line no-console
+                console.log(`Invalid trusted-click-element selector: '${selector}'`);
+                finish();
+                return;
+            }
+            // wait for the element to appear
+            if (!element) {
+                return;
+            }
+            clickElement(element);
+            hit(source);
+            nextSelectorIndex += 1;
+        }
+        finish();
+    };
+
+    stopObserving = observeDOMChanges(clickFoundElements);
+    timeoutId = setTimeout(finish, timeoutMs);
+    clickFoundElements();
+}
+
+trustedClickElement.names = [
+    'trusted-click-element',
+    // trusted scriptlets support no aliases
+];
+
+trustedClickElement.injections = [
+    hit,
+    observeDOMChanges,
+    parseCookieString,
+    startsWith,
+    nativeIsNaN,
+];
@@ -0,0 +1,111 @@
+import {
+    preventFetchCalls,
+    // following helpers should be imported and injected
+    // because they are used by helpers above
+    hit,
+    getFetchData,
+    objectToString,
+    matchRequestProps,
+    getWildcardSymbol,
+    getFetchResponseData,
+    createMockedFetchResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
+    toRegExp,
+    isValidStrPattern,
+    escapeRegExp,
+    isEmptyObject,
+    getRequestData,
+    getObjectEntries,
+    getObjectFromEntries,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet trusted-prevent-fetch
+ *
+ * @description
+ * Prevents `fetch` calls if **all** given parameters match and responds with the specified arbitrary body.
+ * Works the same way as [prevent-fetch](#prevent-fetch) but the response body is not limited by the predefined list.
+ *
+ * **Restriction**: this scriptlet is allowed only in trusted filters.
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('trusted-prevent-fetch'[, propsToMatch[, responseBody[, responseType]]])
+ * ```
+ *
+ * - `propsToMatch` - optional, string of space-separated properties to match, the same as for [prevent-fetch](#prevent-fetch)
+ * - `responseBody` - optional, arbitrary text of the response body, defaults to `emptyObj`;
+ * `emptyObj`, `emptyArr` and `emptyStr` are handled the same way as for [prevent-fetch](#prevent-fetch)
+ * - `responseType` - optional, string for defining response type, the same as for [prevent-fetch](#prevent-fetch)
+ *
+ * > Usage with no arguments will log fetch calls to browser console;
+ * which is useful for debugging but permitted for production filter lists.
+ *
+ * **Examples**
+ * 1. Prevent fetch call to the specific url and respond with the JSON
+ *     ```
+ *     example.org#%#//scriptlet('trusted-prevent-fetch', '/ads\\.json/', '{"ads":[],"enabled":false}')
+ *     ```
+ *
+ * 2. Prevent all fetch calls and respond with the text
+ *     ```
+ *     example.org#%#//scriptlet('trusted-prevent-fetch', '*', 'OK')
+ *     ```
+ */
+/* eslint-enable max-len */
+export function trustedPreventFetch(source, propsToMatch, responseBody = 'emptyObj', responseType) {
+    // do nothing if browser does not support fetch or Proxy (e.g. Internet Explorer)
+    // https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch
+    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy
+    if (typeof fetch === 'undefined'
+        || typeof Proxy === 'undefined'
+        || typeof Response === 'undefined') {
+        return;
+    }
+
+    let strResponseBody;
+    if (responseBody === '' || responseBody === 'emptyObj') {
+        strResponseBody = '{}';
+    } else if (responseBody === 'emptyArr') {
+        strResponseBody = '[]';
+    } else if (responseBody === 'emptyStr') {
+        strResponseBody = '';
+    } else {
+        strResponseBody = responseBody;
+    }
+
+    preventFetchCalls(source, propsToMatch, strResponseBody, responseType);
+}
+
+trustedPreventFetch.names = [
+    'trusted-prevent-fetch',
+    // trusted scriptlets support no aliases
+];
+
+trustedPreventFetch.injections = [
+    preventFetchCalls,
+    hit,
+    getFetchData,
+    objectToString,
+    matchRequestProps,
+    getWildcardSymbol,
+    getFetchResponseData,
+    createMockedFetchResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
+    toRegExp,
+    isValidStrPattern,
+    escapeRegExp,
+    isEmptyObject,
+    getRequestData,
+    getObjectEntries,
+    getObjectFromEntries,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
+];
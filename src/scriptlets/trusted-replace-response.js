@@ -0,0 +1,147 @@
+import {
+    hit,
+    toRegExp,
+    objectToString,
+    matchRequestProps,
+    interceptResponses,
+    getWildcardSymbol,
+    // following helpers should be imported and injected
+    // because they are used by helpers above
+    isValidStrPattern,
+    escapeRegExp,
+    isEmptyObject,
+    getObjectEntries,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
+    getRequestData,
+    getObjectFromEntries,
+    getFetchData,
+    modifyResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet trusted-replace-response
+ *
+ * @description
+ * Replaces text content of the responses of `fetch` and `XMLHttpRequest` calls if **all** given parameters match.
+ * Modified content is returned by `text()` and `json()` methods of fetch `Response`
+ * and by `responseText` and `response` properties of `XMLHttpRequest`.
+ * Status, headers, URL and type of the response are kept.
+ *
+ * **Restriction**: this scriptlet is allowed only in trusted filters.
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('trusted-replace-response'[, pattern[, replacement[, propsToMatch]]])
+ * ```
+ *
+ * - `pattern` - optional, string or regular expression matching the content of the response which should be replaced;
+ * all occurrences are replaced; wildcard `*` matches the whole content;
+ * invalid regular expression will cause exit and rule will not work
+ * - `replacement` - optional, string to replace the matched content with, defaults to empty string which removes the matched content;
+ * `$&`, `$1` and other replacement patterns of `String.prototype.replace()` are supported
+ * - `propsToMatch` - optional, string of space-separated properties to match the request;
+ * same syntax as `propsToMatch` of [prevent-fetch](#prevent-fetch); possible props:
+ *   - string or regular expression for matching the URL of the request; empty string or wildcard `*` will match all requests
+ *   - colon-separated pairs `name:value` where
+ *     - `name` is request option name, e.g. `method`
+ *     - `value` is string or regular expression for matching the value of the option
+ *
+ * > Usage with no arguments will log fetch and xhr calls to browser console;
+ * which is useful for debugging but prohibited for production filter lists.
+ *
+ * **Examples**
+ * 1. Log all fetch and xhr calls
+ *     ```
+ *     example.org#%#//scriptlet('trusted-replace-response')
+ *     ```
+ *
+ * 2. Replace `"ads":true` with `"ads":false` in all responses
+ *     ```
+ *     example.org#%#//scriptlet('trusted-replace-response', '"ads":true', '"ads":false')
+ *     ```
+ *
+ * 3. Remove the content matched by regular expression from the responses of requests to `/api/config`
+ *     ```
+ *     example.org#%#//scriptlet('trusted-replace-response', '/"adConfig":\\{[^}]*\\},?/', '', '/\\/api\\/config/')
+ *     ```
+ *
+ * 4. Replace the whole content of responses of POST requests to `example.org/detect`
+ *     ```
+ *     example.org#%#//scriptlet('trusted-replace-response', '*', '{"adblock":false}', 'example.org/detect method:POST')
+ *     ```
+ */
+/* eslint-enable max-len */
+export function trustedReplaceResponse(source, pattern = '', replacement = '', propsToMatch = '') {
+    const shouldLog = pattern === '' && replacement === '';
+    if (pattern === '' && !shouldLog) {
+        // eslint-disable-next-line no-console
+        console.log('Pattern argument should be set for replacement');
+        return;
+    }
+
+    const patternRegexp = pattern === getWildcardSymbol()
+        ? null
+        : new RegExp(toRegExp(pattern).source, 'g');
+
+    const replaceContent = (text) => {
+        if (typeof text !== 'string') {
+            return text;
+        }
+        const modifiedText = patternRegexp === null
+            ? replacement
+            : text.replace(patternRegexp, replacement);
+        if (modifiedText !== text) {
+            hit(source);
+        }
+        return modifiedText;
+    };
+
+    const isRequestMatched = (requestData, callType) => {
+        if (shouldLog) {
+            hit(source, `log: ${callType}( ${objectToString(requestData)} )`);
+            return false;
+        }
+        if (propsToMatch === '' || propsToMatch === getWildcardSymbol()) {
+            return true;
+        }
+        return matchRequestProps(propsToMatch, requestData);
+    };
+
+    interceptResponses({
+        isRequestMatched,
+        modifyText: replaceContent,
+        shouldParseJsonText: true,
+    });
+}
+
+trustedReplaceResponse.names = [
+    'trusted-replace-response',
+    // trusted scriptlets support no aliases
+];
+
+trustedReplaceResponse.injections = [
+    hit,
+    toRegExp,
+    objectToString,
+    matchRequestProps,
+    interceptResponses,
+    getWildcardSymbol,
+    isValidStrPattern,
+    escapeRegExp,
+    isEmptyObject,
+    getObjectEntries,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
+    getRequestData,
+    getObjectFromEntries,
+    getFetchData,
+    modifyResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
+];
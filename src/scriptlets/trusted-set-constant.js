@@ -0,0 +1,102 @@
+import {
+    hit,
+    setConstantInChain,
+    getPropertyInChain,
+    createDefinePropertyGuard,
+    hidePatchedToString,
+    toRegExp,
+    matchStackTrace,
+    getNativeRegexpTest,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet trusted-set-constant
+ *
+ * @description
+ * Creates a constant property and assigns it an arbitrary JSON value.
+ * Works the same way as [set-constant](#set-constant), including the stack matching and setting values for the property chains
+ * which are not defined yet, but the value is not limited by the predefined list.
+ *
+ * **Restriction**: this scriptlet is allowed only in trusted filters.
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('trusted-set-constant', property, value[, stack[, freshCopy]])
+ * ```
+ *
+ * - `property` - required, path to a property (joined with `.` if needed). The property must be attached to `window`.
+ * - `value` - required, JSON literal: object, array, string, number, `true`, `false` or `null`;
+ * note that strings should be wrapped into double quotes, e.g. `"yes"`
+ * - `stack` - optional, string or regular expression that must match the current function call stack trace;
+ * if regular expression is invalid it will be skipped;
+ * note that the stack trace is matched once when the scriptlet is applied, not on each access to the property
+ * - `freshCopy` - optional, if set to `true`, each access to the property returns a new copy of the value,
+ * so the changes of the returned object made by the page script do not affect the next accesses; defaults to `false`
+ *
+ * **Examples**
+ * ```
+ * ! Any access to `window.config.ads` will return the object
+ * example.org#%#//scriptlet('trusted-set-constant', 'config.ads', '{"enabled":false,"slots":[]}')
+ *
+ * ✔ window.config.ads.enabled === false
+ * ```
+ *
+ * ```
+ * ! Any access to `window.adsUrl` will return the string
+ * example.org#%#//scriptlet('trusted-set-constant', 'adsUrl', '"https://example.org/no-ads"')
+ *
+ * ✔ window.adsUrl === 'https://example.org/no-ads'
+ * ```
+ *
+ * ```
+ * ! Each access to `window.settings` returns new object
+ * example.org#%#//scriptlet('trusted-set-constant', 'settings', '{"preroll":0}', '', 'true')
+ *
+ * ✔ window.settings !== window.settings
+ * ```
+ */
+/* eslint-enable max-len */
+export function trustedSetConstant(source, property, value, stack, freshCopy = '') {
+    if (!property
+        || typeof value === 'undefined'
+        || !matchStackTrace(stack, new Error().stack)) {
+        return;
+    }
+
+    let constantValue;
+    try {
+        constantValue = JSON.parse(value);
+    } catch (e) {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid trusted-set-constant value: '${value}'`);
+        return;
+    }
+
+    let getValue;
+    if (freshCopy === 'true') {
+        // parsing the value once again is the simplest way to get the deep copy of it
+        getValue = () => JSON.parse(value);
+    } else if (freshCopy !== '' && freshCopy !== 'false') {
+        // eslint-disable-next-line no-console
+        console.log(`Invalid trusted-set-constant freshCopy argument: '${freshCopy}'`);
+        return;
+    }
+
+    setConstantInChain(source, property, constantValue, { getValue });
+}
+
+trustedSetConstant.names = [
+    'trusted-set-constant',
+    // trusted scriptlets support no aliases
+];
+trustedSetConstant.injections = [
+    hit,
+    setConstantInChain,
+    getPropertyInChain,
+    createDefinePropertyGuard,
+    hidePatchedToString,
+    toRegExp,
+    matchStackTrace,
+    getNativeRegexpTest,
+];
@@ -0,0 +1,235 @@
+import {
+    hit,
+    startsWith,
+    endsWith,
+    matchRequestProps,
+    interceptResponses,
+    getWildcardSymbol,
+    // following helpers should be imported and injected
+    // because they are used by helpers above
+    toRegExp,
+    isValidStrPattern,
+    escapeRegExp,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
+    getRequestData,
+    getObjectFromEntries,
+    getFetchData,
+    modifyResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
+} from '../helpers/index';
+
+/* eslint-disable max-len */
+/**
+ * @scriptlet xml-prune
+ *
+ * @description
+ * Removes elements from the XML responses of `XMLHttpRequest` and `fetch` calls,
+ * e.g. ad blocks of VAST/VMAP or MPD manifests, and returns the modified document.
+ *
+ * Related UBO scriptlet:
+ * https://github.com/gorhill/uBlock/wiki/Resources-Library#xml-prunejs-
+ *
+ * **Syntax**
+ * ```
+ * example.org#%#//scriptlet('xml-prune'[, propsToRemove[, optionalProp[, propsToMatch]]])
+ * ```
+ *
+ * - `propsToRemove` - optional, selector of elements which will be removed from XML; possible values:
+ *     - CSS selector, e.g. `Period[id*="-ad-"]`
+ *     - XPath expression wrapped in `xpath()`, e.g. `xpath(//*[name()="Ad"])`
+ * - `optionalProp` - optional, CSS selector or XPath expression wrapped in `xpath()`
+ * of elements which must be present in XML for the pruning to occur
+ * - `propsToMatch` - optional, string of space-separated properties to match the request;
+ * same syntax as `propsToMatch` of [prevent-fetch](#prevent-fetch); possible props:
+ *   - string or regular expression for matching the URL of the request; empty string or wildcard `*` will match all requests
+ *   - colon-separated pairs `name:value` where
+ *     - `name` is request option name, e.g. `method`
+ *     - `value` is string or regular expression for matching the value of the option
+ *
+ * > Usage with no arguments will log XML responses and their URLs to browser console;
+ * which is useful for debugging but prohibited for production filter lists.
+ *
+ * **Examples**
+ * 1. Remove `Period` tag whose `id` contains `-ad-` from all responses
+ *     ```
+ *     example.org#%#//scriptlet('xml-prune', 'Period[id*="-ad-"]')
+ *     ```
+ *
+ * 2. Remove `Period` tag whose `id` contains `-ad-` only if XML contains `SegmentTemplate`
+ *     ```
+ *     example.org#%#//scriptlet('xml-prune', 'Period[id*="-ad-"]', 'SegmentTemplate')
+ *     ```
+ *
+ * 3. Remove `Ad` tags from the responses to requests which URL contains `.vast`
+ *     ```
+ *     example.org#%#//scriptlet('xml-prune', 'xpath(//*[name()="Ad"])', '', '.vast')
+ *     ```
+ *
+ * 4. Remove `AdBreak` tags from the responses to GET requests which URL matches `/vmap/`
+ *     ```
+ *     example.org#%#//scriptlet('xml-prune', 'AdBreak', '', '/vmap/ method:GET')
+ *     ```
+ *
+ * 5. Call with no arguments will log XML responses and their URLs at the console
+ *     ```
+ *     example.org#%#//scriptlet('xml-prune')
+ *     ```
+ *
+ * 6. Call with only `propsToMatch` argument will log XML responses only for matched requests
+ *     ```
+ *     example.org#%#//scriptlet('xml-prune', '', '', '.mpd')
+ *     ```
+ */
+/* eslint-enable max-len */
+export function xmlPrune(source, propsToRemove, optionalProp = '', propsToMatch = '') {
+    // do nothing if browser does not support XML parsing (e.g. in workers)
+    // https://developer.mozilla.org/en-US/docs/Web/API/DOMParser
+    if (typeof DOMParser === 'undefined' || typeof XMLSerializer === 'undefined') {
+        return;
+    }
+
+    const XPATH_MARKER = 'xpath(';
+    const XPATH_MARKER_END = ')';
+    const XML_START_MARKER = '<';
+
+    const shouldLog = !propsToRemove;
+
+    const isRequestMatched = (requestData) => {
+        if (propsToMatch === '' || propsToMatch === getWildcardSymbol()) {
+            return true;
+        }
+        return matchRequestProps(propsToMatch, requestData);
+    };
+
+    /**
+     * Returns nodes matched by CSS selector or XPath expression
+     * @param {Document} xmlDoc
+     * @param {string} selector CSS selector or XPath expression wrapped in `xpath()`
+     * @returns {Node[]}
+     */
+    const queryNodes = (xmlDoc, selector) => {
+        const nodes = [];
+        try {
+            if (startsWith(selector, XPATH_MARKER) && endsWith(selector, XPATH_MARKER_END)) {
+                const expression = selector.slice(XPATH_MARKER.length, -XPATH_MARKER_END.length);
+                const result = xmlDoc.evaluate(
+                    expression,
+                    xmlDoc,
+                    null,
+                    XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+                    null,
+                );
+                for (let i = 0; i < result.snapshotLength; i += 1) {
+                    nodes.push(result.snapshotItem(i));
+                }
+            } else {
+                const elements = xmlDoc.querySelectorAll(selector);
+                for (let i = 0; i < elements.length; i += 1) {
+                    nodes.push(elements[i]);
+                }
+            }
+        } catch (e) {
+            // eslint-disable-next-line no-console
+            console.log(`Invalid xml-prune selector: '${selector}'`);
+        }
+        return nodes;
+    };
+
+    const removeNode = (node) => {
+        if (node.nodeType === Node.ATTRIBUTE_NODE) {
+            node.ownerElement.removeAttribute(node.nodeName);
+            return;
+        }
+        if (node.parentNode) {
+            node.parentNode.removeChild(node);
+        }
+    };
+
+    /**
+     * Removes matched nodes from XML document
+     * @param {Document} xmlDoc
+     * @param {string} url request url, used for logging
+     * @returns {boolean} true if document has been modified
+     */
+    const pruneXmlDocument = (xmlDoc, url) => {
+        if (shouldLog) {
+            const xmlText = new XMLSerializer().serializeToString(xmlDoc);
+            hit(source, `log: xml-prune: ${url}\n${xmlText}`);
+            return false;
+        }
+
+        if (optionalProp !== '' && queryNodes(xmlDoc, optionalProp).length === 0) {
+            return false;
+        }
+
+        const nodesToRemove = queryNodes(xmlDoc, propsToRemove);
+        if (nodesToRemove.length === 0) {
+            return false;
+        }
+
+        nodesToRemove.forEach(removeNode);
+        hit(source);
+        return true;
+    };
+
+    /**
+     * Returns pruned XML text or the same text if it is not XML or there is nothing to prune
+     * @param {string} text response text
+     * @param {string} url request url
+     * @returns {string}
+     */
+    const pruneXmlText = (text, url) => {
+        if (typeof text !== 'string' || !startsWith(text.trim(), XML_START_MARKER)) {
+            return text;
+        }
+
+        const xmlDoc = new DOMParser().parseFromString(text, 'text/xml');
+        if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+            return text;
+        }
+
+        if (!pruneXmlDocument(xmlDoc, url)) {
+            return text;
+        }
+
+        return new XMLSerializer().serializeToString(xmlDoc);
+    };
+
+    interceptResponses({
+        isRequestMatched,
+        modifyText: pruneXmlText,
+        modifyDocument: pruneXmlDocument,
+    });
+}
+
+xmlPrune.names = [
+    'xml-prune',
+    // aliases are needed for matching the related scriptlet converted into our syntax
+    'xml-prune.js',
+    'ubo-xml-prune.js',
+    'ubo-xml-prune',
+];
+
+xmlPrune.injections = [
+    hit,
+    startsWith,
+    endsWith,
+    matchRequestProps,
+    interceptResponses,
+    getWildcardSymbol,
+    toRegExp,
+    isValidStrPattern,
+    escapeRegExp,
+    parseMatchProps,
+    validateParsedData,
+    getMatchPropsData,
+    getRequestData,
+    getObjectFromEntries,
+    getFetchData,
+    modifyResponse,
+    createResponsePropsOverrider,
+    hidePatchedToString,
+];
@@ -3,6 +3,7 @@ import {
     getNumberFromString,
     noopPromiseResolve,
     matchStackTrace,
+    endsWith,
 } from '../../src/helpers';
 
 const { test, module } = QUnit;
@@ -108,3 +109,16 @@ test('Test matchStackTrace for working with getNativeRegexpTest helper', async (
 
     assert.ok(!match);
 });
+
+test('Test endsWith for the ending which occurs in the string several times', (assert) => {
+    assert.ok(endsWith('xpath(//*[name()="Ad"])', ')'));
+    assert.ok(endsWith('abcabc', 'abc'));
+    assert.notOk(endsWith('abc)abc', ')'));
+    assert.notOk(endsWith('', ')'));
+});
+
+test('Test endsWith for the ending longer than the string', (assert) => {
+    assert.notOk(endsWith('ab', 'abc'));
+    assert.notOk(endsWith('b', 'abc'));
+    assert.ok(endsWith('abc', 'abc'));
+});
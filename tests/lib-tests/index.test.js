@@ -90,6 +90,10 @@ test('Test SCRIPTLET converting - UBO -> ADG', (assert) => {
     expBlockRule = 'example.org#%#//scriptlet(\'ubo-abort-current-inline-script.js\', \'$\', \'popup\')';
     assert.strictEqual(convertScriptletToAdg(blockingRule)[0], expBlockRule);
 
+    blockingRule = 'example.org##+js(acs, Math.random, adblock)';
+    expBlockRule = 'example.org#%#//scriptlet(\'ubo-acs.js\', \'Math.random\', \'adblock\')';
+    assert.strictEqual(convertScriptletToAdg(blockingRule)[0], expBlockRule);
+
     // '' as set-constant parameter
     blockingRule = 'example.org##+js(set-constant, config.ads.desktopPreroll, \'\')';
     expBlockRule = 'example.org#%#//scriptlet(\'ubo-set-constant.js\', \'config.ads.desktopPreroll\', \'\')';
@@ -236,7 +240,11 @@ test('Test SCRIPTLET converting - ADG -> UBO', (assert) => {
     assert.strictEqual(convertAdgScriptletToUbo(inputAdg), expectedUbo);
 
     inputAdg = 'example.com#%#//scriptlet("abp-abort-current-inline-script", "console.log", "Hello")';
-    expectedUbo = 'example.com##+js(abort-current-script, console.log, Hello)';
+    expectedUbo = 'example.com##+js(abort-current-inline-script, console.log, Hello)';
+    assert.strictEqual(convertAdgScriptletToUbo(inputAdg), expectedUbo);
+
+    inputAdg = 'example.com#%#//scriptlet(\'abort-current-script\', \'alert\', \'/detector\')';
+    expectedUbo = 'example.com##+js(abort-current-script, alert, /detector)';
     assert.strictEqual(convertAdgScriptletToUbo(inputAdg), expectedUbo);
 
     inputAdg = 'example.com#%#//scriptlet(\'prevent-fetch\', \'*\')';
@@ -0,0 +1,163 @@
+/* eslint-disable no-underscore-dangle */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'abort-current-script';
+
+const EXTERNAL_SCRIPT_PATH = './test-files/test-abort-current-script.js';
+
+const nativeFetch = window.fetch;
+
+const changingGlobals = ['hit', '__debug', 'externalScriptMarker', 'externalScriptPropName'];
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps(...changingGlobals);
+    window.fetch = nativeFetch;
+};
+
+module(name, { beforeEach, afterEach });
+
+const onError = (assert) => (message) => {
+    const browserErrorMessage = 'Script error.';
+    const nodePuppeteerErrorMessageRgx = /Reference error/g;
+    const checkResult = message === browserErrorMessage
+        || message.test(nodePuppeteerErrorMessageRgx);
+    assert.ok(checkResult);
+};
+
+const addAndRemoveInlineScript = (scriptText) => {
+    const scriptElement = document.createElement('script');
+    scriptElement.type = 'text/javascript';
+    scriptElement.innerText = scriptText;
+    document.body.appendChild(scriptElement);
+    scriptElement.parentNode.removeChild(scriptElement);
+};
+
+/**
+ * Adds external script which reads the property and calls the callback after it is executed
+ * @param {string} property
+ * @param {Function} callback
+ */
+const addExternalScript = (property, callback) => {
+    window.externalScriptPropName = property;
+    const scriptElement = document.createElement('script');
+    scriptElement.src = EXTERNAL_SCRIPT_PATH;
+    scriptElement.onload = () => {
+        scriptElement.remove();
+        callback();
+    };
+    document.body.appendChild(scriptElement);
+};
+
+test('aborts inline script', (assert) => {
+    window.onerror = onError(assert);
+    const property = '___aaa1';
+    runScriptlet(name, [property]);
+
+    addAndRemoveInlineScript(`window.${property};`);
+
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('aborts inline script by search', (assert) => {
+    const property = '___aaa2';
+    runScriptlet(name, [property, 'some search']);
+
+    addAndRemoveInlineScript(`window.${property};`);
+    assert.strictEqual(window.hit, undefined, 'should not hit');
+
+    window.onerror = onError(assert);
+    addAndRemoveInlineScript(`var search = 'some search'; window.${property};`);
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('multiple properties', (assert) => {
+    window.onerror = onError(assert);
+    runScriptlet(name, ['___aaa3 ___bbb3.ccc']);
+
+    addAndRemoveInlineScript('window.___aaa3;');
+    assert.strictEqual(window.hit, 'FIRED', 'first property access is aborted');
+
+    clearGlobalProps('hit');
+    addAndRemoveInlineScript('window.___bbb3 = {}; window.___bbb3.ccc = 1;');
+    assert.strictEqual(window.hit, 'FIRED', 'second property access is aborted');
+    clearGlobalProps('___aaa3', '___bbb3');
+});
+
+test('aborts external script by src', (assert) => {
+    const done = assert.async();
+    window.onerror = onError(assert);
+    const property = 'externalScriptProp1';
+    runScriptlet(name, [property, 'test-abort-current-script.js']);
+
+    addExternalScript(property, () => {
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        assert.notOk('externalScriptMarker' in window, 'script is aborted');
+        done();
+    });
+});
+
+test('aborts external script by its source', (assert) => {
+    const done = assert.async();
+    window.onerror = onError(assert);
+    const property = 'externalScriptProp2';
+    runScriptlet(name, [property, '/externalScriptMarker\\s=/']);
+
+    // source text is requested asynchronously when the script is added,
+    // so it may be not received yet when the script is executed for the first time
+    addExternalScript(property, () => {
+        setTimeout(() => {
+            clearGlobalProps('hit', 'externalScriptMarker');
+            addExternalScript(property, () => {
+                assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+                assert.notOk('externalScriptMarker' in window, 'script is aborted');
+                done();
+            });
+        }, 100);
+    });
+});
+
+test('requests source of same-origin external scripts only', (assert) => {
+    const done = assert.async();
+    const requestedUrls = [];
+    window.fetch = (url, init) => {
+        requestedUrls.push(url);
+        return nativeFetch(url, init);
+    };
+    runScriptlet(name, ['externalScriptProp4', '/externalScriptMarker\\s=/']);
+
+    // scripts of not javascript type are not loaded by browser itself
+    const sameOriginScript = document.createElement('script');
+    sameOriginScript.type = 'text/plain';
+    sameOriginScript.src = EXTERNAL_SCRIPT_PATH;
+    const crossOriginScript = document.createElement('script');
+    crossOriginScript.type = 'text/plain';
+    crossOriginScript.src = 'https://example.org/detector.js';
+    document.body.appendChild(sameOriginScript);
+    document.body.appendChild(crossOriginScript);
+
+    setTimeout(() => {
+        assert.deepEqual(requestedUrls, [sameOriginScript.src], 'only same-origin script is requested');
+        sameOriginScript.remove();
+        crossOriginScript.remove();
+        done();
+    }, 10);
+});
+
+test('does not abort external script which is not matched', (assert) => {
+    const done = assert.async();
+    const property = 'externalScriptProp3';
+    runScriptlet(name, [property, 'not-matched']);
+
+    addExternalScript(property, () => {
+        assert.strictEqual(window.hit, undefined, 'should not hit');
+        assert.true('externalScriptMarker' in window, 'script is executed');
+        done();
+    });
+});
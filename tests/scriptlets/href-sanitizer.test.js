@@ -0,0 +1,121 @@
+/* eslint-disable no-underscore-dangle */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'href-sanitizer';
+
+const elements = [];
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    elements.forEach((elem) => elem.remove());
+    elements.length = 0;
+};
+
+module(name, { beforeEach, afterEach });
+
+/**
+ * Appends link to the body
+ * @param {string} href
+ * @param {string} text
+ * @param {Object} [attrs] additional attributes
+ * @returns {HTMLAnchorElement}
+ */
+const addLink = (href, text, attrs = {}) => {
+    const link = document.createElement('a');
+    link.setAttribute('href', href);
+    link.textContent = text;
+    Object.keys(attrs).forEach((attr) => link.setAttribute(attr, attrs[attr]));
+    document.body.appendChild(link);
+    elements.push(link);
+    return link;
+};
+
+test('Checking if alias name works', (assert) => {
+    const adgParams = {
+        name,
+        engine: 'test',
+        verbose: true,
+    };
+    const uboParams = {
+        name: 'ubo-href-sanitizer.js',
+        engine: 'test',
+        verbose: true,
+    };
+
+    const codeByAdgParams = window.scriptlets.invoke(adgParams);
+    const codeByUboParams = window.scriptlets.invoke(uboParams);
+
+    assert.strictEqual(codeByAdgParams, codeByUboParams, 'ubo name - ok');
+});
+
+test('destination from text', (assert) => {
+    const link = addLink('https://example.org/out?id=1', ' https://example.com/page ');
+    const notValid = addLink('https://example.org/out?id=2', 'Click here');
+
+    runScriptlet(name, ['a[href*="/out?"]']);
+
+    assert.strictEqual(link.getAttribute('href'), 'https://example.com/page', 'href is sanitized');
+    assert.strictEqual(notValid.getAttribute('href'), 'https://example.org/out?id=2', 'not valid url is skipped');
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('destination from attribute', (assert) => {
+    const link = addLink('https://example.org/out?id=1', 'Link', { 'data-href': 'https://example.com/page' });
+    const notHttp = addLink('https://example.org/out?id=2', 'Link', { 'data-href': 'ftp://example.com/file' });
+
+    runScriptlet(name, ['a[data-href]', '[data-href]']);
+
+    assert.strictEqual(link.getAttribute('href'), 'https://example.com/page', 'href is sanitized');
+    assert.strictEqual(notHttp.getAttribute('href'), 'https://example.org/out?id=2', 'not http url is skipped');
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('destination from query parameter', (assert) => {
+    const link = addLink('https://example.org/redirect?url=https%3A%2F%2Fexample.com%2Fpage&ref=1', 'Link');
+
+    runScriptlet(name, ['a[href*="/redirect?"]', '?url']);
+
+    assert.strictEqual(link.getAttribute('href'), 'https://example.com/page', 'href is sanitized');
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('destination from base64-encoded query parameter', (assert) => {
+    const encoded = window.btoa('https://example.com/page');
+    const link = addLink(`https://example.org/go?target=${encoded}`, 'Link');
+
+    runScriptlet(name, ['a[href*="/go?"]', '?target', 'base64decode']);
+
+    assert.strictEqual(link.getAttribute('href'), 'https://example.com/page', 'href is sanitized');
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('links added later', (assert) => {
+    const done = assert.async();
+
+    runScriptlet(name, ['a[href*="/out?"]']);
+    assert.strictEqual(window.hit, undefined, 'hit should not fire');
+
+    const link = addLink('https://example.org/out?id=1', 'https://example.com/page');
+
+    setTimeout(() => {
+        assert.strictEqual(link.getAttribute('href'), 'https://example.com/page', 'href is sanitized');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        done();
+    }, 30);
+});
+
+test('invalid arguments', (assert) => {
+    const link = addLink('https://example.org/out?id=1', 'https://example.com/page');
+
+    runScriptlet(name, ['a[href*="/out?"]', 'data-href']);
+
+    assert.strictEqual(link.getAttribute('href'), 'https://example.org/out?id=1', 'href is not modified');
+    assert.strictEqual(window.hit, undefined, 'hit should not fire');
+});
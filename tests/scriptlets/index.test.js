@@ -44,3 +44,20 @@ import './close-window.test';
 import './prevent-refresh.test';
 import './prevent-element-src-loading.test';
 import './no-topics.test';
+import './xml-prune.test';
+import './m3u-prune.test';
+import './trusted-replace-response.test';
+import './remove-node-text.test';
+import './spoof-css.test';
+import './href-sanitizer.test';
+import './no-protected-audience.test';
+import './trusted-click-element.test';
+import './trusted-set-constant.test';
+import './abort-current-script.test';
+import './trusted-prevent-fetch.test';
+import './prevent-websocket.test';
+import './prevent-sendBeacon.test';
+import './prevent-history-manipulation.test';
+import './prevent-visibility-checks.test';
+import './time-warp.test';
+import './prevent-devtools-detection.test';
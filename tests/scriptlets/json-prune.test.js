@@ -4,11 +4,28 @@ const name = 'json-prune';
 
 const nativeParse = JSON.parse;
 const nativeConsole = console.log;
+const nativeFetch = fetch;
+const nativeXhrOpen = XMLHttpRequest.prototype.open;
+const nativeResponseJson = Response.prototype.json;
+const nativeWorker = window.Worker;
+const nativeWorkerPostMessage = Worker.prototype.postMessage;
+const nativeWorkerTerminate = Worker.prototype.terminate;
+const nativePortPostMessage = MessagePort.prototype.postMessage;
+const nativePortClose = MessagePort.prototype.close;
+const nativeResponseUrlGetter = Object.getOwnPropertyDescriptor(Response.prototype, 'url').get;
 
 const FETCH_OBJECTS_PATH = './test-files';
 
 const afterEach = () => {
     console.log = nativeConsole;
+    fetch = nativeFetch; // eslint-disable-line no-global-assign
+    XMLHttpRequest.prototype.open = nativeXhrOpen;
+    Response.prototype.json = nativeResponseJson;
+    window.Worker = nativeWorker;
+    Worker.prototype.postMessage = nativeWorkerPostMessage;
+    Worker.prototype.terminate = nativeWorkerTerminate;
+    MessagePort.prototype.postMessage = nativePortPostMessage;
+    MessagePort.prototype.close = nativePortClose;
 };
 
 module(name, { afterEach });
@@ -360,3 +377,152 @@ test('does not remove propsToRemove - invalid regexp pattern for stack match', (
     runScriptlet('json-prune', 'x', '', stackArg);
     assert.deepEqual(JSON.parse('{"x":1}'), { x: 1 }, 'should NOT remove propsToRemove');
 });
+
+test('xhr json response is pruned without propsToMatch', (assert) => {
+    const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+    const expectedJson = {
+        a1: 1,
+        b2: 'test',
+    };
+    const done = assert.async();
+
+    runScriptlet('json-prune', 'c3');
+
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', INPUT_JSON_PATH);
+    xhr.responseType = 'json';
+    xhr.onload = () => {
+        assert.deepEqual(xhr.response, expectedJson, 'json response is pruned');
+        done();
+    };
+    xhr.send();
+});
+
+test('xhr text response is pruned with empty propsToMatch', (assert) => {
+    const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+    const expectedJson = {
+        a1: 1,
+        b2: 'test',
+    };
+    const done = assert.async();
+
+    runScriptlet('json-prune', 'c3', '', '', '');
+
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', INPUT_JSON_PATH);
+    xhr.onload = () => {
+        assert.deepEqual(nativeParse(xhr.responseText), expectedJson, 'responseText is pruned');
+        done();
+    };
+    xhr.send();
+});
+
+test('propsToMatch -- xhr json response of matched request is pruned', (assert) => {
+    const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+    const expectedJson = {
+        a1: 1,
+        b2: 'test',
+    };
+    const done = assert.async();
+
+    runScriptlet('json-prune', 'c3', '', '', 'test01.json');
+
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', INPUT_JSON_PATH);
+    xhr.responseType = 'json';
+    xhr.onload = () => {
+        assert.deepEqual(xhr.response, expectedJson);
+        done();
+    };
+    xhr.send();
+});
+
+test('propsToMatch -- fetch response of matched request is pruned', async (assert) => {
+    const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+    const expectedJson = {
+        a1: 1,
+        b2: 'test',
+    };
+    const done = assert.async();
+
+    runScriptlet('json-prune', 'c3', '', '', 'test01.json');
+
+    const response = await fetch(INPUT_JSON_PATH);
+    const actualJson = await response.json();
+
+    assert.deepEqual(actualJson, expectedJson);
+    assert.strictEqual(response.status, 200, 'status is kept');
+    done();
+});
+
+test('propsToMatch -- fetch response of not matched request is not pruned', async (assert) => {
+    const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+    const expectedJson = {
+        a1: 1,
+        b2: 'test',
+        c3: 3,
+    };
+    const done = assert.async();
+
+    runScriptlet('json-prune', 'c3', '', '', 'test02.json');
+
+    const response = await fetch(INPUT_JSON_PATH);
+    const actualJson = await response.json();
+
+    assert.deepEqual(actualJson, expectedJson);
+    done();
+});
+
+test('propsToMatch -- not pruned fetch response is returned as is', async (assert) => {
+    const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+    const done = assert.async();
+
+    runScriptlet('json-prune', 'not_existing', '', '', 'test01.json');
+
+    const response = await fetch(INPUT_JSON_PATH);
+
+    // url of the response created by constructor is overridden, so its native url is empty
+    assert.ok(nativeResponseUrlGetter.call(response), 'original response is returned');
+    assert.deepEqual(await response.json(), { a1: 1, b2: 'test', c3: 3 }, 'response is not modified');
+    done();
+});
+
+test('propsToMatch -- xhr text response of matched request is pruned', (assert) => {
+    const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+    const expectedJson = {
+        a1: 1,
+        b2: 'test',
+    };
+    const done = assert.async();
+
+    runScriptlet('json-prune', 'c3', '', '', 'test01.json method:GET');
+
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', INPUT_JSON_PATH);
+    xhr.onload = () => {
+        assert.deepEqual(nativeParse(xhr.responseText), expectedJson, 'responseText is pruned');
+        assert.deepEqual(nativeParse(xhr.response), expectedJson, 'response is pruned');
+        done();
+    };
+    xhr.send();
+});
+
+test('propsToMatch -- JSON.parse is not affected', (assert) => {
+    runScriptlet('json-prune', 'c', '', '', 'test01.json');
+    assert.deepEqual(JSON.parse('{"a":1,"b":2,"c":3}'), { a: 1, b: 2, c: 3 }, 'should not remove propsToRemove');
+});
+
+test('JSON.parse is pruned inside worker', (assert) => {
+    const done = assert.async();
+
+    runScriptlet('json-prune-in-workers', 'c');
+
+    const workerCode = 'postMessage(JSON.parse(\'{"a":1,"b":2,"c":3}\'));';
+    const blob = new Blob([workerCode], { type: 'text/javascript' });
+    const worker = new Worker(URL.createObjectURL(blob));
+    worker.onmessage = (e) => {
+        assert.deepEqual(e.data, { a: 1, b: 2 }, 'should remove propsToRemove inside worker');
+        worker.terminate();
+        done();
+    };
+});
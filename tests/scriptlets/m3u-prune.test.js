@@ -0,0 +1,227 @@
+/* eslint-disable no-underscore-dangle, no-console */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+import { startsWith } from '../../src/helpers/string-utils';
+
+const { test, module } = QUnit;
+const name = 'm3u-prune';
+
+const FETCH_OBJECTS_PATH = './test-files';
+const M3U_PATH = `${FETCH_OBJECTS_PATH}/test-playlist.m3u8`;
+const M3U_AD_BREAK_PATH = `${FETCH_OBJECTS_PATH}/test-playlist-ad-break.m3u8`;
+const AD_SEGMENT = 'https://ads.example.org/ad-1.ts';
+
+/**
+ * Returns the number of lines of the playlist which start with the tag
+ * @param {string} text playlist text
+ * @param {string} tag tag name
+ * @returns {number}
+ */
+const countTags = (text, tag) => text.split('\n').filter((line) => startsWith(line, tag)).length;
+
+const nativeFetch = fetch;
+const nativeXhrOpen = XMLHttpRequest.prototype.open;
+const nativeConsole = console.log;
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    fetch = nativeFetch; // eslint-disable-line no-global-assign
+    XMLHttpRequest.prototype.open = nativeXhrOpen;
+    console.log = nativeConsole;
+};
+
+module(name, { beforeEach, afterEach });
+
+const isSupported = typeof fetch !== 'undefined'
+    && typeof Proxy !== 'undefined'
+    && typeof Response !== 'undefined';
+
+if (!isSupported) {
+    test('unsupported', (assert) => {
+        assert.ok(true, 'Browser does not support it');
+    });
+} else {
+    test('Checking if alias name works', (assert) => {
+        const adgParams = {
+            name,
+            engine: 'test',
+            verbose: true,
+        };
+        const uboParams = {
+            name: 'ubo-m3u-prune.js',
+            engine: 'test',
+            verbose: true,
+        };
+
+        const codeByAdgParams = window.scriptlets.invoke(adgParams);
+        const codeByUboParams = window.scriptlets.invoke(uboParams);
+
+        assert.strictEqual(codeByAdgParams, codeByUboParams, 'ubo name - ok');
+    });
+
+    test('fetch - no args - logging', async (assert) => {
+        const done = assert.async();
+
+        console.log = function log(input) {
+            if (input.indexOf('trace') > -1) {
+                return;
+            }
+            assert.ok(startsWith(input, `m3u-prune: ${M3U_PATH}`), 'console.hit input');
+        };
+
+        runScriptlet(name);
+
+        const response = await fetch(M3U_PATH);
+        const responseText = await response.text();
+
+        assert.ok(responseText.indexOf(AD_SEGMENT) > -1, 'playlist is not modified');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - remove segment by its url', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['ads.example.org']);
+
+        const response = await fetch(M3U_PATH);
+        const responseText = await response.text();
+
+        assert.strictEqual(responseText.indexOf(AD_SEGMENT), -1, 'ad segment removed');
+        assert.strictEqual(responseText.indexOf('#EXT-X-CUE'), -1, 'ad break tags removed');
+        assert.ok(responseText.indexOf('content-0.ts') > -1, 'content segment is kept');
+        assert.ok(responseText.indexOf('content-1.ts') > -1, 'content segment is kept');
+        assert.ok(responseText.indexOf('#EXT-X-TARGETDURATION:10') > -1, 'playlist tag is kept');
+        assert.ok(responseText.indexOf('#EXT-X-ENDLIST') > -1, 'playlist tag is kept');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - remove segment by its tag and regexp', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['/#EXT-X-CUE-OUT:\\d+/', 'test-playlist method:GET']);
+
+        const response = await fetch(M3U_PATH, { method: 'GET' });
+        const responseText = await response.text();
+
+        assert.strictEqual(responseText.indexOf(AD_SEGMENT), -1, 'ad segment removed');
+        assert.ok(responseText.indexOf('content-1.ts') > -1, 'content segment is kept');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - line breaks and blank lines are kept', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['ads.example.org']);
+
+        const response = await fetch(M3U_AD_BREAK_PATH);
+        const responseText = await response.text();
+
+        const expectedText = [
+            '#EXTM3U',
+            '#EXT-X-TARGETDURATION:10',
+            '',
+            '#EXTINF:10.0,',
+            'content-0.ts',
+            '#EXTINF:10.0,',
+            'content-1.ts',
+            '',
+        ].join('\n');
+        assert.strictEqual(responseText, expectedText, 'ad break is removed, other lines are kept as is');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - ad break tags are removed in pairs', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['promo-2']);
+
+        const response = await fetch(M3U_AD_BREAK_PATH);
+        const responseText = await response.text();
+
+        assert.ok(responseText.indexOf(AD_SEGMENT) > -1, 'not matched segment is kept');
+        assert.strictEqual(countTags(responseText, '#EXT-X-CUE-IN'), 0, 'ad break end is removed');
+        assert.strictEqual(countTags(responseText, '#EXT-X-CUE-OUT'), 0, 'ad break start is removed as well');
+        done();
+    });
+
+    test('fetch - ad break tags are kept with ad break segments', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['content-1']);
+
+        const response = await fetch(M3U_AD_BREAK_PATH);
+        const responseText = await response.text();
+
+        assert.strictEqual(responseText.indexOf('content-1.ts'), -1, 'segment after ad break is removed');
+        assert.strictEqual(countTags(responseText, '#EXT-X-CUE-IN'), 1, 'ad break end is kept');
+        assert.strictEqual(countTags(responseText, '#EXT-X-CUE-OUT'), 1, 'ad break start is kept');
+        done();
+    });
+
+    test('fetch - propsToMatch does not match', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['ads.example.org', 'not-matching-url']);
+
+        const response = await fetch(M3U_PATH);
+        const responseText = await response.text();
+
+        assert.ok(responseText.indexOf(AD_SEGMENT) > -1, 'playlist is not modified');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    });
+
+    test('fetch - not playlist response is not modified', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['a1']);
+
+        const response = await fetch(`${FETCH_OBJECTS_PATH}/test01.json`);
+        const responseJson = await response.json();
+
+        assert.strictEqual(responseJson.a1, 1, 'response is not modified');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    });
+
+    test('xhr - remove segment by its url', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['ads.example.org', 'test-playlist']);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', M3U_PATH);
+        xhr.onload = () => {
+            assert.strictEqual(xhr.responseText.indexOf(AD_SEGMENT), -1, 'ad segment removed from responseText');
+            assert.strictEqual(xhr.response.indexOf(AD_SEGMENT), -1, 'ad segment removed from response');
+            assert.ok(xhr.responseText.indexOf('content-1.ts') > -1, 'content segment is kept');
+            assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+            done();
+        };
+        xhr.send();
+    });
+
+    test('xhr - no match', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['no-such-segment']);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', M3U_PATH);
+        xhr.onload = () => {
+            assert.ok(xhr.responseText.indexOf(AD_SEGMENT) > -1, 'playlist is not modified');
+            assert.strictEqual(window.hit, undefined, 'hit should not fire');
+            done();
+        };
+        xhr.send();
+    });
+}
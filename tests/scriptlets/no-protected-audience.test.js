@@ -0,0 +1,86 @@
+/* eslint-disable no-underscore-dangle */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'no-protected-audience';
+
+const NAVIGATOR_API_NAMES = [
+    'joinAdInterestGroup',
+    'leaveAdInterestGroup',
+    'runAdAuction',
+    'deprecatedURNToURL',
+];
+const SHARED_STORAGE_PROPERTY_NAME = 'sharedStorage';
+
+const nativeDescriptors = {};
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+    // apis are mocked for browsers which do not support them
+    NAVIGATOR_API_NAMES.forEach((apiName) => {
+        nativeDescriptors[apiName] = Object.getOwnPropertyDescriptor(Navigator.prototype, apiName);
+        Navigator.prototype[apiName] = () => 'native';
+    });
+    nativeDescriptors[SHARED_STORAGE_PROPERTY_NAME] = Object.getOwnPropertyDescriptor(
+        window,
+        SHARED_STORAGE_PROPERTY_NAME,
+    );
+    Object.defineProperty(window, SHARED_STORAGE_PROPERTY_NAME, {
+        configurable: true,
+        get: () => ({ set: () => 'native' }),
+    });
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    NAVIGATOR_API_NAMES.forEach((apiName) => {
+        if (nativeDescriptors[apiName]) {
+            Object.defineProperty(Navigator.prototype, apiName, nativeDescriptors[apiName]);
+        } else {
+            delete Navigator.prototype[apiName];
+        }
+    });
+    if (nativeDescriptors[SHARED_STORAGE_PROPERTY_NAME]) {
+        Object.defineProperty(
+            window,
+            SHARED_STORAGE_PROPERTY_NAME,
+            nativeDescriptors[SHARED_STORAGE_PROPERTY_NAME],
+        );
+    } else {
+        delete window[SHARED_STORAGE_PROPERTY_NAME];
+    }
+};
+
+module(name, { beforeEach, afterEach });
+
+test('interest groups and auctions are mocked', async (assert) => {
+    const done = assert.async();
+    runScriptlet(name);
+
+    const joinResult = await navigator.joinAdInterestGroup({ name: 'test' }, 1000);
+    const leaveResult = await navigator.leaveAdInterestGroup({ name: 'test' });
+    const auctionResult = await navigator.runAdAuction({ seller: 'https://example.org' });
+    const urlResult = await navigator.deprecatedURNToURL('urn:uuid:test');
+
+    assert.strictEqual(joinResult, undefined, 'joinAdInterestGroup() resolves with undefined');
+    assert.strictEqual(leaveResult, undefined, 'leaveAdInterestGroup() resolves with undefined');
+    assert.strictEqual(auctionResult, null, 'runAdAuction() resolves with null');
+    assert.strictEqual(urlResult, 'about:blank', 'deprecatedURNToURL() resolves with blank url');
+    assert.strictEqual(window.hit, 'FIRED', 'hit function should fire');
+    done();
+});
+
+test('shared storage is mocked', async (assert) => {
+    const done = assert.async();
+    runScriptlet(name);
+
+    const setResult = await window.sharedStorage.set('key', 'value');
+    const selectResult = await window.sharedStorage.selectURL('operation', [{ url: 'https://example.org' }]);
+
+    assert.strictEqual(setResult, undefined, 'sharedStorage.set() resolves with undefined');
+    assert.strictEqual(selectResult, 'about:blank', 'sharedStorage.selectURL() resolves with blank url');
+    assert.strictEqual(window.hit, 'FIRED', 'hit function should fire');
+    done();
+});
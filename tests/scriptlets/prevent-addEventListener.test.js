@@ -15,6 +15,9 @@ const beforeEach = () => {
 const afterEach = () => {
     clearGlobalProps('__debug', 'hit');
     window.EventTarget.prototype.addEventListener = nativeAddEventListener;
+    // scriptlet sets own addEventListener to window and document
+    delete window.addEventListener;
+    delete document.addEventListener;
 };
 
 module(name, { beforeEach, afterEach });
@@ -184,3 +187,86 @@ test('event listeners should be added correctly -- invalid func regexp pattern',
     assert.strictEqual(window.hit, undefined, 'hit function not fired');
     assert.strictEqual(window[focusProp], 'focused', 'property should change');
 });
+
+test('prevents listeners by target element', (assert) => {
+    const TEST_EVENT_NAME = 'testTarget';
+    runScriptlet(name, [TEST_EVENT_NAME, '', '.ads-banner']);
+
+    const banner = document.createElement('div');
+    banner.className = 'ads-banner';
+    const element = document.createElement('div');
+
+    let bannerListenerCalls = 0;
+    let elementListenerCalls = 0;
+    banner.addEventListener(TEST_EVENT_NAME, () => {
+        bannerListenerCalls += 1;
+    });
+    assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+    clearGlobalProps('hit');
+
+    element.addEventListener(TEST_EVENT_NAME, () => {
+        elementListenerCalls += 1;
+    });
+    banner.dispatchEvent(new Event(TEST_EVENT_NAME));
+    element.dispatchEvent(new Event(TEST_EVENT_NAME));
+
+    assert.strictEqual(bannerListenerCalls, 0, 'listener of matched element is prevented');
+    assert.strictEqual(elementListenerCalls, 1, 'listener of not matched element is added');
+    assert.strictEqual(window.hit, undefined, 'hit function should not fire');
+});
+
+test('prevents listeners by window and document targets', (assert) => {
+    const WINDOW_EVENT_NAME = 'testWindowTarget';
+    const DOCUMENT_EVENT_NAME = 'testDocumentTarget';
+    runScriptlet(name, [WINDOW_EVENT_NAME, '', 'window']);
+    runScriptlet(name, [DOCUMENT_EVENT_NAME, '', 'document']);
+
+    const calls = [];
+    window.addEventListener(WINDOW_EVENT_NAME, () => calls.push('window'));
+    document.addEventListener(DOCUMENT_EVENT_NAME, () => calls.push('document'));
+    document.body.addEventListener(WINDOW_EVENT_NAME, () => calls.push('body'));
+    document.body.addEventListener(DOCUMENT_EVENT_NAME, () => calls.push('body'));
+
+    window.dispatchEvent(new Event(WINDOW_EVENT_NAME));
+    document.dispatchEvent(new Event(DOCUMENT_EVENT_NAME));
+    document.body.dispatchEvent(new Event(WINDOW_EVENT_NAME));
+    document.body.dispatchEvent(new Event(DOCUMENT_EVENT_NAME));
+
+    assert.deepEqual(calls, ['body', 'body'], 'only listeners of window and document are prevented');
+    assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+});
+
+test('prevents listeners by stack trace', (assert) => {
+    const TEST_EVENT_NAME = 'testStack';
+    runScriptlet(name, [TEST_EVENT_NAME, '', '', 'addListenerFromAds']);
+
+    const element = document.createElement('div');
+    const calls = [];
+    const addListenerFromAds = () => {
+        element.addEventListener(TEST_EVENT_NAME, () => calls.push('ads'));
+    };
+    const addListenerFromApp = () => {
+        element.addEventListener(TEST_EVENT_NAME, () => calls.push('app'));
+    };
+    addListenerFromAds();
+    addListenerFromApp();
+    element.dispatchEvent(new Event(TEST_EVENT_NAME));
+
+    assert.deepEqual(calls, ['app'], 'listener added from matched stack is prevented');
+    assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+});
+
+test('event listeners should be added correctly -- invalid selector', (assert) => {
+    const TEST_EVENT_NAME = 'testInvalidSelector';
+    runScriptlet(name, [TEST_EVENT_NAME, '', '#>invalid']);
+
+    const element = document.createElement('div');
+    let calls = 0;
+    element.addEventListener(TEST_EVENT_NAME, () => {
+        calls += 1;
+    });
+    element.dispatchEvent(new Event(TEST_EVENT_NAME));
+
+    assert.strictEqual(calls, 1, 'listener is added');
+    assert.strictEqual(window.hit, undefined, 'hit function should not fire');
+});
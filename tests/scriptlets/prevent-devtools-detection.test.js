@@ -0,0 +1,229 @@
+/* eslint-disable no-underscore-dangle, no-console, no-eval, no-new-func */
+/* eslint-disable no-debugger, no-implied-eval */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'prevent-devtools-detection';
+
+const nativeEval = window.eval;
+const nativeFunction = window.Function;
+const getFunctionConstructor = (funcCode) => nativeFunction(`return (${funcCode}).constructor;`)();
+const AsyncFunction = getFunctionConstructor('async function(){}');
+const GeneratorFunction = getFunctionConstructor('function*(){}');
+const nativeSetTimeout = window.setTimeout;
+const nativeSetInterval = window.setInterval;
+const CONSOLE_METHODS = [
+    'log', 'debug', 'info', 'warn', 'error', 'dir', 'dirxml', 'table', 'trace', 'group', 'groupCollapsed',
+];
+const nativeConsoleMethods = CONSOLE_METHODS.map((method) => console[method]);
+const nativeOuterWidthDescriptor = Object.getOwnPropertyDescriptor(window, 'outerWidth');
+const nativeOuterHeightDescriptor = Object.getOwnPropertyDescriptor(window, 'outerHeight');
+const nativeToString = Function.prototype.toString;
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug', 'one', 'two');
+    window.eval = nativeEval;
+    window.Function = nativeFunction;
+    nativeFunction.prototype.constructor = nativeFunction;
+    [AsyncFunction, GeneratorFunction].forEach((FunctionConstructor) => {
+        Object.defineProperty(FunctionConstructor.prototype, 'constructor', {
+            configurable: true,
+            value: FunctionConstructor,
+        });
+    });
+    window.setTimeout = nativeSetTimeout;
+    window.setInterval = nativeSetInterval;
+    CONSOLE_METHODS.forEach((method, i) => {
+        console[method] = nativeConsoleMethods[i];
+    });
+    if (nativeOuterWidthDescriptor) {
+        Object.defineProperty(window, 'outerWidth', nativeOuterWidthDescriptor);
+    }
+    if (nativeOuterHeightDescriptor) {
+        Object.defineProperty(window, 'outerHeight', nativeOuterHeightDescriptor);
+    }
+    // eslint-disable-next-line no-extend-native
+    Function.prototype.toString = nativeToString;
+};
+
+module(name, { beforeEach, afterEach });
+
+const isSupported = typeof Proxy !== 'undefined';
+
+if (!isSupported) {
+    test('unsupported', (assert) => {
+        assert.ok(true, 'Browser does not support it');
+    });
+} else {
+    test('debugger in eval and Function', (assert) => {
+        runScriptlet(name);
+
+        assert.strictEqual(eval('2 + 2'), 4, 'eval without debugger works');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+
+        assert.strictEqual(eval('debugger; window.one = 1; 1'), 1, 'eval with debugger works');
+        assert.strictEqual(window.one, 1, 'eval code is executed');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+        clearGlobalProps('hit');
+        assert.strictEqual(Function('a', 'debugger; return a')(2), 2, 'Function() works');
+        assert.strictEqual(new Function('debugger; return 3')(), 3, 'new Function() works');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+        clearGlobalProps('hit');
+        const fn = (function test() {}).constructor('debugger; return 4');
+        assert.strictEqual(fn(), 4, 'constructor of function works');
+        assert.ok(fn instanceof Function, 'function is instance of Function');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('debugger in async and generator functions', (assert) => {
+        const done = assert.async();
+        runScriptlet(name);
+
+        const asyncFn = AsyncFunction.prototype.constructor('debugger; return 5');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        assert.ok(asyncFn instanceof AsyncFunction, 'async function is created');
+
+        clearGlobalProps('hit');
+        const generatorFn = GeneratorFunction.prototype.constructor('debugger; yield 6');
+        assert.strictEqual(generatorFn().next().value, 6, 'generator function works');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+        asyncFn().then((value) => {
+            assert.strictEqual(value, 5, 'async function works');
+            done();
+        });
+    });
+
+    test('debugger not in statement position', (assert) => {
+        runScriptlet(name);
+
+        assert.strictEqual(eval('"debugger"'), 'debugger', 'string is not changed');
+        assert.strictEqual(eval('({ debugger: 1 }).debugger;'), 1, 'property is not changed');
+        assert.strictEqual(eval('var debuggerOn = 2; debuggerOn'), 2, 'identifier is not changed');
+        assert.strictEqual(Function('return "debugger mode"')(), 'debugger mode', 'string in function is not changed');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+
+        assert.strictEqual(eval('if (true) { debugger }\n3'), 3, 'debugger before } is removed');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('debugger in intervals', (assert) => {
+        const done = assert.async();
+        window.one = 'value';
+        window.two = 'value';
+
+        nativeSetTimeout(() => {
+            assert.strictEqual(window.one, 'new value', 'string callback is executed');
+            assert.strictEqual(window.two, 'value', 'callback with debugger is not called');
+            assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+            done();
+        }, 100);
+
+        runScriptlet(name);
+
+        assert.strictEqual(window.setTimeout, nativeSetTimeout, 'setTimeout is not affected');
+
+        const stringInterval = setInterval('debugger; window.one = "new value";', 10);
+        const interval = setInterval(() => {
+            debugger;
+            window.two = 'new value';
+        }, 10);
+        nativeSetTimeout(() => {
+            clearInterval(stringInterval);
+            clearInterval(interval);
+        }, 50);
+    });
+
+    test('console traps', (assert) => {
+        const logged = [];
+        const logInput = (input) => {
+            // skip hit() output
+            if (typeof input === 'string' && input.indexOf('trace') > -1) {
+                return;
+            }
+            logged.push(input);
+        };
+        console.log = function log(input) {
+            logInput(input);
+        };
+        console.dir = function dir(input) {
+            logInput(input);
+        };
+
+        runScriptlet(name);
+
+        let isDetected = false;
+        const element = document.createElement('div');
+        Object.defineProperty(element, 'id', {
+            get: () => {
+                isDetected = true;
+                return '';
+            },
+        });
+        const regexp = /./;
+        regexp.toString = () => {
+            isDetected = true;
+            return '';
+        };
+
+        console.log(element);
+        console.dir(regexp);
+        assert.deepEqual(logged, [], 'calls with traps are skipped');
+        assert.notOk(isDetected, 'traps are not triggered');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+        clearGlobalProps('hit');
+        const data = { key: 'value' };
+        // e.g. reactive data of frameworks
+        const dataWithGetter = {};
+        Object.defineProperty(dataWithGetter, 'key', {
+            enumerable: true,
+            get: () => 'value',
+        });
+        console.log('text');
+        console.log(data);
+        console.log(dataWithGetter);
+        assert.deepEqual(logged, ['text', data, dataWithGetter], 'other calls are not affected');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+    });
+
+    test('window size', (assert) => {
+        Object.defineProperty(window, 'outerWidth', {
+            configurable: true,
+            enumerable: true,
+            get: () => window.innerWidth + 500,
+        });
+
+        runScriptlet(name);
+
+        assert.strictEqual(window.outerWidth, window.innerWidth, 'outerWidth is limited');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+        clearGlobalProps('hit');
+        assert.ok(window.outerHeight - window.innerHeight <= 100, 'outerHeight is not affected');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+    });
+
+    test('window size getters look native', (assert) => {
+        const nativeGetterSource = nativeOuterHeightDescriptor.get.toString();
+
+        runScriptlet(name);
+
+        const descriptor = Object.getOwnPropertyDescriptor(window, 'outerHeight');
+        assert.strictEqual(descriptor.get.toString(), nativeGetterSource, 'getter source is native');
+        assert.strictEqual(descriptor.set, nativeOuterHeightDescriptor.set, 'native setter is kept');
+        assert.strictEqual(
+            descriptor.configurable,
+            nativeOuterHeightDescriptor.configurable,
+            'configurable is kept',
+        );
+    });
+}
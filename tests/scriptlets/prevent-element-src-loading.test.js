@@ -17,7 +17,7 @@ const afterEach = () => {
     clearGlobalProps('hit', '__debug', 'elem');
 };
 
-const createTagWithSetAttr = (assert, nodeName, url) => {
+const createTagWithSetAttr = (assert, nodeName, url, attrName = 'src') => {
     const done = assert.async();
 
     const node = document.createElement(nodeName);
@@ -28,12 +28,12 @@ const createTagWithSetAttr = (assert, nodeName, url) => {
     node.onerror = () => {
         assert.ok(false, '.onerror triggered');
     };
-    node.setAttribute('src', url);
+    node.setAttribute(attrName, url);
     document.body.append(node);
     return node;
 };
 
-const createTagWithSrcProp = (assert, nodeName, url) => {
+const createTagWithSrcProp = (assert, nodeName, url, propName = 'src') => {
     const done = assert.async();
 
     const node = document.createElement(nodeName);
@@ -45,7 +45,7 @@ const createTagWithSrcProp = (assert, nodeName, url) => {
         assert.ok(false, '.onerror triggered');
     };
 
-    node.src = url;
+    node[propName] = url;
     document.body.append(node);
     return node;
 };
@@ -54,6 +54,9 @@ const srcMockData = {
     script: 'data:text/javascript;base64,KCk9Pnt9',
     img: 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==',
     iframe: 'data:text/html;base64, PGRpdj48L2Rpdj4=',
+    link: 'data:text/css;base64,',
+    // eslint-disable-next-line max-len
+    media: 'data:audio/wav;base64,UklGRiwAAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQgAAACAgICAgICAgA==',
 };
 const TEST_FILES_DIR = './test-files/';
 const TEST_SCRIPT01_FILENAME = 'test-script01.js';
@@ -63,6 +66,14 @@ const TEST_IFRAME_FILENAME = 'empty.html';
 const SCRIPT_TARGET_NODE = 'script';
 const IMG_TARGET_NODE = 'img';
 const IFRAME_TARGET_NODE = 'iframe';
+const LINK_TARGET_NODE = 'link';
+const VIDEO_TARGET_NODE = 'video';
+const AUDIO_TARGET_NODE = 'audio';
+const SOURCE_TARGET_NODE = 'source';
+const OBJECT_TARGET_NODE = 'object';
+const EMBED_TARGET_NODE = 'embed';
+const TEST_STYLESHEET_URL = 'https://example.org/ads.css';
+const TEST_MEDIA_URL = 'https://example.org/ads/video.mp4';
 
 module(name, { beforeEach, afterEach });
 
@@ -147,6 +158,112 @@ if (!isSupported) {
         assert.strictEqual(window.hit, 'FIRED', 'hit fired');
     });
 
+    test('setAttribute, matching link element', (assert) => {
+        const scriptletArgs = [LINK_TARGET_NODE, 'ads.css'];
+        runScriptlet(name, scriptletArgs);
+
+        window.elem = document.createElement(LINK_TARGET_NODE);
+        window.elem.rel = 'stylesheet';
+        const done = assert.async();
+        window.elem.onload = () => {
+            assert.ok(true, '.onload triggered');
+            done();
+        };
+        window.elem.onerror = () => {
+            assert.ok(false, '.onerror triggered');
+        };
+        window.elem.setAttribute('href', TEST_STYLESHEET_URL);
+        document.head.append(window.elem);
+
+        assert.strictEqual(window.elem.href, srcMockData[LINK_TARGET_NODE], 'href was mocked');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('href prop, matching link element', (assert) => {
+        const scriptletArgs = [LINK_TARGET_NODE, 'ads.css'];
+        runScriptlet(name, scriptletArgs);
+
+        window.elem = document.createElement(LINK_TARGET_NODE);
+        window.elem.rel = 'preload';
+        window.elem.as = 'style';
+        window.elem.href = TEST_STYLESHEET_URL;
+
+        assert.strictEqual(window.elem.href, srcMockData[LINK_TARGET_NODE], 'href was mocked');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('src prop, matching video element', (assert) => {
+        const scriptletArgs = [VIDEO_TARGET_NODE.toUpperCase(), '/ads/'];
+        runScriptlet(name, scriptletArgs);
+
+        const done = assert.async();
+        window.elem = document.createElement(VIDEO_TARGET_NODE);
+        window.elem.onloadedmetadata = () => {
+            assert.ok(true, '.onloadedmetadata triggered');
+            done();
+        };
+        window.elem.onerror = () => {
+            assert.ok(false, '.onerror triggered');
+        };
+        window.elem.src = TEST_MEDIA_URL;
+        document.body.append(window.elem);
+
+        assert.strictEqual(window.elem.src, srcMockData.media, 'src was mocked');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('setAttribute, matching source element', (assert) => {
+        const scriptletArgs = [SOURCE_TARGET_NODE, '/ads/'];
+        runScriptlet(name, scriptletArgs);
+
+        window.elem = document.createElement(SOURCE_TARGET_NODE);
+        window.elem.setAttribute('src', TEST_MEDIA_URL);
+
+        assert.strictEqual(window.elem.src, srcMockData.media, 'src was mocked');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('setAttribute, not matching element of other media type', (assert) => {
+        const scriptletArgs = [SOURCE_TARGET_NODE, '/ads/'];
+        runScriptlet(name, scriptletArgs);
+
+        // video element is not used as it has been patched by previous tests
+        window.elem = document.createElement(AUDIO_TARGET_NODE);
+        window.elem.setAttribute('src', TEST_MEDIA_URL);
+
+        assert.strictEqual(window.elem.src, TEST_MEDIA_URL, 'src was NOT mocked');
+        assert.strictEqual(window.hit, undefined, 'hit should NOT fire');
+    });
+
+    test('data prop, matching object element', (assert) => {
+        const SOURCE_PATH = `${TEST_FILES_DIR}${TEST_IFRAME_FILENAME}`;
+        const scriptletArgs = [OBJECT_TARGET_NODE, TEST_IFRAME_FILENAME];
+        runScriptlet(name, scriptletArgs);
+
+        window.elem = createTagWithSrcProp(assert, OBJECT_TARGET_NODE, SOURCE_PATH, 'data');
+        assert.ok(
+            window.elem.data === srcMockData[IFRAME_TARGET_NODE]
+                || window.elem.data === srcMockData[IFRAME_TARGET_NODE].split(' ').join(''),
+            'data was mocked',
+        );
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('setAttribute, matching embed element', (assert) => {
+        const SOURCE_PATH = `${TEST_FILES_DIR}${TEST_IFRAME_FILENAME}`;
+        const scriptletArgs = [EMBED_TARGET_NODE, TEST_IFRAME_FILENAME];
+        runScriptlet(name, scriptletArgs);
+
+        window.elem = document.createElement(EMBED_TARGET_NODE);
+        window.elem.setAttribute('src', SOURCE_PATH);
+        assert.ok(
+            window.elem.src === srcMockData[IFRAME_TARGET_NODE]
+                || window.elem.src === srcMockData[IFRAME_TARGET_NODE].split(' ').join(''),
+            'src was mocked',
+        );
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
     test('setAttribute, mismatching element', (assert) => {
         const SOURCE_PATH = `${TEST_FILES_DIR}${TEST_SCRIPT02_FILENAME}`;
         const scriptletArgs = [SCRIPT_TARGET_NODE, 'not-test-script.js'];
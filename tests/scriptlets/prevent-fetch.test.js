@@ -10,6 +10,18 @@ const FETCH_OBJECTS_PATH = './test-files';
 const nativeFetch = fetch;
 const nativeConsole = console.log;
 const nativeResponseJson = Response.prototype.json;
+const nativeWorker = window.Worker;
+const nativeSharedWorker = window.SharedWorker;
+const nativeWorkerPostMessage = Worker.prototype.postMessage;
+const nativeWorkerTerminate = Worker.prototype.terminate;
+const nativePortPostMessage = MessagePort.prototype.postMessage;
+const nativePortClose = MessagePort.prototype.close;
+const nativeCreateObjectURL = URL.createObjectURL;
+const RESPONSE_PROPS = ['url', 'type', 'redirected', 'status', 'ok', 'statusText'];
+const nativeResponseDescriptors = RESPONSE_PROPS
+    .map((prop) => Object.getOwnPropertyDescriptor(Response.prototype, prop));
+const nativeResponseClone = Response.prototype.clone;
+const nativeToString = Function.prototype.toString;
 
 const beforeEach = () => {
     window.__debug = () => {
@@ -22,6 +34,19 @@ const afterEach = () => {
     fetch = nativeFetch; // eslint-disable-line no-global-assign
     console.log = nativeConsole;
     Response.prototype.json = nativeResponseJson;
+    window.Worker = nativeWorker;
+    window.SharedWorker = nativeSharedWorker;
+    Worker.prototype.postMessage = nativeWorkerPostMessage;
+    Worker.prototype.terminate = nativeWorkerTerminate;
+    MessagePort.prototype.postMessage = nativePortPostMessage;
+    MessagePort.prototype.close = nativePortClose;
+    URL.createObjectURL = nativeCreateObjectURL;
+    RESPONSE_PROPS.forEach((prop, i) => {
+        Object.defineProperty(Response.prototype, prop, nativeResponseDescriptors[i]);
+    });
+    Response.prototype.clone = nativeResponseClone;
+    // eslint-disable-next-line no-extend-native
+    Function.prototype.toString = nativeToString;
 };
 
 module(name, { beforeEach, afterEach });
@@ -287,4 +312,192 @@ if (!isSupported) {
         assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
         done();
     });
+
+    test('prevent all, fetch returns empty string', async (assert) => {
+        const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+
+        runScriptlet(name, ['*', 'emptyStr']);
+        const done = assert.async();
+
+        const response = await fetch(INPUT_JSON_PATH);
+        const text = await response.text();
+
+        assert.strictEqual(text, '', 'Response is empty string');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('response mirrors the request url and type', async (assert) => {
+        const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+        const CROSS_ORIGIN_URL = 'https://example.org/ads.json';
+
+        runScriptlet(name, ['*']);
+        const done = assert.async();
+
+        const response = await fetch(`${INPUT_JSON_PATH}#hash`);
+        const expectedUrl = new URL(INPUT_JSON_PATH, window.location.href).href;
+        assert.strictEqual(response.url, expectedUrl, 'url is the same as requested one');
+        assert.strictEqual(response.type, 'basic', 'same-origin response type is basic');
+        assert.strictEqual(response.status, 200, 'status is 200');
+        assert.ok(response.ok, 'response is ok');
+        assert.strictEqual(response.clone().url, expectedUrl, 'cloned response has the same url');
+        assert.deepEqual(Object.getOwnPropertyNames(response), [], 'response has no own properties');
+        assert.notOk(Object.prototype.hasOwnProperty.call(response, 'url'), 'url is not own property');
+        const urlGetter = Object.getOwnPropertyDescriptor(Response.prototype, 'url').get;
+        assert.strictEqual(urlGetter.toString(), nativeResponseDescriptors[0].get.toString(), 'getter looks native');
+
+        const corsResponse = await fetch(CROSS_ORIGIN_URL);
+        assert.strictEqual(corsResponse.url, CROSS_ORIGIN_URL, 'cross-origin url is the same as requested one');
+        assert.strictEqual(corsResponse.type, 'cors', 'cross-origin response type is cors');
+
+        const opaqueResponse = await fetch(new Request(CROSS_ORIGIN_URL, { mode: 'no-cors' }));
+        assert.strictEqual(opaqueResponse.type, 'opaque', 'no-cors response type is opaque');
+        assert.strictEqual(opaqueResponse.status, 0, 'opaque response status is 0');
+        assert.notOk(opaqueResponse.ok, 'opaque response is not ok');
+        assert.strictEqual(await opaqueResponse.text(), '', 'opaque response has no body');
+        assert.strictEqual(opaqueResponse.clone().status, 0, 'cloned opaque response status is 0');
+        assert.deepEqual(Object.getOwnPropertyNames(opaqueResponse), [], 'opaque response has no own properties');
+        done();
+    });
+
+    test('response type is specified', async (assert) => {
+        const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+
+        runScriptlet(name, ['*', '', 'opaque']);
+        const done = assert.async();
+
+        const response = await fetch(INPUT_JSON_PATH);
+        assert.strictEqual(response.type, 'opaque', 'response type is opaque');
+        assert.strictEqual(response.status, 0, 'status is 0');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('invalid response type - no prevent', async (assert) => {
+        const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+        const expectedJson = {
+            a1: 1,
+            b2: 'test',
+            c3: 3,
+        };
+
+        runScriptlet(name, ['*', '', 'basic']);
+        const done = assert.async();
+
+        const response = await fetch(INPUT_JSON_PATH);
+        const actualJson = await response.json();
+
+        assert.deepEqual(actualJson, expectedJson, 'response is not mocked');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    });
+
+    test('prevent fetch inside worker', (assert) => {
+        const done = assert.async();
+        const INPUT_JSON_PATH = new URL(`${FETCH_OBJECTS_PATH}/test01.json`, document.baseURI).href;
+
+        runScriptlet('prevent-fetch-in-workers', ['test01.json']);
+
+        const workerCode = `fetch('${INPUT_JSON_PATH}')
+            .then((response) => response.text())
+            .then((text) => postMessage(text));`;
+        const blob = new Blob([workerCode], { type: 'text/javascript' });
+        const worker = new Worker(URL.createObjectURL(blob));
+        assert.ok(worker instanceof Worker, 'worker is instance of Worker');
+        worker.onmessage = (e) => {
+            assert.strictEqual(e.data, '{}', 'response is mocked inside worker');
+            worker.terminate();
+            done();
+        };
+    });
+
+    test('relative url inside worker is resolved against worker script url', (assert) => {
+        const done = assert.async();
+
+        runScriptlet('prevent-fetch-in-workers', ['test01.json']);
+
+        const worker = new Worker(`${FETCH_OBJECTS_PATH}/test-worker-fetch.js`);
+        worker.onerror = (e) => {
+            assert.ok(false, `worker error: ${e.message}`);
+            done();
+        };
+        worker.onmessage = (e) => {
+            assert.strictEqual(e.data, '{}', 'response is mocked inside worker');
+            worker.terminate();
+            done();
+        };
+    });
+
+    test('shared worker is shared when rule is applied inside workers', (assert) => {
+        if (typeof SharedWorker === 'undefined') {
+            assert.ok(true, 'Browser does not support SharedWorker');
+            return;
+        }
+        const done = assert.async();
+        const SHARED_WORKER_PATH = `${FETCH_OBJECTS_PATH}/test-shared-worker.js`;
+
+        runScriptlet('prevent-fetch-in-workers', ['test01.json']);
+
+        const firstWorker = new SharedWorker(SHARED_WORKER_PATH);
+        firstWorker.port.onmessage = () => {
+            const secondWorker = new SharedWorker(SHARED_WORKER_PATH);
+            secondWorker.port.onmessage = (e) => {
+                assert.strictEqual(e.data, 2, 'the same shared worker is connected');
+                done();
+            };
+        };
+    });
+
+    test('blocked blob worker is replaced by native worker', (assert) => {
+        const done = assert.async();
+
+        runScriptlet('prevent-fetch-in-workers', ['test01.json']);
+        // blob worker fails to load the same way as if it is blocked by Content Security Policy
+        URL.createObjectURL = () => `blob:${window.location.origin}/not-existing`;
+
+        const worker = new Worker(`${FETCH_OBJECTS_PATH}/test-worker-fetch.js`);
+        // message is posted before the worker is replaced
+        worker.postMessage('ping');
+        worker.onerror = () => {
+            assert.ok(false, 'error of blocked worker is not passed to the page');
+            done();
+        };
+        worker.onmessage = (e) => {
+            assert.strictEqual(JSON.parse(e.data).b2, 'test', 'native worker is created');
+            worker.terminate();
+            done();
+        };
+    });
+
+    test('cross-origin worker is not wrapped', (assert) => {
+        if (window.location.hostname !== 'localhost') {
+            assert.ok(true, 'Cross-origin url can not be made for the test page');
+            return;
+        }
+        const crossOriginUrl = `${window.location.origin.replace('localhost', '127.0.0.1')}/test-files/test-worker-fetch.js`;
+
+        runScriptlet('prevent-fetch-in-workers', ['test01.json']);
+
+        assert.throws(
+            () => new Worker(crossOriginUrl),
+            'cross-origin worker is refused by the browser',
+        );
+    });
+
+    test('fetch inside worker is not prevented without in-workers alias', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['test01.json']);
+
+        const worker = new Worker(`${FETCH_OBJECTS_PATH}/test-worker-fetch.js`);
+        worker.onerror = (e) => {
+            assert.ok(false, `worker error: ${e.message}`);
+            done();
+        };
+        worker.onmessage = (e) => {
+            assert.strictEqual(JSON.parse(e.data).b2, 'test', 'real response inside worker');
+            worker.terminate();
+            done();
+        };
+    });
 }
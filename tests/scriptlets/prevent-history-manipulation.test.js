@@ -0,0 +1,144 @@
+/* eslint-disable no-underscore-dangle, no-console */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'prevent-history-manipulation';
+
+const nativePushState = window.history.pushState;
+const nativeReplaceState = window.history.replaceState;
+const nativeConsole = console.log;
+const initialUrl = window.location.href;
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    window.history.pushState = nativePushState;
+    window.history.replaceState = nativeReplaceState;
+    window.history.replaceState(null, '', initialUrl);
+    console.log = nativeConsole;
+};
+
+module(name, { beforeEach, afterEach });
+
+const isSupported = typeof Proxy !== 'undefined';
+
+if (!isSupported) {
+    test('unsupported', (assert) => {
+        assert.ok(true, 'Browser does not support it');
+    });
+} else {
+    test('no args - logging', (assert) => {
+        console.log = function log(input) {
+            if (input.indexOf('trace') > -1) {
+                return;
+            }
+            assert.ok(input.indexOf('history.replaceState( state:{"page":1} url:') > -1, 'console.hit input');
+        };
+
+        runScriptlet(name);
+
+        window.history.replaceState({ page: 1 }, '', '#logged');
+        assert.ok(window.location.hash === '#logged', 'call is not prevented');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('prevent matched url', (assert) => {
+        const historyLength = window.history.length;
+
+        runScriptlet(name, ['#ad']);
+
+        window.history.pushState(null, '', '#ad-page');
+        assert.strictEqual(window.location.href, initialUrl, 'location is not changed');
+        assert.strictEqual(window.history.length, historyLength, 'history length is not changed');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+        clearGlobalProps('hit');
+        window.history.replaceState(null, '', '#ad-page');
+        assert.strictEqual(window.location.href, initialUrl, 'location is not changed');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('prevent matched state', (assert) => {
+        runScriptlet(name, ['/"trap":true/']);
+
+        window.history.replaceState({ trap: true }, '', '#trap');
+        assert.strictEqual(window.location.href, initialUrl, 'location is not changed');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('not matched call is not prevented', (assert) => {
+        runScriptlet(name, ['#ad']);
+
+        window.history.replaceState({ page: 2 }, '', '#page');
+        assert.strictEqual(window.location.hash, '#page', 'location is changed');
+        assert.deepEqual(window.history.state, { page: 2 }, 'state is changed');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+    });
+
+    test('calls with no state are not matched by state', (assert) => {
+        runScriptlet(name, ['/null|undefined/']);
+
+        window.history.replaceState(null, '', '#first');
+        assert.strictEqual(window.location.hash, '#first', 'call with null state is not prevented');
+
+        window.history.replaceState(undefined, '', '#second');
+        assert.strictEqual(window.location.hash, '#second', 'call with undefined state is not prevented');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+
+        window.history.replaceState({ value: null }, '', '#third');
+        assert.strictEqual(window.location.hash, '#second', 'call with matched state is prevented');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('not matched stack', (assert) => {
+        runScriptlet(name, ['*', 'not-a-stack-match']);
+
+        window.history.replaceState(null, '', '#page');
+        assert.strictEqual(window.location.hash, '#page', 'location is changed');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+    });
+
+    test('prevent popstate re-push loop', (assert) => {
+        const done = assert.async();
+        runScriptlet(name, ['']);
+
+        window.history.replaceState(null, '', '#page');
+        window.history.pushState(null, '', '#trap');
+        assert.strictEqual(window.location.hash, '#trap', 'push before popstate is not prevented');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+
+        const onPopstate = () => {
+            window.removeEventListener('popstate', onPopstate);
+            assert.strictEqual(window.location.hash, '#page', 'back navigation is made');
+
+            window.history.pushState(null, '', '#trap');
+            assert.strictEqual(window.location.hash, '#page', 'left entry is not pushed back');
+            assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+            clearGlobalProps('hit');
+            const historyLength = window.history.length;
+            window.history.pushState(null, '', '#page');
+            assert.strictEqual(window.history.length, historyLength, 'current entry is not pushed again');
+            assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+            clearGlobalProps('hit');
+            window.history.pushState(null, '', '#other');
+            assert.strictEqual(window.location.hash, '#other', 'push of other entry is not prevented');
+            assert.strictEqual(window.hit, undefined, 'hit should not fire');
+            done();
+        };
+        window.addEventListener('popstate', onPopstate);
+        window.history.back();
+    });
+
+    test('invalid regexp', (assert) => {
+        runScriptlet(name, ['/\\/']);
+
+        assert.strictEqual(window.history.pushState, nativePushState, 'pushState is not patched');
+    });
+}
@@ -0,0 +1,143 @@
+/* eslint-disable no-underscore-dangle, no-console */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'prevent-sendBeacon';
+
+const BEACON_URL = 'https://analytics.example.org/collect?v=2';
+const OTHER_URL = './test-files/test01.json';
+
+const nativeSendBeacon = navigator.sendBeacon;
+const nativeFetch = fetch;
+const nativeConsole = console.log;
+
+const elements = [];
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    navigator.sendBeacon = nativeSendBeacon;
+    fetch = nativeFetch; // eslint-disable-line no-global-assign
+    console.log = nativeConsole;
+    elements.forEach((elem) => elem.remove());
+    elements.length = 0;
+};
+
+module(name, { beforeEach, afterEach });
+
+/**
+ * Appends link with ping attribute
+ * @param {string} ping ping attribute value
+ * @returns {HTMLAnchorElement}
+ */
+const addLink = (ping) => {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.setAttribute('ping', ping);
+    document.body.appendChild(link);
+    elements.push(link);
+    return link;
+};
+
+const isSupported = typeof Proxy !== 'undefined'
+    && typeof navigator.sendBeacon === 'function'
+    && typeof fetch !== 'undefined';
+
+if (!isSupported) {
+    test('unsupported', (assert) => {
+        assert.ok(true, 'Browser does not support it');
+    });
+} else {
+    test('no args - logging', (assert) => {
+        console.log = function log(input) {
+            if (input.indexOf('trace') > -1) {
+                return;
+            }
+            assert.ok(input.indexOf(`sendBeacon( ${OTHER_URL} )`) > -1, 'console.hit input');
+        };
+        const link = addLink(BEACON_URL);
+
+        runScriptlet(name);
+
+        navigator.sendBeacon(OTHER_URL, 'data');
+        assert.strictEqual(link.getAttribute('ping'), BEACON_URL, 'ping is not removed');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('sendBeacon - matched', (assert) => {
+        runScriptlet(name, ['/\\/collect\\?v=\\d/']);
+
+        assert.strictEqual(navigator.sendBeacon(BEACON_URL, 'data'), true, 'prevented call returns true');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('sendBeacon - not matched', (assert) => {
+        let isCalled = false;
+        navigator.sendBeacon = () => {
+            isCalled = true;
+            return false;
+        };
+
+        runScriptlet(name, ['analytics.example.org']);
+
+        assert.strictEqual(navigator.sendBeacon(OTHER_URL, 'data'), false, 'native result is returned');
+        assert.ok(isCalled, 'native sendBeacon is called');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+    });
+
+    test('fetch with keepalive', async (assert) => {
+        runScriptlet(name, ['test01.json']);
+
+        const response = await fetch(OTHER_URL, { method: 'POST', keepalive: true });
+        assert.strictEqual(await response.text(), '', 'empty response');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+        clearGlobalProps('hit');
+        const request = new Request(OTHER_URL, { method: 'POST', keepalive: true });
+        const requestResponse = await fetch(request);
+        assert.strictEqual(await requestResponse.text(), '', 'empty response for Request');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('fetch without keepalive is not affected', async (assert) => {
+        runScriptlet(name, ['test01.json']);
+
+        const response = await fetch(OTHER_URL);
+        const json = await response.json();
+        assert.ok(json, 'real response received');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+    });
+
+    test('ping attributes', (assert) => {
+        const done = assert.async();
+        const matchedLink = addLink(BEACON_URL);
+        const partlyMatchedLink = addLink(`https://example.org/ping ${BEACON_URL}`);
+        const notMatchedLink = addLink('https://example.org/ping');
+
+        runScriptlet(name, ['analytics.example.org']);
+
+        assert.notOk(matchedLink.hasAttribute('ping'), 'ping is removed');
+        assert.strictEqual(partlyMatchedLink.getAttribute('ping'), 'https://example.org/ping', 'matched url is removed');
+        assert.strictEqual(notMatchedLink.getAttribute('ping'), 'https://example.org/ping', 'ping is kept');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+        const addedLink = addLink(BEACON_URL);
+        notMatchedLink.setAttribute('ping', BEACON_URL);
+        setTimeout(() => {
+            assert.notOk(addedLink.hasAttribute('ping'), 'ping is removed from added link');
+            assert.notOk(notMatchedLink.hasAttribute('ping'), 'ping is removed after attribute change');
+            done();
+        }, 50);
+    });
+
+    test('invalid regexp', (assert) => {
+        runScriptlet(name, ['/\\/']);
+
+        assert.strictEqual(navigator.sendBeacon, nativeSendBeacon, 'sendBeacon is not patched');
+    });
+}
@@ -368,3 +368,65 @@ test('prevent-setInterval: single square bracket in matchCallback', (assert) =>
     const testInterval = setInterval(callback, 10);
     testIntervals.push(testInterval);
 });
+
+test('prevent-setInterval: stack matching', (assert) => {
+    const done = assert.async();
+    window.one = 'value';
+    window.two = 'value';
+
+    setTimeout(() => {
+        assert.equal(window.one, 'value', 'property should not be changed');
+        assert.equal(window.two, 'new value', 'property should be changed by not matched call');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        done();
+    }, 100);
+
+    runScriptlet(name, ['', '', 'scheduleBaitCheck']);
+
+    // bound functions are stringified as native code so they can only be matched by stack
+    const setValue = function setValue(value) {
+        this.one = value;
+    }.bind(window);
+    function scheduleBaitCheck() {
+        return setInterval(setValue, 10, 'new value');
+    }
+    testIntervals.push(scheduleBaitCheck());
+
+    const anotherInterval = () => { window.two = 'new value'; };
+    testIntervals.push(setInterval(anotherInterval, 10));
+});
+
+test('prevent-setInterval: stack does not match frames of scriptlet itself', (assert) => {
+    const done = assert.async();
+    window.one = 'value';
+
+    setTimeout(() => {
+        assert.equal(window.one, 'new value', 'property should be changed');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    }, 100);
+
+    runScriptlet(name, ['', '', '/handlerWrapper|isCallMatched/']);
+
+    testIntervals.push(setInterval(() => { window.one = 'new value'; }, 10));
+});
+
+test('prevent-setInterval: extra args matching', (assert) => {
+    const done = assert.async();
+    window.one = 'value';
+    window.two = 'value';
+
+    setTimeout(() => {
+        assert.equal(window.one, 'value', 'property should not be changed');
+        assert.equal(window.two, 'content', 'property should be changed by not matched call');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        done();
+    }, 100);
+
+    runScriptlet(name, ['', '10', '', 'adblock']);
+
+    const setOne = (value) => { window.one = value; };
+    const setTwo = (value) => { window.two = value; };
+    testIntervals.push(setInterval(setOne, 10, 'adblock'));
+    testIntervals.push(setInterval(setTwo, 10, 'content'));
+});
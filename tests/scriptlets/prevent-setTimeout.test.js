@@ -5,6 +5,9 @@ const { test, module } = QUnit;
 const name = 'prevent-setTimeout';
 
 const nativeSetTimeout = window.setTimeout;
+const nativeQueueMicrotask = window.queueMicrotask;
+const nativeMessageChannel = window.MessageChannel;
+const nativePostMessage = window.MessagePort.prototype.postMessage;
 const nativeConsole = console.log; // eslint-disable-line no-console
 
 const testTimeouts = [];
@@ -17,6 +20,9 @@ const beforeEach = () => {
 
 const afterEach = () => {
     window.setTimeout = nativeSetTimeout;
+    window.queueMicrotask = nativeQueueMicrotask;
+    window.MessageChannel = nativeMessageChannel;
+    window.MessagePort.prototype.postMessage = nativePostMessage;
     testTimeouts.forEach((t) => (clearTimeout(t)));
     clearGlobalProps('hit', '__debug', 'one', 'two', 'three', 'four');
     console.log = nativeConsole; // eslint-disable-line no-console
@@ -369,3 +375,157 @@ test('prevent-setTimeout: single square bracket in matchCallback', (assert) => {
     const timeoutTest = setTimeout(callback, 10);
     testTimeouts.push(timeoutTest);
 });
+
+test('prevent-setTimeout: stack matching', (assert) => {
+    const done = assert.async();
+    window.one = 'value';
+    window.two = 'value';
+
+    nativeSetTimeout(() => {
+        assert.equal(window.one, 'value', 'property should not be changed');
+        assert.equal(window.two, 'new value', 'property should be changed by not matched call');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        done();
+    }, 100);
+
+    runScriptlet(name, ['', '', 'scheduleBaitCheck']);
+
+    // bound functions are stringified as native code so they can only be matched by stack
+    const setValue = function setValue(value) {
+        this.one = value;
+    }.bind(window);
+    function scheduleBaitCheck() {
+        return setTimeout(setValue, 10, 'new value');
+    }
+    testTimeouts.push(scheduleBaitCheck());
+
+    const anotherTimeout = () => { window.two = 'new value'; };
+    testTimeouts.push(setTimeout(anotherTimeout, 10));
+});
+
+test('prevent-setTimeout: stack does not match frames of scriptlet itself', (assert) => {
+    const done = assert.async();
+    window.one = 'value';
+
+    nativeSetTimeout(() => {
+        assert.equal(window.one, 'new value', 'property should be changed');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    }, 50);
+
+    runScriptlet(name, ['', '', '/handlerWrapper|isCallMatched/']);
+
+    testTimeouts.push(setTimeout(() => { window.one = 'new value'; }, 10));
+});
+
+test('prevent-setTimeout: extra args matching', (assert) => {
+    const done = assert.async();
+    window.one = 'value';
+    window.two = 'value';
+
+    nativeSetTimeout(() => {
+        assert.equal(window.one, 'value', 'property should not be changed');
+        assert.equal(window.two, 'content', 'property should be changed by not matched call');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        done();
+    }, 100);
+
+    runScriptlet(name, ['', '', '', 'adblock']);
+
+    const setOne = (value) => { window.one = value; };
+    const setTwo = (value) => { window.two = value; };
+    testTimeouts.push(setTimeout(setOne, 10, 'adblock'));
+    testTimeouts.push(setTimeout(setTwo, 10, 'content'));
+});
+
+test('prevent-setTimeout: !extra args matching', (assert) => {
+    const done = assert.async();
+    window.one = 'value';
+    window.two = 'value';
+
+    nativeSetTimeout(() => {
+        assert.equal(window.one, 'adblock', 'property should be changed by not matched call');
+        assert.equal(window.two, 'value', 'property should not be changed');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        done();
+    }, 100);
+
+    runScriptlet(name, ['', '', '', '!adblock']);
+
+    const setOne = (value) => { window.one = value; };
+    const setTwo = (value) => { window.two = value; };
+    testTimeouts.push(setTimeout(setOne, 10, 'adblock'));
+    testTimeouts.push(setTimeout(setTwo, 10, { type: 'content' }));
+});
+
+test('prevent-setTimeout: queueMicrotask', (assert) => {
+    const done = assert.async();
+    window.one = 'value';
+    window.two = 'value';
+
+    nativeSetTimeout(() => {
+        assert.equal(window.one, 'value', 'property should not be changed');
+        assert.equal(window.two, 'new value', 'property should be changed by not matched call');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        done();
+    }, 50);
+
+    runScriptlet(name, ['one', '0']);
+
+    queueMicrotask(() => { window.one = 'new value'; });
+    queueMicrotask(() => { window.two = 'new value'; });
+});
+
+test('prevent-setTimeout: schedulers are not affected without zero delay matching', (assert) => {
+    const done = assert.async();
+    window.one = 'value';
+    window.two = 'value';
+    window.three = 'value';
+    window.four = 'value';
+
+    nativeSetTimeout(() => {
+        assert.equal(window.one, 'new value', 'call without delay matching is not prevented');
+        assert.equal(window.two, 'new value', 'call with other delay matching is not prevented');
+        assert.equal(window.three, 'new value', 'call with inverted delay matching is not prevented');
+        assert.equal(window.four, 'new value', 'call with zero delay matching only is not prevented');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    }, 50);
+
+    runScriptlet(name, ['one']);
+    runScriptlet(name, ['two', '100']);
+    runScriptlet(name, ['three', '!0']);
+    runScriptlet(name, ['', '0']);
+
+    queueMicrotask(() => { window.one = 'new value'; });
+    queueMicrotask(() => { window.two = 'new value'; });
+
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => { window.three = 'new value'; };
+    channel.port2.postMessage(null);
+
+    queueMicrotask(() => { window.four = 'new value'; });
+});
+
+test('prevent-setTimeout: MessageChannel', (assert) => {
+    const done = assert.async();
+    window.one = 'value';
+    window.two = 'value';
+
+    nativeSetTimeout(() => {
+        assert.equal(window.one, 'value', 'property should not be changed');
+        assert.equal(window.two, 'new value', 'property should be changed by not matched channel');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        done();
+    }, 100);
+
+    runScriptlet(name, ['one', '0']);
+
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => { window.one = 'new value'; };
+    channel.port2.postMessage(null);
+
+    const anotherChannel = new MessageChannel();
+    anotherChannel.port1.onmessage = () => { window.two = 'new value'; };
+    anotherChannel.port2.postMessage(null);
+});
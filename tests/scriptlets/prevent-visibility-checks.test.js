@@ -0,0 +1,87 @@
+/* eslint-disable no-underscore-dangle */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'prevent-visibility-checks';
+
+const PROPS = ['hidden', 'webkitHidden', 'visibilityState', 'webkitVisibilityState', 'hasFocus'];
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    PROPS.forEach((prop) => {
+        delete document[prop];
+    });
+    delete window.addEventListener;
+    delete document.addEventListener;
+};
+
+module(name, { beforeEach, afterEach });
+
+test('visibility props', (assert) => {
+    runScriptlet(name);
+
+    assert.strictEqual(document.hidden, false, 'document.hidden is false');
+    assert.strictEqual(document.visibilityState, 'visible', 'document.visibilityState is visible');
+    assert.strictEqual(document.hasFocus(), true, 'document.hasFocus() returns true');
+});
+
+test('listeners are not added', (assert) => {
+    runScriptlet(name);
+
+    let isCalled = false;
+    const listener = () => {
+        isCalled = true;
+    };
+    window.addEventListener('blur', listener);
+    document.addEventListener('visibilitychange', listener);
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+    window.dispatchEvent(new Event('blur'));
+    document.dispatchEvent(new Event('visibilitychange', { bubbles: true }));
+    assert.notOk(isCalled, 'listeners are not called');
+});
+
+test('events are swallowed', (assert) => {
+    let isCalled = false;
+    const listener = () => {
+        isCalled = true;
+    };
+
+    runScriptlet(name);
+
+    EventTarget.prototype.addEventListener.call(window, 'blur', listener);
+    document.onvisibilitychange = listener;
+    window.dispatchEvent(new Event('blur'));
+    document.dispatchEvent(new Event('visibilitychange', { bubbles: true }));
+    assert.notOk(isCalled, 'listeners are not called');
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+
+    window.removeEventListener('blur', listener);
+    document.onvisibilitychange = null;
+});
+
+test('other events are not affected', (assert) => {
+    runScriptlet(name);
+
+    const events = [];
+    const input = document.createElement('input');
+    document.body.appendChild(input);
+    const listener = (e) => {
+        events.push(e.type);
+    };
+    window.addEventListener('focus', listener);
+    input.addEventListener('blur', listener);
+    window.dispatchEvent(new Event('focus'));
+    input.dispatchEvent(new Event('blur'));
+    assert.deepEqual(events, ['focus', 'blur'], 'listeners are called');
+    assert.strictEqual(window.hit, undefined, 'hit should not fire');
+
+    window.removeEventListener('focus', listener);
+    input.remove();
+});
@@ -0,0 +1,138 @@
+/* eslint-disable no-underscore-dangle, no-console */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'prevent-websocket';
+
+const SOCKET_URL = 'wss://ads.example.org/socket';
+const OTHER_SOCKET_URL = 'ws://localhost:1/socket';
+
+const nativeWebSocket = window.WebSocket;
+const nativeConsole = console.log;
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    window.WebSocket = nativeWebSocket;
+    console.log = nativeConsole;
+};
+
+module(name, { beforeEach, afterEach });
+
+const isSupported = typeof WebSocket !== 'undefined'
+    && typeof Proxy !== 'undefined'
+    && typeof EventTarget !== 'undefined';
+
+if (!isSupported) {
+    test('unsupported', (assert) => {
+        assert.ok(true, 'Browser does not support it');
+    });
+} else {
+    test('no args - logging', (assert) => {
+        console.log = function log(input) {
+            if (input.indexOf('trace') > -1) {
+                return;
+            }
+            assert.ok(input.indexOf(`WebSocket( ${OTHER_SOCKET_URL} )`) > -1, 'console.hit input');
+        };
+
+        runScriptlet(name);
+
+        const socket = new WebSocket(OTHER_SOCKET_URL);
+        assert.notOk(Object.prototype.hasOwnProperty.call(socket, 'readyState'), 'socket is not mocked');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        socket.close();
+    });
+
+    test('matched - fake socket is opened', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['ads.example.org']);
+
+        const events = [];
+        const socket = new WebSocket(SOCKET_URL, ['chat', 'superchat']);
+        assert.ok(socket instanceof WebSocket, 'fake socket is instance of WebSocket');
+        assert.ok(socket instanceof nativeWebSocket, 'fake socket is instance of native WebSocket');
+        assert.strictEqual(socket.readyState, WebSocket.CONNECTING, 'socket is connecting');
+        assert.strictEqual(socket.url, SOCKET_URL, 'url is set');
+        assert.strictEqual(socket.protocol, 'chat', 'protocol is set');
+        assert.throws(() => socket.send('data'), 'send throws while connecting');
+
+        socket.addEventListener('open', (e) => {
+            events.push(e.type);
+        });
+        socket.onopen = (e) => {
+            events.push(`on${e.type}`);
+            assert.strictEqual(e.target, socket, 'event target is the socket');
+            assert.strictEqual(socket.readyState, WebSocket.OPEN, 'socket is open');
+            socket.send('data');
+            assert.strictEqual(socket.bufferedAmount, 0, 'data is dropped');
+            assert.deepEqual(events, ['open', 'onopen'], 'open event is dispatched');
+            assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+            done();
+        };
+    });
+
+    test('matched - fake socket is closed', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['*']);
+
+        const socket = new WebSocket(SOCKET_URL);
+        socket.onopen = () => {
+            socket.close(4000, 'bye');
+            assert.strictEqual(socket.readyState, WebSocket.CLOSING, 'socket is closing');
+        };
+        socket.addEventListener('close', (e) => {
+            assert.strictEqual(socket.readyState, WebSocket.CLOSED, 'socket is closed');
+            assert.strictEqual(e.code, 4000, 'close code');
+            assert.strictEqual(e.reason, 'bye', 'close reason');
+            assert.ok(e.wasClean, 'closed cleanly');
+            done();
+        });
+    });
+
+    test('matched - closed while connecting', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['/ads\\.example\\.org/']);
+
+        const events = [];
+        const socket = new WebSocket(SOCKET_URL);
+        socket.onopen = () => {
+            events.push('open');
+        };
+        socket.onerror = () => {
+            events.push('error');
+        };
+        socket.onclose = (e) => {
+            events.push('close');
+            assert.strictEqual(e.code, 1006, 'close code');
+            assert.notOk(e.wasClean, 'not closed cleanly');
+            assert.deepEqual(events, ['error', 'close'], 'socket is not opened');
+            done();
+        };
+        socket.close();
+    });
+
+    test('not matched - native socket', (assert) => {
+        runScriptlet(name, ['ads.example.org']);
+
+        const socket = new WebSocket(OTHER_SOCKET_URL);
+        assert.ok(socket instanceof WebSocket, 'socket is instance of WebSocket');
+        assert.notOk(Object.prototype.hasOwnProperty.call(socket, 'readyState'), 'socket is not mocked');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        socket.close();
+    });
+
+    test('invalid regexp', (assert) => {
+        runScriptlet(name, ['/\\/']);
+
+        assert.strictEqual(window.WebSocket, nativeWebSocket, 'WebSocket is not patched');
+    });
+}
@@ -8,6 +8,7 @@ const name = 'prevent-xhr';
 const FETCH_OBJECTS_PATH = './test-files';
 const nativeXhrOpen = XMLHttpRequest.prototype.open;
 const nativeXhrSend = XMLHttpRequest.prototype.send;
+const nativeXhrAbort = XMLHttpRequest.prototype.abort;
 const nativeConsole = console.log;
 
 const beforeEach = () => {
@@ -20,6 +21,7 @@ const afterEach = () => {
     clearGlobalProps('hit', '__debug');
     XMLHttpRequest.prototype.open = nativeXhrOpen;
     XMLHttpRequest.prototype.send = nativeXhrSend;
+    XMLHttpRequest.prototype.abort = nativeXhrAbort;
     console.log = nativeConsole;
 };
 
@@ -588,6 +590,181 @@ if (isSupported) {
         };
         xhr.send();
     });
+
+    test('Args, prevent matched - readyState lifecycle and events', async (assert) => {
+        const METHOD = 'GET';
+        const URL = `${FETCH_OBJECTS_PATH}/test01.json`;
+        const MATCH_DATA = [`test01.json method:${METHOD}`, 'length:10-20'];
+
+        runScriptlet(name, MATCH_DATA);
+
+        const done = assert.async();
+
+        const readyStates = [];
+        const events = [];
+        const xhr = new XMLHttpRequest();
+        xhr.onreadystatechange = () => {
+            readyStates.push(xhr.readyState);
+        };
+        ['loadstart', 'progress', 'load', 'loadend'].forEach((eventName) => {
+            xhr.addEventListener(eventName, (e) => {
+                events.push(e.type);
+            });
+        });
+        xhr.addEventListener('progress', (e) => {
+            assert.ok(e.lengthComputable, 'progress event length is computable');
+            assert.strictEqual(e.loaded, xhr.responseText.length, 'progress event loaded length');
+        });
+        xhr.open(METHOD, URL);
+        xhr.send();
+        assert.strictEqual(xhr.status, 0, 'status is not set before headers are received');
+        assert.strictEqual(xhr.getAllResponseHeaders(), '', 'no headers before they are received');
+        xhr.onloadend = () => {
+            assert.deepEqual(readyStates, [1, 2, 3, 4], 'readyState goes through all states');
+            assert.deepEqual(events, ['loadstart', 'progress', 'load', 'loadend'], 'events are dispatched in order');
+            assert.strictEqual(xhr.status, 200, 'status mocked');
+            assert.strictEqual(xhr.statusText, 'OK', 'statusText mocked');
+            assert.ok(xhr.responseText.length >= 10, 'Response text randomized');
+            assert.strictEqual(xhr.response, xhr.responseText, 'Response is the same as response text');
+            assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+            done();
+        };
+    });
+
+    test('Args, prevent matched - responseURL and headers', async (assert) => {
+        const METHOD = 'GET';
+        const URL = `${FETCH_OBJECTS_PATH}/test01.json#hash`;
+        const MATCH_DATA = [`test01.json method:${METHOD}`];
+
+        runScriptlet(name, MATCH_DATA);
+
+        const done = assert.async();
+
+        const xhr = new XMLHttpRequest();
+        xhr.open(METHOD, URL);
+        xhr.onload = () => {
+            const expectedUrl = new window.URL(URL.replace('#hash', ''), document.baseURI);
+            assert.strictEqual(xhr.responseURL, expectedUrl.href, 'responseURL is absolute without hash');
+            assert.ok(/^content-type: text\/plain/m.test(xhr.getAllResponseHeaders()), 'headers mocked');
+            assert.strictEqual(xhr.getResponseHeader('Content-Length'), '0', 'header mocked');
+            assert.strictEqual(xhr.getResponseHeader('x-custom'), null, 'missing header is null');
+            assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+            done();
+        };
+        xhr.send();
+    });
+
+    test('Args, prevent matched - json', async (assert) => {
+        const METHOD = 'GET';
+        const URL = `${FETCH_OBJECTS_PATH}/test01.json`;
+        const MATCH_DATA = [`test01.json method:${METHOD}`];
+
+        runScriptlet(name, MATCH_DATA);
+
+        const done = assert.async();
+
+        const xhr = new XMLHttpRequest();
+        xhr.open(METHOD, URL);
+        xhr.responseType = 'json';
+        xhr.onload = () => {
+            assert.strictEqual(xhr.readyState, 4, 'Response done');
+            assert.strictEqual(xhr.response, null, 'Response data mocked');
+            assert.strictEqual(xhr.getResponseHeader('content-type'), 'application/json', 'header mocked');
+            assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+            done();
+        };
+        xhr.send();
+    });
+
+    test('Args, prevent matched - reused xhr object', async (assert) => {
+        const METHOD = 'GET';
+        const URL = `${FETCH_OBJECTS_PATH}/test01.json`;
+        const MATCH_DATA = ['test01.json', 'true'];
+
+        runScriptlet(name, MATCH_DATA);
+
+        const done = assert.async();
+
+        const xhr = new XMLHttpRequest();
+        xhr.open(METHOD, URL);
+        xhr.onload = () => {
+            assert.ok(xhr.responseText.length > 0, 'Response text randomized');
+            xhr.onload = () => {
+                assert.strictEqual(xhr.readyState, 4, 'Response done');
+                assert.strictEqual(xhr.status, 200, 'status is native');
+                assert.strictEqual(JSON.parse(xhr.responseText).ad, 1, 'Real response received');
+                done();
+            };
+            xhr.open(METHOD, `${FETCH_OBJECTS_PATH}/test02.json`);
+            assert.strictEqual(xhr.readyState, 1, 'readyState is reset');
+            xhr.send();
+        };
+        xhr.send();
+    });
+
+    test('Args, prevent matched - abort', async (assert) => {
+        const METHOD = 'GET';
+        const URL = `${FETCH_OBJECTS_PATH}/test01.json`;
+        const MATCH_DATA = [`test01.json method:${METHOD}`, 'length:10-20'];
+
+        runScriptlet(name, MATCH_DATA);
+
+        const done = assert.async();
+
+        const readyStates = [];
+        const events = [];
+        const xhr = new XMLHttpRequest();
+        xhr.onreadystatechange = () => {
+            readyStates.push(xhr.readyState);
+        };
+        ['loadstart', 'progress', 'load', 'abort', 'loadend'].forEach((eventName) => {
+            xhr.addEventListener(eventName, (e) => {
+                events.push(e.type);
+            });
+        });
+        xhr.open(METHOD, URL);
+        xhr.send();
+        xhr.abort();
+
+        assert.deepEqual(readyStates, [1, 4], 'readyState is DONE on abort');
+        assert.deepEqual(events, ['loadstart', 'abort', 'loadend'], 'abort events are dispatched');
+        assert.strictEqual(xhr.readyState, 0, 'readyState is reset after abort');
+        assert.strictEqual(xhr.status, 0, 'status is not set');
+        assert.strictEqual(xhr.responseText, '', 'no response text');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+
+        // mocked lifecycle should not be continued after abort
+        setTimeout(() => {
+            assert.deepEqual(readyStates, [1, 4], 'no more readyState changes');
+            assert.deepEqual(events, ['loadstart', 'abort', 'loadend'], 'no more events');
+            done();
+        }, 50);
+    });
+
+    test('Args, prevent matched - abort after the request is done', async (assert) => {
+        const METHOD = 'GET';
+        const URL = `${FETCH_OBJECTS_PATH}/test01.json`;
+        const MATCH_DATA = [`test01.json method:${METHOD}`, 'length:10-20'];
+
+        runScriptlet(name, MATCH_DATA);
+
+        const done = assert.async();
+
+        const xhr = new XMLHttpRequest();
+        xhr.open(METHOD, URL);
+        xhr.onloadend = () => {
+            const events = [];
+            xhr.onabort = () => events.push('abort');
+            xhr.onreadystatechange = () => events.push('readystatechange');
+            xhr.onloadend = () => events.push('loadend');
+            xhr.abort();
+            assert.deepEqual(events, [], 'no events are dispatched');
+            assert.strictEqual(xhr.readyState, 0, 'readyState is reset');
+            assert.strictEqual(xhr.status, 0, 'status is reset');
+            done();
+        };
+        xhr.send();
+    });
 } else {
     test('unsupported', (assert) => {
         assert.ok(true, 'Browser does not support it');
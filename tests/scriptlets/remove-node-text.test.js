@@ -0,0 +1,124 @@
+/* eslint-disable no-underscore-dangle */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'remove-node-text';
+
+const elements = [];
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    elements.forEach((elem) => elem.remove());
+    elements.length = 0;
+};
+
+module(name, { beforeEach, afterEach });
+
+/**
+ * Appends element with text content to the body
+ * @param {string} tagName
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+const addElement = (tagName, text) => {
+    const elem = document.createElement(tagName);
+    elem.textContent = text;
+    document.body.appendChild(elem);
+    elements.push(elem);
+    return elem;
+};
+
+test('Checking if alias name works', (assert) => {
+    const adgParams = {
+        name,
+        engine: 'test',
+        verbose: true,
+    };
+    const uboParams = {
+        name: 'ubo-rmnt.js',
+        engine: 'test',
+        verbose: true,
+    };
+
+    const codeByAdgParams = window.scriptlets.invoke(adgParams);
+    const codeByUboParams = window.scriptlets.invoke(uboParams);
+
+    assert.strictEqual(codeByAdgParams, codeByUboParams, 'ubo name - ok');
+});
+
+test('existing nodes - string args', (assert) => {
+    const target = addElement('div', 'Please disable adblock');
+    const other = addElement('p', 'Please disable adblock');
+
+    runScriptlet(name, ['div', 'adblock']);
+
+    assert.strictEqual(target.textContent, '', 'text node of matched parent is removed');
+    assert.strictEqual(other.textContent, 'Please disable adblock', 'text node of other parent is kept');
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('existing nodes - regexp args', (assert) => {
+    const first = addElement('div', 'Please disable adblock');
+    const second = addElement('p', 'Please disable ad block');
+    const other = addElement('span', 'Please disable adblock');
+
+    runScriptlet(name, ['/^(div|p)$/', '/disable ad ?block/']);
+
+    assert.strictEqual(first.textContent, '', 'text node is removed');
+    assert.strictEqual(second.textContent, '', 'text node is removed');
+    assert.strictEqual(other.textContent, 'Please disable adblock', 'text node is kept');
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('#text matches any text node', (assert) => {
+    const target = addElement('span', 'Advertisement');
+    const other = addElement('span', 'Content');
+
+    runScriptlet(name, ['#text', 'Advertisement']);
+
+    assert.strictEqual(target.textContent, '', 'text node is removed');
+    assert.strictEqual(other.textContent, 'Content', 'text node is kept');
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('added nodes', (assert) => {
+    const done = assert.async();
+
+    runScriptlet(name, ['div', 'adblock']);
+    assert.strictEqual(window.hit, undefined, 'hit should not fire');
+
+    const target = addElement('div', 'Please disable adblock');
+    const other = addElement('div', 'Content');
+
+    setTimeout(() => {
+        assert.strictEqual(target.textContent, '', 'text node is removed');
+        assert.strictEqual(other.textContent, 'Content', 'text node is kept');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        done();
+    }, 1);
+});
+
+test('script content', (assert) => {
+    const done = assert.async();
+
+    runScriptlet(name, ['script', 'adblockDetected']);
+
+    // not executable type is used to check the removal of script content only
+    const script = document.createElement('script');
+    script.type = 'text/template';
+    script.textContent = 'if (adblockDetected) { showWarning(); }';
+    document.body.appendChild(script);
+    elements.push(script);
+
+    setTimeout(() => {
+        assert.strictEqual(script.textContent, '', 'script content is removed');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        done();
+    }, 1);
+});
@@ -5,9 +5,19 @@ const { test, module } = QUnit;
 const name = 'set-constant';
 
 const nativeConsole = console.log;
+const nativeDefineProperty = Object.defineProperty;
+const nativeDefineProperties = Object.defineProperties;
+const nativeReflectDefineProperty = Reflect.defineProperty;
+const nativeToString = Function.prototype.toString;
 
 const afterEach = () => {
     console.log = nativeConsole;
+    // rules with incomplete chains keep the define property methods patched
+    Object.defineProperty = nativeDefineProperty;
+    Object.defineProperties = nativeDefineProperties;
+    Reflect.defineProperty = nativeReflectDefineProperty;
+    // eslint-disable-next-line no-extend-native
+    Function.prototype.toString = nativeToString;
     clearGlobalProps('hit', '__debug', 'counter');
 };
 
@@ -166,6 +176,61 @@ if (!isSupported) {
         assert.strictEqual(window[illegalNumberProp], undefined);
     });
 
+    test('throwFunc', (assert) => {
+        const throwFuncProp = 'throwFuncProp';
+        runScriptletFromTag(throwFuncProp, 'throwFunc');
+        assert.throws(() => window[throwFuncProp](), 'function throws');
+        clearGlobalProps(throwFuncProp);
+    });
+
+    test('$remove$ removes property', (assert) => {
+        window.removeProp = 1;
+        runScriptletFromTag('removeProp', '$remove$');
+        assert.strictEqual(window.removeProp, undefined, 'defined property is removed');
+        assert.notOk('removeProp' in window, 'property does not exist');
+        assert.notOk(Object.prototype.hasOwnProperty.call(window, 'removeProp'), 'own property does not exist');
+
+        window.chained = { property: { aaa: 1, bbb: 2 } };
+        runScriptletFromTag('chained.property.aaa', '$remove$');
+        assert.strictEqual(window.chained.property.aaa, undefined, 'chained property is removed');
+        assert.notOk('aaa' in window.chained.property, 'chained property does not exist');
+        assert.notOk(
+            Object.prototype.hasOwnProperty.call(window.chained.property, 'aaa'),
+            'chained own property does not exist',
+        );
+        assert.strictEqual(window.chained.property.bbb, 2, 'other property is not affected');
+        clearGlobalProps('chained', 'removeProp');
+    });
+
+    test('$remove$ keeps property removed after assignment via chain', (assert) => {
+        window.chainedKept = { property: { aaa: 1 } };
+        runScriptletFromTag('chainedKept.property.aaa', '$remove$');
+        window.chainedKept.property.aaa = 2;
+        assert.strictEqual(window.chainedKept.property.aaa, undefined, 'assigned property is removed');
+        assert.notOk('aaa' in window.chainedKept.property, 'assigned property does not exist');
+
+        runScriptletFromTag('notDefinedProp', '$remove$');
+        assert.notOk('notDefinedProp' in window, 'not defined property is not created');
+        clearGlobalProps('chainedKept', 'notDefinedProp');
+    });
+
+    test('$remove$ removes property from the chain assigned later', (assert) => {
+        runScriptletFromTag('chainedLater.property.aaa', '$remove$');
+        addSetPropTag('chainedLater', '{ property: { aaa: 1, bbb: 2 } }');
+        assert.strictEqual(window.chainedLater.property.aaa, undefined, 'property is removed');
+        assert.strictEqual(window.chainedLater.property.bbb, 2, 'other property is not affected');
+
+        assert.notOk('aaa' in window.chainedLater.property, 'property does not exist');
+
+        window.chainedLater.property.aaa = 3;
+        assert.strictEqual(window.chainedLater.property.aaa, undefined, 'property is kept removed');
+        assert.notOk(
+            Object.prototype.hasOwnProperty.call(window.chainedLater.property, 'aaa'),
+            'own property does not exist',
+        );
+        clearGlobalProps('chainedLater');
+    });
+
     test('sets values to the chained properties', (assert) => {
         window.chained = { property: {} };
         runScriptletFromTag('chained.property.aaa', 'true');
@@ -331,6 +396,89 @@ if (!isSupported) {
         clearGlobalProps('testProp');
     });
 
+    test('set value to the prototype of class assigned later', (assert) => {
+        runScriptletFromTag('Player.prototype.showAds', 'falseFunc');
+        window.Player = class {
+            constructor() {
+                this.isReady = true;
+            }
+
+            showAds() {
+                return this.isReady;
+            }
+        };
+        const player = new window.Player();
+        assert.strictEqual(player.showAds(), false, 'prototype method is replaced');
+        clearGlobalProps('Player');
+    });
+
+    test('set value to the property defined by Object.defineProperty()', (assert) => {
+        runScriptletFromTag('Ads.prototype.isEnabled', 'falseFunc');
+        Object.defineProperty(window, 'Ads', {
+            configurable: true,
+            writable: true,
+            value: function Ads() {},
+        });
+        Object.defineProperty(window.Ads.prototype, 'isEnabled', {
+            configurable: true,
+            writable: true,
+            value: () => true,
+        });
+        assert.strictEqual(window.Ads.prototype.isEnabled(), false, 'prototype method is not redefined');
+        assert.throws(
+            () => Object.defineProperty(window.Ads.prototype, 'isEnabled', { get: () => () => true }),
+            TypeError,
+            'accessor of the end property is not swallowed',
+        );
+        clearGlobalProps('Ads');
+    });
+
+    test('patched define property methods look native', (assert) => {
+        runScriptletFromTag('notDefinedYet.enabled', 'false');
+        assert.ok(Object.defineProperty.toString().includes('[native code]'), 'Object.defineProperty is masked');
+        assert.ok(Object.defineProperties.toString().includes('[native code]'), 'Object.defineProperties is masked');
+        assert.ok(Reflect.defineProperty.toString().includes('[native code]'), 'Reflect.defineProperty is masked');
+    });
+
+    test('define property methods are patched only while chain is not complete', (assert) => {
+        runScriptletFromTag('pendingChain.enabled', 'false');
+        assert.notStrictEqual(Object.defineProperty, nativeDefineProperty, 'method is patched');
+        const hasGuardSymbol = Object.getOwnPropertySymbols(window).some((symbol) => {
+            return String(symbol).indexOf('scriptlets') > -1;
+        });
+        assert.notOk(hasGuardSymbol, 'guard is not exposed');
+
+        window.pendingChain = { enabled: true };
+        assert.strictEqual(window.pendingChain.enabled, false, 'value is set');
+        assert.strictEqual(Object.defineProperty, nativeDefineProperty, 'Object.defineProperty is restored');
+        assert.strictEqual(Object.defineProperties, nativeDefineProperties, 'Object.defineProperties is restored');
+        assert.strictEqual(Reflect.defineProperty, nativeReflectDefineProperty, 'Reflect.defineProperty is restored');
+        assert.strictEqual(Function.prototype.toString, nativeToString, 'toString is restored');
+        clearGlobalProps('pendingChain');
+    });
+
+    test('set value to the property defined by Object.defineProperties()', (assert) => {
+        runScriptletFromTag('adsConfig.enabled', 'false');
+        window.adsConfig = {};
+        Object.defineProperties(window.adsConfig, {
+            enabled: { value: true },
+            other: { value: 1 },
+        });
+        assert.strictEqual(window.adsConfig.enabled, false, 'trapped property is not redefined');
+        assert.strictEqual(window.adsConfig.other, 1, 'other property is defined');
+        clearGlobalProps('adsConfig');
+    });
+
+    test('set value to the chain returned by getter defined later', (assert) => {
+        runScriptletFromTag('getterChain.ads.enabled', 'false');
+        Object.defineProperty(window, 'getterChain', {
+            configurable: true,
+            get: () => ({ ads: { enabled: true } }),
+        });
+        assert.strictEqual(window.getterChain.ads.enabled, false, 'value is set');
+        clearGlobalProps('getterChain');
+    });
+
     test('set value after undef object been created by new Function()', (assert) => {
         function InitFunc() {
             this.testFunc = () => 5;
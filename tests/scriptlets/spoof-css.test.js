@@ -0,0 +1,125 @@
+/* eslint-disable no-underscore-dangle */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'spoof-css';
+
+const nativeGetComputedStyle = window.getComputedStyle;
+const nativeGetPropertyValue = CSSStyleDeclaration.prototype.getPropertyValue;
+const nativeGetBoundingClientRect = Element.prototype.getBoundingClientRect;
+const nativeFunctionToString = Function.prototype.toString;
+
+const GEOMETRY_GETTERS = [
+    { owner: HTMLElement.prototype, prop: 'offsetWidth' },
+    { owner: HTMLElement.prototype, prop: 'offsetHeight' },
+    { owner: HTMLElement.prototype, prop: 'offsetTop' },
+    { owner: HTMLElement.prototype, prop: 'offsetLeft' },
+    { owner: Element.prototype, prop: 'clientWidth' },
+    { owner: Element.prototype, prop: 'clientHeight' },
+];
+const nativeGeometryDescriptors = GEOMETRY_GETTERS.map(({ owner, prop }) => {
+    return Object.getOwnPropertyDescriptor(owner, prop);
+});
+
+let elem;
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+    elem = document.createElement('div');
+    elem.className = 'ad-banner';
+    elem.style.display = 'none';
+    document.body.appendChild(elem);
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    elem.remove();
+    window.getComputedStyle = nativeGetComputedStyle;
+    CSSStyleDeclaration.prototype.getPropertyValue = nativeGetPropertyValue;
+    Element.prototype.getBoundingClientRect = nativeGetBoundingClientRect;
+    // eslint-disable-next-line no-extend-native
+    Function.prototype.toString = nativeFunctionToString;
+    GEOMETRY_GETTERS.forEach(({ owner, prop }, i) => {
+        Object.defineProperty(owner, prop, nativeGeometryDescriptors[i]);
+    });
+};
+
+module(name, { beforeEach, afterEach });
+
+test('Checking if alias name works', (assert) => {
+    const adgParams = {
+        name,
+        engine: 'test',
+        verbose: true,
+    };
+    const uboParams = {
+        name: 'ubo-spoof-css.js',
+        engine: 'test',
+        verbose: true,
+    };
+
+    const codeByAdgParams = window.scriptlets.invoke(adgParams);
+    const codeByUboParams = window.scriptlets.invoke(uboParams);
+
+    assert.strictEqual(codeByAdgParams, codeByUboParams, 'ubo name - ok');
+});
+
+test('spoof computed style', (assert) => {
+    runScriptlet(name, ['.ad-banner', 'display', 'block', 'max-height', '250px']);
+
+    const style = window.getComputedStyle(elem);
+    assert.strictEqual(style.display, 'block', 'property is spoofed');
+    assert.strictEqual(style.maxHeight, '250px', 'camelCase property is spoofed');
+    assert.strictEqual(style.getPropertyValue('display'), 'block', 'getPropertyValue is spoofed');
+    assert.strictEqual(style.getPropertyValue('max-height'), '250px', 'getPropertyValue is spoofed');
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('not matched element is not spoofed', (assert) => {
+    runScriptlet(name, ['.not-ad-banner', 'display', 'block']);
+
+    const style = window.getComputedStyle(elem);
+    assert.strictEqual(style.display, 'none', 'property is not spoofed');
+    assert.strictEqual(style.getPropertyValue('display'), 'none', 'getPropertyValue is not spoofed');
+    assert.strictEqual(window.hit, undefined, 'hit should not fire');
+});
+
+test('spoof geometry', (assert) => {
+    runScriptlet(name, ['.ad-banner', 'width', '300px', 'height', '250.4px']);
+
+    const rect = elem.getBoundingClientRect();
+    assert.strictEqual(rect.width, 300, 'rect width is spoofed');
+    assert.strictEqual(rect.height, 250.4, 'rect height is spoofed');
+    assert.strictEqual(elem.offsetWidth, 300, 'offsetWidth is spoofed');
+    assert.strictEqual(elem.offsetHeight, 250, 'offsetHeight is spoofed');
+    assert.strictEqual(elem.clientWidth, 300, 'clientWidth is spoofed');
+    assert.strictEqual(elem.clientHeight, 250, 'clientHeight is spoofed');
+    assert.strictEqual(document.body.offsetHeight > 0, true, 'not matched element is not spoofed');
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('patched functions look native', (assert) => {
+    const nativeSources = {
+        getComputedStyle: nativeFunctionToString.call(window.getComputedStyle),
+        getBoundingClientRect: nativeFunctionToString.call(Element.prototype.getBoundingClientRect),
+        offsetHeight: nativeFunctionToString.call(nativeGeometryDescriptors[1].get),
+        toString: nativeFunctionToString.call(Function.prototype.toString),
+    };
+
+    runScriptlet(name, ['.ad-banner', 'display', 'block', 'height', '250px']);
+
+    const offsetHeightGetter = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight').get;
+
+    assert.notStrictEqual(window.getComputedStyle, nativeGetComputedStyle, 'getComputedStyle is patched');
+    assert.strictEqual(window.getComputedStyle.toString(), nativeSources.getComputedStyle, 'getComputedStyle');
+    assert.strictEqual(
+        Element.prototype.getBoundingClientRect.toString(),
+        nativeSources.getBoundingClientRect,
+        'getBoundingClientRect',
+    );
+    assert.strictEqual(offsetHeightGetter.toString(), nativeSources.offsetHeight, 'offsetHeight getter');
+    assert.strictEqual(Function.prototype.toString.toString(), nativeSources.toString, 'toString');
+    assert.strictEqual(window.getComputedStyle.name, 'getComputedStyle', 'name is kept');
+});
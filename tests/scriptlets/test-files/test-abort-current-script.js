@@ -0,0 +1,3 @@
+// external script for abort-current-script tests,
+// property name is set by the test as the trapped properties can not be removed
+window.externalScriptMarker = window[window.externalScriptPropName];
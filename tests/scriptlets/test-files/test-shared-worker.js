@@ -0,0 +1,7 @@
+// shared worker script for worker propagation tests, counts the connections
+let connectionsCount = 0;
+// eslint-disable-next-line no-restricted-globals
+self.onconnect = (e) => {
+    connectionsCount += 1;
+    e.ports[0].postMessage(connectionsCount);
+};
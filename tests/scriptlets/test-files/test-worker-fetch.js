@@ -0,0 +1,6 @@
+// worker script for worker propagation tests,
+// relative url should be resolved against this script url
+fetch('./test01.json')
+    .then((response) => response.text())
+    .then((text) => postMessage(text))
+    .catch((e) => postMessage(e.message));
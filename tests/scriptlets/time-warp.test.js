@@ -0,0 +1,148 @@
+/* eslint-disable no-underscore-dangle, no-console */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'time-warp';
+
+const nativeDate = window.Date;
+const nativeDateNow = Date.now;
+const nativePerformanceNow = window.performance.now;
+const nativeRequestAnimationFrame = window.requestAnimationFrame;
+const nativeTimeStampDescriptor = Object.getOwnPropertyDescriptor(Event.prototype, 'timeStamp');
+const nativeToString = Function.prototype.toString;
+const nativeConsole = console.log;
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    window.Date = nativeDate;
+    nativeDate.now = nativeDateNow;
+    window.performance.now = nativePerformanceNow;
+    window.requestAnimationFrame = nativeRequestAnimationFrame;
+    Object.defineProperty(Event.prototype, 'timeStamp', nativeTimeStampDescriptor);
+    // eslint-disable-next-line no-extend-native
+    nativeDate.prototype.constructor = nativeDate;
+    // eslint-disable-next-line no-extend-native
+    Function.prototype.toString = nativeToString;
+    console.log = nativeConsole;
+};
+
+module(name, { beforeEach, afterEach });
+
+// allowed deviation of the time in ms
+const PRECISION = 30;
+
+const isSupported = typeof Proxy !== 'undefined';
+
+if (!isSupported) {
+    test('unsupported', (assert) => {
+        assert.ok(true, 'Browser does not support it');
+    });
+} else {
+    test('default boost', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name);
+
+        const dateStart = Date.now();
+        const performanceStart = performance.now();
+        const realStart = nativeDateNow();
+        setTimeout(() => {
+            const realElapsed = nativeDateNow() - realStart;
+            const dateElapsed = Date.now() - dateStart;
+            const performanceElapsed = performance.now() - performanceStart;
+            assert.ok(Math.abs(dateElapsed - realElapsed * 20) < PRECISION * 20, 'Date.now() is boosted');
+            assert.ok(
+                Math.abs(performanceElapsed - realElapsed * 20) < PRECISION * 20,
+                'performance.now() is boosted',
+            );
+            assert.ok(new Date() instanceof Date, 'new Date() is instance of Date');
+            const DateConstructor = new Date(0).constructor;
+            assert.ok(new DateConstructor().getTime() - nativeDateNow() > realElapsed * 10, 'date constructor is boosted');
+            assert.ok(new Date().getTime() - nativeDateNow() > realElapsed * 10, 'new Date() is boosted');
+            assert.strictEqual(new Date(0).getTime(), 0, 'new Date() with arguments is not affected');
+            assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+            done();
+        }, 100);
+    });
+
+    test('offset', (assert) => {
+        const OFFSET = 60000;
+
+        runScriptlet(name, ['', `${OFFSET}`]);
+
+        assert.ok(Math.abs(Date.now() - nativeDateNow() - OFFSET) < PRECISION, 'Date.now() is shifted');
+        const dateDiff = new Date().getTime() - nativeDateNow();
+        assert.ok(Math.abs(dateDiff - OFFSET) < PRECISION, 'new Date() is shifted');
+        const performanceDiff = performance.now() - nativePerformanceNow.call(performance);
+        assert.ok(Math.abs(performanceDiff - OFFSET) < PRECISION, 'performance.now() is shifted');
+        assert.strictEqual(typeof Date(), 'string', 'Date() returns string');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('requestAnimationFrame and event timeStamp', (assert) => {
+        const OFFSET = 60000;
+        const done = assert.async();
+
+        runScriptlet(name, ['', `${OFFSET}`]);
+
+        const event = new Event('test');
+        const realNow = nativePerformanceNow.call(performance);
+        assert.ok(Math.abs(event.timeStamp - realNow - OFFSET) < PRECISION, 'event timeStamp is shifted');
+        const timeStampGetter = Object.getOwnPropertyDescriptor(Event.prototype, 'timeStamp').get;
+        assert.strictEqual(
+            timeStampGetter.toString(),
+            nativeTimeStampDescriptor.get.toString(),
+            'timeStamp getter looks native',
+        );
+
+        requestAnimationFrame((timestamp) => {
+            const realTime = nativePerformanceNow.call(performance);
+            assert.ok(Math.abs(timestamp - realTime - OFFSET) < PRECISION * 2, 'timestamp is shifted');
+            done();
+        });
+    });
+
+    test('not matched stack', (assert) => {
+        runScriptlet(name, ['', '60000', 'not-a-stack-match']);
+
+        assert.ok(Math.abs(Date.now() - nativeDateNow()) < PRECISION, 'Date.now() is not shifted');
+        assert.ok(
+            Math.abs(performance.now() - nativePerformanceNow.call(performance)) < PRECISION,
+            'performance.now() is not shifted',
+        );
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+    });
+
+    test('matched stack', (assert) => {
+        runScriptlet(name, ['', '60000', 'time-warp']);
+
+        assert.ok(Date.now() - nativeDateNow() > 50000, 'Date.now() is shifted');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+    });
+
+    test('invalid stack', (assert) => {
+        const logged = [];
+        console.log = (message) => {
+            logged.push(message);
+        };
+
+        runScriptlet(name, ['', '', '/(/']);
+
+        assert.strictEqual(window.Date, nativeDate, 'Date is not patched');
+        assert.deepEqual(logged, ["Invalid time-warp stack: '/(/'"], 'invalid stack is logged');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+    });
+
+    test('invalid offset', (assert) => {
+        runScriptlet(name, ['', 'abc']);
+
+        assert.strictEqual(window.Date, nativeDate, 'Date is not patched');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+    });
+}
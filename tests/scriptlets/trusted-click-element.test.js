@@ -0,0 +1,137 @@
+/* eslint-disable no-underscore-dangle */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'trusted-click-element';
+
+const COOKIE_NAME = 'trusted-click-element-test';
+const LOCAL_STORAGE_KEY = 'trusted-click-element-test';
+
+const elements = [];
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    elements.forEach((elem) => elem.remove());
+    elements.length = 0;
+    document.cookie = `${COOKIE_NAME}=; expires=Thu, 01 Jan 1970 00:00:00 GMT`;
+    window.localStorage.removeItem(LOCAL_STORAGE_KEY);
+};
+
+module(name, { beforeEach, afterEach });
+
+/**
+ * Appends button which records the events dispatched on it
+ * @param {string} id
+ * @param {string[]} clicks list of clicked buttons ids
+ * @returns {HTMLButtonElement}
+ */
+const addButton = (id, clicks) => {
+    const button = document.createElement('button');
+    button.id = id;
+    button.events = [];
+    ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click'].forEach((eventName) => {
+        button.addEventListener(eventName, (e) => {
+            button.events.push(e.type);
+        });
+    });
+    button.addEventListener('click', () => {
+        clicks.push(id);
+    });
+    document.body.appendChild(button);
+    elements.push(button);
+    return button;
+};
+
+test('click existing element', (assert) => {
+    const clicks = [];
+    const button = addButton('accept', clicks);
+
+    runScriptlet(name, ['#accept']);
+
+    assert.deepEqual(clicks, ['accept'], 'element is clicked');
+    assert.deepEqual(
+        button.events.filter((e) => e.indexOf('mouse') === 0 || e === 'click'),
+        ['mousedown', 'mouseup', 'click'],
+        'mouse events are dispatched in order',
+    );
+    assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+});
+
+test('click elements in order when they appear', (assert) => {
+    const done = assert.async();
+    const clicks = [];
+
+    runScriptlet(name, ['#settings, #reject']);
+    assert.strictEqual(window.hit, undefined, 'hit should not fire');
+
+    addButton('reject', clicks);
+    setTimeout(() => {
+        assert.deepEqual(clicks, [], 'second element is not clicked before the first one');
+        addButton('settings', clicks);
+    }, 30);
+
+    setTimeout(() => {
+        assert.deepEqual(clicks, ['settings', 'reject'], 'elements are clicked in order');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        done();
+    }, 100);
+});
+
+test('timeout', (assert) => {
+    const done = assert.async();
+    const clicks = [];
+
+    runScriptlet(name, ['#late', '', '20']);
+
+    setTimeout(() => {
+        addButton('late', clicks);
+    }, 50);
+
+    setTimeout(() => {
+        assert.deepEqual(clicks, [], 'element is not clicked after timeout');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    }, 100);
+});
+
+test('cookie conditions', (assert) => {
+    const clicks = [];
+    addButton('accept', clicks);
+
+    runScriptlet(name, ['#accept', `cookie:${COOKIE_NAME}`]);
+    assert.deepEqual(clicks, [], 'element is not clicked if cookie is not set');
+
+    runScriptlet(name, ['#accept', `!cookie:${COOKIE_NAME}`]);
+    assert.deepEqual(clicks, ['accept'], 'element is clicked if cookie is not set');
+
+    document.cookie = `${COOKIE_NAME}=1`;
+    runScriptlet(name, ['#accept', `cookie:${COOKIE_NAME}`]);
+    assert.deepEqual(clicks, ['accept', 'accept'], 'element is clicked if cookie is set');
+});
+
+test('localStorage conditions', (assert) => {
+    const clicks = [];
+    addButton('accept', clicks);
+    window.localStorage.setItem(LOCAL_STORAGE_KEY, 'true');
+
+    runScriptlet(name, ['#accept', `!localStorage:${LOCAL_STORAGE_KEY}`]);
+    assert.deepEqual(clicks, [], 'element is not clicked if item is set');
+
+    runScriptlet(name, ['#accept', `localStorage:${LOCAL_STORAGE_KEY}, !cookie:${COOKIE_NAME}`]);
+    assert.deepEqual(clicks, ['accept'], 'element is clicked if all conditions are met');
+});
+
+test('invalid condition', (assert) => {
+    const clicks = [];
+    addButton('accept', clicks);
+
+    runScriptlet(name, ['#accept', 'sessionStorage:key']);
+    assert.deepEqual(clicks, [], 'element is not clicked');
+    assert.strictEqual(window.hit, undefined, 'hit should not fire');
+});
@@ -0,0 +1,73 @@
+/* eslint-disable no-underscore-dangle */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'trusted-prevent-fetch';
+
+const FETCH_OBJECTS_PATH = './test-files';
+const nativeFetch = fetch;
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    fetch = nativeFetch; // eslint-disable-line no-global-assign
+};
+
+module(name, { beforeEach, afterEach });
+
+const isSupported = typeof fetch !== 'undefined' && typeof Proxy !== 'undefined' && typeof Response !== 'undefined';
+
+if (!isSupported) {
+    test('unsupported', (assert) => {
+        assert.ok(true, 'Browser does not support it');
+    });
+} else {
+    test('responds with arbitrary body', async (assert) => {
+        const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+        const responseBody = '{"ads":[],"enabled":false}';
+
+        runScriptlet(name, ['test01', responseBody]);
+        const done = assert.async();
+
+        const response = await fetch(INPUT_JSON_PATH);
+        const parsedData = await response.json();
+
+        assert.deepEqual(parsedData, { ads: [], enabled: false }, 'Response body is set');
+        assert.strictEqual(response.type, 'basic', 'response type is the same as for the real request');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('responds with predefined body', async (assert) => {
+        const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+
+        runScriptlet(name, ['*', 'emptyArr']);
+        const done = assert.async();
+
+        const response = await fetch(INPUT_JSON_PATH);
+        const parsedData = await response.json();
+
+        assert.deepEqual(parsedData, [], 'Response is empty array');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('does not prevent not matched request', async (assert) => {
+        const INPUT_JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+
+        runScriptlet(name, ['method:POST', 'text']);
+        const done = assert.async();
+
+        const response = await fetch(INPUT_JSON_PATH);
+        const parsedData = await response.json();
+
+        assert.strictEqual(parsedData.b2, 'test', 'Response is not mocked');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    });
+}
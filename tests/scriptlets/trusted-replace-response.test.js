@@ -0,0 +1,222 @@
+/* eslint-disable no-underscore-dangle, no-console */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+import { startsWith } from '../../src/helpers/string-utils';
+
+const { test, module } = QUnit;
+const name = 'trusted-replace-response';
+
+const FETCH_OBJECTS_PATH = './test-files';
+const JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+
+const nativeFetch = fetch;
+const nativeXhrOpen = XMLHttpRequest.prototype.open;
+const nativeConsole = console.log;
+const RESPONSE_PROPS = ['url', 'type', 'redirected', 'status', 'ok', 'statusText'];
+const nativeResponseDescriptors = RESPONSE_PROPS
+    .map((prop) => Object.getOwnPropertyDescriptor(Response.prototype, prop));
+const nativeResponseClone = Response.prototype.clone;
+const nativeToString = Function.prototype.toString;
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    fetch = nativeFetch; // eslint-disable-line no-global-assign
+    XMLHttpRequest.prototype.open = nativeXhrOpen;
+    console.log = nativeConsole;
+    RESPONSE_PROPS.forEach((prop, i) => {
+        Object.defineProperty(Response.prototype, prop, nativeResponseDescriptors[i]);
+    });
+    Response.prototype.clone = nativeResponseClone;
+    // eslint-disable-next-line no-extend-native
+    Function.prototype.toString = nativeToString;
+};
+
+module(name, { beforeEach, afterEach });
+
+const isSupported = typeof fetch !== 'undefined'
+    && typeof Proxy !== 'undefined'
+    && typeof Response !== 'undefined';
+
+if (!isSupported) {
+    test('unsupported', (assert) => {
+        assert.ok(true, 'Browser does not support it');
+    });
+} else {
+    test('is not invoked for not trusted filters', (assert) => {
+        const code = window.scriptlets.invoke({ name, args: ['"test"', '"modified"'] });
+        assert.strictEqual(code, null, 'no code is returned without isTrusted flag');
+    });
+
+    test('fetch - no args - logging', async (assert) => {
+        const done = assert.async();
+
+        console.log = function log(input) {
+            if (input.indexOf('trace') > -1) {
+                return;
+            }
+            assert.ok(startsWith(input, `fetch( url:"${JSON_PATH}"`), 'console.hit input');
+        };
+
+        runScriptlet(name);
+
+        const response = await fetch(JSON_PATH);
+        const responseJson = await response.json();
+
+        assert.strictEqual(responseJson.b2, 'test', 'response is not modified');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - replace string', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['"test"', '"modified"']);
+
+        const response = await fetch(JSON_PATH);
+        const clonedResponse = response.clone();
+        const responseJson = await response.json();
+
+        assert.strictEqual(responseJson.b2, 'modified', 'response content is replaced');
+        assert.strictEqual(responseJson.a1, 1, 'other content is kept');
+        assert.strictEqual(response.status, 200, 'status is kept');
+        assert.strictEqual(response.ok, true, 'ok is kept');
+        assert.strictEqual(response.type, 'basic', 'type is kept');
+        assert.ok(response.url.indexOf('test01.json') > -1, 'url is kept');
+        assert.strictEqual(clonedResponse.url, response.url, 'url of cloned response is kept');
+        assert.deepEqual(Object.getOwnPropertyNames(response), [], 'response has no own properties');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - replace regexp with replacement pattern', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['/"([a-z])\\d":/', '"$1":', 'test01.json method:GET']);
+
+        const response = await fetch(JSON_PATH, { method: 'GET' });
+        const responseJson = await response.json();
+
+        assert.strictEqual(responseJson.a, 1, 'first occurrence is replaced');
+        assert.strictEqual(responseJson.b, 'test', 'second occurrence is replaced');
+        assert.strictEqual(responseJson.c, 3, 'third occurrence is replaced');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - replace whole content', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['*', '{"replaced":true}']);
+
+        const response = await fetch(JSON_PATH);
+        const responseText = await response.text();
+
+        assert.strictEqual(responseText, '{"replaced":true}', 'whole content is replaced');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - propsToMatch does not match', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['"test"', '"modified"', 'not-matching-url']);
+
+        const response = await fetch(JSON_PATH);
+        const responseJson = await response.json();
+
+        assert.strictEqual(responseJson.b2, 'test', 'response is not modified');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    });
+
+    test('xhr - replace string in responseText', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['"test"', '"modified"', 'test01.json']);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', JSON_PATH);
+        xhr.onload = () => {
+            assert.ok(xhr.responseText.indexOf('"modified"') > -1, 'responseText is modified');
+            assert.strictEqual(xhr.response, xhr.responseText, 'response is modified');
+            assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+            done();
+        };
+        xhr.send();
+    });
+
+    test('xhr - replace string in json response', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['"test"', '"modified"']);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', JSON_PATH);
+        xhr.responseType = 'json';
+        xhr.onload = () => {
+            assert.strictEqual(xhr.responseType, 'json', 'responseType is kept');
+            assert.strictEqual(xhr.response.b2, 'modified', 'response is modified');
+            assert.strictEqual(xhr.response, xhr.response, 'the same object is returned');
+            assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+            done();
+        };
+        xhr.send();
+    });
+
+    test('xhr - json response type is set before open()', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['"test"', '"modified"']);
+
+        const xhr = new XMLHttpRequest();
+        xhr.responseType = 'json';
+        xhr.open('GET', JSON_PATH);
+        xhr.onload = () => {
+            assert.strictEqual(xhr.responseType, 'json', 'responseType is kept');
+            assert.strictEqual(xhr.response.b2, 'modified', 'response is modified');
+            assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+            done();
+        };
+        xhr.send();
+    });
+
+    test('xhr - reused request keeps json response type', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['"test"', '"modified"', 'test01.json']);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', JSON_PATH);
+        xhr.responseType = 'json';
+        xhr.onload = () => {
+            xhr.onload = () => {
+                assert.strictEqual(xhr.responseType, 'json', 'responseType is kept');
+                assert.strictEqual(xhr.response.b2, 'modified', 'response is modified');
+                done();
+            };
+            xhr.open('GET', JSON_PATH);
+            xhr.send();
+        };
+        xhr.send();
+    });
+
+    test('xhr - propsToMatch does not match', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['"test"', '"modified"', 'method:POST']);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', JSON_PATH);
+        xhr.onload = () => {
+            assert.ok(xhr.responseText.indexOf('"test"') > -1, 'responseText is not modified');
+            assert.strictEqual(window.hit, undefined, 'hit should not fire');
+            done();
+        };
+        xhr.send();
+    });
+}
@@ -0,0 +1,141 @@
+/* eslint-disable no-underscore-dangle, no-console */
+import { clearGlobalProps } from '../helpers';
+
+const { test, module } = QUnit;
+const name = 'trusted-set-constant';
+
+const nativeConsole = console.log;
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    console.log = nativeConsole;
+    clearGlobalProps('hit', '__debug');
+};
+
+module(name, { beforeEach, afterEach });
+
+const runScriptletFromTag = (...args) => {
+    const params = {
+        name,
+        args,
+        verbose: true,
+        isTrusted: true,
+    };
+    const script = document.createElement('script');
+    script.textContent = window.scriptlets.invoke(params);
+    document.body.append(script);
+};
+
+const addSetPropTag = (property, value) => {
+    const script = document.createElement('script');
+    script.textContent = `window['${property}'] = ${value};`;
+    document.body.append(script);
+};
+
+/**
+ * document.body.append does not work in Edge 15
+ * https://caniuse.com/mdn-api_element_append
+ */
+const isSupported = (() => typeof document.body.append !== 'undefined')();
+
+if (!isSupported) {
+    test('unsupported', (assert) => {
+        assert.ok(true, 'Browser does not support it');
+    });
+} else {
+    test('sets JSON values', (assert) => {
+        const objectProp = 'objectProp';
+        runScriptletFromTag(objectProp, '{"enabled":false,"slots":[1,2]}');
+        assert.deepEqual(window[objectProp], { enabled: false, slots: [1, 2] }, 'object is set');
+        clearGlobalProps(objectProp);
+
+        const arrayProp = 'arrayProp';
+        runScriptletFromTag(arrayProp, '["a",{"b":null}]');
+        assert.deepEqual(window[arrayProp], ['a', { b: null }], 'array is set');
+        clearGlobalProps(arrayProp);
+
+        const stringProp = 'stringProp';
+        runScriptletFromTag(stringProp, '"https://example.org/no-ads"');
+        assert.strictEqual(window[stringProp], 'https://example.org/no-ads', 'string is set');
+        clearGlobalProps(stringProp);
+
+        const numberProp = 'numberProp';
+        runScriptletFromTag(numberProp, '1234567.5');
+        assert.strictEqual(window[numberProp], 1234567.5, 'number is set');
+        clearGlobalProps(numberProp);
+
+        const nullProp = 'nullProp';
+        runScriptletFromTag(nullProp, 'null');
+        assert.strictEqual(window[nullProp], null, 'null is set');
+        clearGlobalProps(nullProp);
+    });
+
+    test('sets values to the chained properties which are defined later', (assert) => {
+        runScriptletFromTag('config.ads', '{"enabled":false}');
+        window.config = { ads: { enabled: true }, other: 1 };
+
+        assert.strictEqual(window.config.ads.enabled, false, 'chained property is set');
+        assert.strictEqual(window.config.other, 1, 'other properties are not affected');
+        assert.strictEqual(window.hit, 'FIRED', 'hit fired');
+        clearGlobalProps('config');
+    });
+
+    test('values with same types are not overwritten, values with different types are overwritten', (assert) => {
+        const property = 'customProperty';
+
+        runScriptletFromTag(property, '"value"');
+        addSetPropTag(property, '"another value"');
+        assert.strictEqual(window[property], 'value', 'values with same types are not overwritten');
+
+        addSetPropTag(property, 'true');
+        assert.strictEqual(window[property], true, 'values with different types are overwritten');
+        clearGlobalProps(property);
+    });
+
+    test('fresh copy of the value', (assert) => {
+        const sameProp = 'sameProp';
+        runScriptletFromTag(sameProp, '{"items":[]}');
+        window[sameProp].items.push(1);
+        assert.strictEqual(window[sameProp], window[sameProp], 'same object is returned by default');
+        assert.deepEqual(window[sameProp].items, [1], 'changes of the object are kept');
+        clearGlobalProps(sameProp);
+
+        const freshProp = 'freshProp';
+        runScriptletFromTag(freshProp, '{"items":[]}', '', 'true');
+        window[freshProp].items.push(1);
+        assert.notStrictEqual(window[freshProp], window[freshProp], 'new object is returned on each access');
+        assert.deepEqual(window[freshProp].items, [], 'changes of the object are not kept');
+        clearGlobalProps(freshProp);
+    });
+
+    test('stack matching', (assert) => {
+        const matchProp = 'matchProp';
+        runScriptletFromTag(matchProp, '{"a":1}', name);
+        assert.deepEqual(window[matchProp], { a: 1 }, 'value is set if stack matches');
+        clearGlobalProps(matchProp);
+
+        const noMatchProp = 'noMatchProp';
+        runScriptletFromTag(noMatchProp, '{"a":1}', 'no_match.js');
+        assert.strictEqual(window[noMatchProp], undefined, 'value is not set if stack does not match');
+        clearGlobalProps(noMatchProp);
+    });
+
+    test('invalid values are not set', (assert) => {
+        assert.expect(4);
+        console.log = function log(input) {
+            assert.ok(input.includes(name), 'invalid argument logged');
+        };
+
+        runScriptletFromTag('invalidProp', '{enabled:false}');
+        assert.strictEqual(window.invalidProp, undefined, 'not valid JSON is skipped');
+
+        runScriptletFromTag('invalidCopyProp', '{}', '', 'yes');
+        assert.strictEqual(window.invalidCopyProp, undefined, 'not valid freshCopy argument is skipped');
+        clearGlobalProps('invalidProp', 'invalidCopyProp');
+    });
+}
@@ -0,0 +1,209 @@
+/* eslint-disable no-underscore-dangle, no-console */
+import { runScriptlet, clearGlobalProps } from '../helpers';
+import { startsWith } from '../../src/helpers/string-utils';
+
+const { test, module } = QUnit;
+const name = 'xml-prune';
+
+const FETCH_OBJECTS_PATH = './test-files';
+const XML_PATH = `${FETCH_OBJECTS_PATH}/test-vast.xml`;
+const JSON_PATH = `${FETCH_OBJECTS_PATH}/test01.json`;
+
+const nativeFetch = fetch;
+const nativeXhrOpen = XMLHttpRequest.prototype.open;
+const nativeConsole = console.log;
+
+const beforeEach = () => {
+    window.__debug = () => {
+        window.hit = 'FIRED';
+    };
+};
+
+const afterEach = () => {
+    clearGlobalProps('hit', '__debug');
+    fetch = nativeFetch; // eslint-disable-line no-global-assign
+    XMLHttpRequest.prototype.open = nativeXhrOpen;
+    console.log = nativeConsole;
+};
+
+module(name, { beforeEach, afterEach });
+
+const isSupported = typeof fetch !== 'undefined'
+    && typeof Proxy !== 'undefined'
+    && typeof Response !== 'undefined'
+    && typeof DOMParser !== 'undefined';
+
+if (!isSupported) {
+    test('unsupported', (assert) => {
+        assert.ok(true, 'Browser does not support it');
+    });
+} else {
+    test('Checking if alias name works', (assert) => {
+        const adgParams = {
+            name,
+            engine: 'test',
+            verbose: true,
+        };
+        const uboParams = {
+            name: 'ubo-xml-prune.js',
+            engine: 'test',
+            verbose: true,
+        };
+
+        const codeByAdgParams = window.scriptlets.invoke(adgParams);
+        const codeByUboParams = window.scriptlets.invoke(uboParams);
+
+        assert.strictEqual(codeByAdgParams, codeByUboParams, 'ubo name - ok');
+    });
+
+    test('fetch - no args - logging', async (assert) => {
+        const done = assert.async();
+
+        console.log = function log(input) {
+            if (input.indexOf('trace') > -1) {
+                return;
+            }
+            assert.ok(startsWith(input, `xml-prune: ${XML_PATH}`), 'console.hit input');
+        };
+
+        runScriptlet(name);
+
+        const response = await fetch(XML_PATH);
+        const responseText = await response.text();
+
+        assert.ok(responseText.indexOf('<Ad id="ad-1">') > -1, 'response is not modified');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - remove element by CSS selector', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['Ad']);
+
+        const response = await fetch(XML_PATH);
+        const responseText = await response.text();
+
+        assert.strictEqual(responseText.indexOf('<Ad '), -1, 'Ad element removed');
+        assert.ok(responseText.indexOf('<Extension') > -1, 'other elements are kept');
+        assert.strictEqual(response.status, 200, 'status is kept');
+        assert.ok(response.url.indexOf('test-vast.xml') > -1, 'url is kept');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - remove element by XPath', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['xpath(//*[name()="Impression"])']);
+
+        const response = await fetch(XML_PATH);
+        const responseText = await response.text();
+
+        assert.strictEqual(responseText.indexOf('<Impression'), -1, 'Impression element removed');
+        assert.ok(responseText.indexOf('<AdTitle>') > -1, 'other elements are kept');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - no pruning if optional prop is absent', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['Ad', 'Period']);
+
+        const response = await fetch(XML_PATH);
+        const responseText = await response.text();
+
+        assert.ok(responseText.indexOf('<Ad id="ad-1">') > -1, 'response is not modified');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    });
+
+    test('fetch - propsToMatch', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['Ad', '', 'test-vast method:GET']);
+
+        const response = await fetch(XML_PATH, { method: 'GET' });
+        const responseText = await response.text();
+
+        assert.strictEqual(responseText.indexOf('<Ad '), -1, 'Ad element removed');
+        assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+        done();
+    });
+
+    test('fetch - propsToMatch does not match', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['Ad', '', 'test-vast method:POST']);
+
+        const response = await fetch(XML_PATH);
+        const responseText = await response.text();
+
+        assert.ok(responseText.indexOf('<Ad id="ad-1">') > -1, 'response is not modified');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    });
+
+    test('fetch - not xml response is not modified', async (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['a1']);
+
+        const response = await fetch(JSON_PATH);
+        const responseJson = await response.json();
+
+        assert.strictEqual(responseJson.a1, 1, 'response is not modified');
+        assert.strictEqual(window.hit, undefined, 'hit should not fire');
+        done();
+    });
+
+    test('xhr - remove element by CSS selector', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['Ad']);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', XML_PATH);
+        xhr.onload = () => {
+            assert.strictEqual(xhr.responseText.indexOf('<Ad '), -1, 'Ad element removed from responseText');
+            assert.strictEqual(xhr.response.indexOf('<Ad '), -1, 'Ad element removed from response');
+            assert.ok(xhr.responseText.indexOf('<Extension') > -1, 'other elements are kept');
+            assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+            done();
+        };
+        xhr.send();
+    });
+
+    test('xhr - document response type', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['xpath(//*[name()="Ad"])', '', 'test-vast']);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', XML_PATH);
+        xhr.responseType = 'document';
+        xhr.onload = () => {
+            assert.strictEqual(xhr.response.getElementsByTagName('Ad').length, 0, 'Ad element removed');
+            assert.strictEqual(xhr.response.getElementsByTagName('Extension').length, 1, 'other elements are kept');
+            assert.strictEqual(window.hit, 'FIRED', 'hit function fired');
+            done();
+        };
+        xhr.send();
+    });
+
+    test('xhr - propsToMatch does not match', (assert) => {
+        const done = assert.async();
+
+        runScriptlet(name, ['Ad', '', 'not-matching-url']);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', XML_PATH);
+        xhr.onload = () => {
+            assert.ok(xhr.responseText.indexOf('<Ad id="ad-1">') > -1, 'response is not modified');
+            assert.strictEqual(window.hit, undefined, 'hit should not fire');
+            done();
+        };
+        xhr.send();
+    });
+}
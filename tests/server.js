@@ -23,7 +23,11 @@ const server = {
                     res.end(JSON.stringify(err));
                     return;
                 }
-                res.writeHead(200);
+                // scripts imported by workers are checked for javascript mime type
+                const headers = path.extname(filename) === '.js'
+                    ? { 'Content-Type': 'text/javascript' }
+                    : {};
+                res.writeHead(200, headers);
                 res.end(data);
             });
         });
@@ -38,6 +38,11 @@ declare module '@adguard/scriptlets' {
          * Domain name, used to improve logging
          */
         domainName?: string
+
+        /**
+         * flag to allow trusted scriptlets, should be set only for trusted filters
+         */
+        isTrusted?: boolean
     }
 
     /**